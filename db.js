@@ -0,0 +1,59 @@
+// db.js - Shared MySQL connection pool
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// Database connection pool configuration
+const dbConfig = {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'railway',
+    port: process.env.DB_PORT || 3306,
+    charset: 'utf8mb4',
+    // Dates go to and come from MySQL as UTC, whatever the server's zone
+    timezone: 'Z',
+    connectionLimit: 10,
+    acquireTimeout: 60000,
+    timeout: 60000,
+    reconnect: true
+};
+
+// Create connection pool
+const pool = mysql.createPool(dbConfig);
+
+// Run every session in UTC too, so NOW() and TIMESTAMP columns agree with
+// the Date values passed in and read back
+pool.on('connection', connection => {
+    connection.query("SET time_zone = '+00:00'");
+});
+
+// Test database connection function
+async function testDatabaseConnection() {
+    try {
+        const connection = await pool.getConnection();
+        await connection.execute('SELECT 1');
+        connection.release();
+        console.log('✅ Database connection pool established');
+        return true;
+    } catch (error) {
+        console.error('⚠️ Database connection failed:', error.message);
+        console.log('🔄 Server will start but database operations may fail');
+        return false;
+    }
+}
+
+// Helper function to get database connection
+async function getDbConnection() {
+    try {
+        return await pool.getConnection();
+    } catch (error) {
+        console.error('Database connection error:', error);
+        throw new Error('Database connection failed');
+    }
+}
+
+module.exports = {
+    pool,
+    getDbConnection,
+    testDatabaseConnection
+};
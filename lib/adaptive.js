@@ -0,0 +1,84 @@
+// lib/adaptive.js - Choosing the next question for a child in a category
+const { getNextReviewQuestion } = require('./review-scheduler');
+const { getSkill, pickBestFit } = require('./skill-rating');
+const { BAND_MATCH_BONUS, SUITS_BAND_SQL, getUserAgeBand, parseAgeBands } = require('./age-bands');
+const { INITIAL_MASTERY, CONCEPT_GAP_BONUS, getQuestionConcepts, loadConceptMastery } = require('./concepts');
+
+// Adaptive Learning Algorithm. Returns null when the category has nothing left
+// for the child. With includeReviews false only unanswered questions are considered.
+async function getAdaptiveQuestion(connection, userId, categoryId, { includeReviews = true } = {}) {
+    // Questions due for spaced-repetition review come before new ones
+    if (includeReviews) {
+        const reviewQuestion = await getNextReviewQuestion(connection, userId, categoryId);
+        if (reviewQuestion) {
+            return { ...reviewQuestion, is_review: true };
+        }
+    }
+
+    // Get user's performance by question type
+    const [performance] = await connection.execute(`
+        SELECT qt.id, qt.type_name, 
+               COALESCE(utqp.success_rate, 0) as success_rate,
+               COALESCE(utqp.total_attempts, 0) as total_attempts
+        FROM question_types qt
+        LEFT JOIN user_question_type_performance utqp 
+            ON qt.id = utqp.question_type_id AND utqp.user_id = ?
+        ORDER BY utqp.success_rate ASC, utqp.total_attempts ASC
+    `, [userId]);
+
+    // Find the question type the user struggles with most
+    let targetQuestionTypeId = performance[0]?.id || 1;
+    
+    // If user has low success rate (< 60%) on any type, prioritize easier formats
+    const strugglingType = performance.find(p => p.success_rate < 60 && p.total_attempts >= 3);
+    if (strugglingType) {
+        // Switch to visual or easier question types
+        const [easierTypes] = await connection.execute(`
+            SELECT id FROM question_types 
+            WHERE difficulty_level = 'easy' AND type_name IN ('visual_choice', 'true_false')
+            ORDER BY RAND() LIMIT 1
+        `);
+        if (easierTypes.length > 0) {
+            targetQuestionTypeId = easierTypes[0].id;
+        }
+    }
+
+    // The child's ability in this category decides how hard the next question should be
+    const { rating } = await getSkill(connection, userId, categoryId);
+
+    // Questions the user hasn't answered yet, among those suiting the child's
+    // age band when they have one
+    const ageBand = await getUserAgeBand(connection, userId);
+    const [candidates] = await connection.execute(`
+        SELECT q.*, qt.type_name, qt.grader, qt.difficulty_level as type_difficulty
+        FROM questions q
+        JOIN question_types qt ON q.question_type_id = qt.id
+        JOIN categories c ON q.category_id = c.id
+        WHERE q.category_id = ? 
+        AND q.is_active = true
+        AND q.id NOT IN (
+            SELECT question_id FROM question_attempts WHERE user_id = ?
+        )
+        ${ageBand ? `AND ${SUITS_BAND_SQL}` : ''}
+    `, ageBand ? [categoryId, userId, ageBand] : [categoryId, userId]);
+
+    // Questions on the concept the child knows least are worth more
+    const mastery = await loadConceptMastery(connection, userId);
+    const questionConcepts = await getQuestionConcepts(connection, candidates.map(q => q.id));
+    const conceptGap = question => {
+        const levels = questionConcepts.get(question.id).map(key => mastery.get(key)?.mastery ?? INITIAL_MASTERY);
+        return levels.length > 0 ? 1 - Math.min(...levels) : 0;
+    };
+
+    // Stay with the preferred question type when it has questions left,
+    // then pick the one the child should get right about 75% of the time,
+    // leaning towards questions written for the child's band and on weak concepts
+    const preferred = candidates.filter(q => q.question_type_id === targetQuestionTypeId);
+    const bonus = question => (ageBand && parseAgeBands(question.age_bands).includes(ageBand) ? BAND_MATCH_BONUS : 0)
+        + CONCEPT_GAP_BONUS * conceptGap(question);
+    return pickBestFit(preferred.length > 0 ? preferred : candidates, rating, { bonus });
+}
+
+module.exports = {
+    getAdaptiveQuestion
+};
@@ -0,0 +1,111 @@
+// lib/age-bands.js - Which questions and categories suit a child's age
+//
+// A child has an age band, set directly or worked out from their school grade.
+// Questions and categories are tagged with the bands they suit; an untagged
+// question takes its category's bands, and an untagged category suits everyone.
+
+const AGE_BANDS = ['5-7', '8-10', '11-13'];
+
+// School grades 0 (kindergarten) to 8, by the band they fall in
+const GRADE_BANDS = [
+    { band: '5-7', minGrade: 0, maxGrade: 2 },
+    { band: '8-10', minGrade: 3, maxGrade: 5 },
+    { band: '11-13', minGrade: 6, maxGrade: 8 }
+];
+const MIN_SCHOOL_GRADE = 0;
+const MAX_SCHOOL_GRADE = 8;
+
+// Questions tagged for the child's own band count as this much closer to the
+// target success rate than untagged ones, so they win near-ties
+const BAND_MATCH_BONUS = 0.1;
+
+function gradeToAgeBand(grade) {
+    const match = GRADE_BANDS.find(entry => grade >= entry.minGrade && grade <= entry.maxGrade);
+    return match ? match.band : null;
+}
+
+// A SET column as an array of bands; NULL and '' are an empty array.
+// mysql2 returns SET columns as comma-separated strings.
+function parseAgeBands(value) {
+    if (!value) return [];
+    return String(value).split(',').filter(band => AGE_BANDS.includes(band));
+}
+
+// An array of bands as the value to write to a SET column, NULL for all bands
+function formatAgeBands(bands) {
+    if (!bands || bands.length === 0) return null;
+    return AGE_BANDS.filter(band => bands.includes(band)).join(',');
+}
+
+// SQL condition true when the question (alias q) in its category (alias c)
+// suits the band given as the one parameter
+const SUITS_BAND_SQL = `(
+    COALESCE(NULLIF(q.age_bands, ''), NULLIF(c.age_bands, '')) IS NULL
+    OR FIND_IN_SET(?, COALESCE(NULLIF(q.age_bands, ''), NULLIF(c.age_bands, ''))) > 0
+)`;
+
+// The same for a category on its own (alias c)
+const CATEGORY_SUITS_BAND_SQL = `(NULLIF(c.age_bands, '') IS NULL OR FIND_IN_SET(?, c.age_bands) > 0)`;
+
+// The child's age band, or null when neither band nor grade is set
+async function getUserAgeBand(connection, userId) {
+    const [users] = await connection.execute(`
+        SELECT age_band, school_grade FROM users WHERE id = ?
+    `, [userId]);
+
+    if (users.length === 0) return null;
+    const { age_band: ageBand, school_grade: schoolGrade } = users[0];
+    if (ageBand) return ageBand;
+    return schoolGrade === null ? null : gradeToAgeBand(schoolGrade);
+}
+
+// Per category, how many active questions suit each band, and how many
+// carry no band of their own
+async function getAgeBandCoverage(connection) {
+    const [categories] = await connection.execute(`
+        SELECT c.id, c.name, c.age_bands FROM categories c ORDER BY c.id
+    `);
+    const [questions] = await connection.execute(`
+        SELECT q.category_id, q.age_bands FROM questions q WHERE q.is_active = true
+    `);
+
+    return categories.map(category => {
+        const categoryBands = parseAgeBands(category.age_bands);
+        const inCategory = questions.filter(question => question.category_id === category.id);
+        const byBand = {};
+        for (const band of AGE_BANDS) byBand[band] = 0;
+
+        let untagged = 0;
+        for (const question of inCategory) {
+            let bands = parseAgeBands(question.age_bands);
+            if (bands.length === 0) {
+                untagged++;
+                bands = categoryBands.length > 0 ? categoryBands : AGE_BANDS;
+            }
+            for (const band of bands) byBand[band]++;
+        }
+
+        return {
+            categoryId: category.id,
+            name: category.name,
+            ageBands: categoryBands,
+            totalQuestions: inCategory.length,
+            untaggedQuestions: untagged,
+            byBand
+        };
+    });
+}
+
+module.exports = {
+    AGE_BANDS,
+    MIN_SCHOOL_GRADE,
+    MAX_SCHOOL_GRADE,
+    BAND_MATCH_BONUS,
+    gradeToAgeBand,
+    parseAgeBands,
+    formatAgeBands,
+    SUITS_BAND_SQL,
+    CATEGORY_SUITS_BAND_SQL,
+    getUserAgeBand,
+    getAgeBandCoverage
+};
@@ -0,0 +1,241 @@
+// lib/answers.js - Grading and recording one answer
+//
+// recordAnswer marks the answer with the grader of the question's type, then
+// does every write the answer causes: the attempt, points (see lib/points.js) and streak, review
+// schedule, skill rating, concept mastery, category progress, question type performance,
+// the quiz session, the daily streak, leaderboard points and badges. The caller runs it inside a
+// transaction.
+
+const { recordReview } = require('./review-scheduler');
+const { getOpenReveals, claimHints, applyHintPenalty } = require('./hints');
+const { redeemTicket, linkTicketToAttempt } = require('./question-tickets');
+const { updateSkill } = require('./skill-rating');
+const { recordConceptAnswer } = require('./concepts');
+const { checkAndAwardBadges } = require('./badges');
+const { getGrader } = require('./graders');
+const { getAnswerTargets } = require('./questions');
+const { getSession, recordSessionProgress } = require('./sessions');
+const { recordDailyActivity } = require('./streaks');
+const { recordLeaderboardPoints } = require('./leaderboards');
+const { recordPoints } = require('./points');
+const { userLocale } = require('./locales');
+const { translateRow, translateRows } = require('./translations');
+
+// Feedback on the options the child picked (or put in the wrong place), why
+// the right options are right, and the question's general takeaway
+function answerFeedback(question, grader, answer, options) {
+    const describe = option => ({ optionId: option.id, optionText: option.option_text, feedback: option.feedback });
+    return {
+        selected: grader.feedbackOptions(answer, options).map(option => ({
+            ...describe(option),
+            isCorrect: Boolean(option.is_correct)
+        })),
+        correct: options.filter(option => option.is_correct).map(describe),
+        takeaway: question.explanation
+    };
+}
+
+// Returns { response } for the client, or { status, error } when the answer is rejected.
+// answer is the structured answer; selectedAnswerId is still accepted for single choice.
+// Feedback is in the child's locale, or acceptedLocale (req.acceptedLocale).
+async function recordAnswer(connection, { userId, questionId, selectedAnswerId, answer, ticket, acceptedLocale = null }) {
+    // Get question details and the grader for its type
+    const [questions] = await connection.execute(`
+        SELECT q.*, qt.type_name, qt.grader, qt.difficulty_level as type_difficulty
+        FROM questions q
+        JOIN question_types qt ON q.question_type_id = qt.id
+        WHERE q.id = ?
+    `, [questionId]);
+
+    if (questions.length === 0) {
+        console.log('❌ Question not found:', questionId);
+        return { status: 400, error: 'Question not found' };
+    }
+
+    const question = questions[0];
+    const grader = getGrader(question.grader);
+    answer = answer || { optionId: selectedAnswerId };
+
+    if (answer[grader.answerField] === undefined) {
+        return { status: 400, error: `A ${question.type_name} question is answered with answer.${grader.answerField}` };
+    }
+
+    // Check the answer against the question's own options (and targets)
+    const [options] = await connection.execute(`
+        SELECT id, option_text, feedback, is_correct, credit, correct_position, target_key
+        FROM answer_options
+        WHERE question_id = ? AND is_active = true
+        ORDER BY order_position
+    `, [questionId]);
+    const targets = await getAnswerTargets(connection, questionId);
+
+    const answerError = grader.validateAnswer(answer, options, targets);
+    if (answerError) {
+        console.log('❌ Invalid answer:', answerError);
+        return { status: 400, error: answerError };
+    }
+
+    // The question must have been served to this user and not answered yet
+    const redeemed = await redeemTicket(connection, { token: ticket, userId, questionId });
+    if (redeemed.error) {
+        console.log('❌ Question ticket rejected:', redeemed.error);
+        return redeemed;
+    }
+    const { timeTaken } = redeemed;
+
+    // Answers to questions from a session that has since ended still count, just not for the session
+    let sessionId = null;
+    if (redeemed.sessionId) {
+        const session = await getSession(connection, redeemed.sessionId);
+        sessionId = session.status === 'active' ? session.id : null;
+    }
+
+    // Only a fully right answer counts as correct; partial credit still earns points
+    const credit = grader.grade(answer, options, { partialCredit: Boolean(question.partial_credit) });
+    const isCorrect = credit === 1;
+
+    // Each hint the child revealed for this question costs part of its points
+    const hintsUsed = (await getOpenReveals(connection, userId, questionId)).length;
+    const hintUsed = hintsUsed > 0;
+    const pointsEarned = Math.round(applyHintPenalty(question.points, hintsUsed) * credit);
+
+    // Review attempts earn points but don't count towards category completion again
+    const [previousAttempts] = await connection.execute(`
+        SELECT COUNT(*) as count FROM question_attempts WHERE user_id = ? AND question_id = ?
+    `, [userId, questionId]);
+    const isFirstAttempt = previousAttempts[0].count === 0;
+
+    console.log('✅ Answer check:', { isCorrect, credit, pointsEarned, hintsUsed });
+
+    // Record the attempt
+    const [attemptResult] = await connection.execute(`
+        INSERT INTO question_attempts 
+        (user_id, session_id, question_id, question_type_id, selected_answer_id, answer, is_correct, credit, points_earned, time_taken, hint_used, hints_used)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        userId, sessionId, questionId, question.question_type_id, answer.optionId ?? null, JSON.stringify(answer),
+        isCorrect, credit.toFixed(4), pointsEarned, timeTaken, hintUsed, hintsUsed
+    ]);
+
+    await claimHints(connection, { userId, questionId, attemptId: attemptResult.insertId });
+    await linkTicketToAttempt(connection, redeemed.ticketId, attemptResult.insertId);
+
+    // Points go through the ledger: the answer's worth, then what its hints cost
+    const answerPoints = Math.round(question.points * credit);
+    await recordPoints(connection, {
+        userId,
+        event: 'answer',
+        points: answerPoints,
+        reason: isCorrect ? 'Correct answer' : 'Partly correct answer',
+        sourceType: 'question_attempt',
+        sourceId: attemptResult.insertId
+    });
+    await recordPoints(connection, {
+        userId,
+        event: 'hint_penalty',
+        points: pointsEarned - answerPoints,
+        reason: `${hintsUsed} hint${hintsUsed === 1 ? '' : 's'} used`,
+        sourceType: 'question_attempt',
+        sourceId: attemptResult.insertId
+    });
+
+    // Update the streak (a partly right answer keeps its points but ends it)
+    if (isCorrect) {
+        await connection.execute(`
+            UPDATE users 
+            SET current_streak = current_streak + 1,
+                best_streak = GREATEST(best_streak, current_streak + 1)
+            WHERE id = ?
+        `, [userId]);
+    } else {
+        await connection.execute(`
+            UPDATE users SET current_streak = 0 WHERE id = ?
+        `, [userId]);
+    }
+
+    // Schedule the next spaced-repetition review of this question
+    const review = await recordReview(connection, { userId, questionId, isCorrect, hintUsed });
+
+    // Update the child's ability estimate for this category
+    const skill = await updateSkill(connection, { userId, question, isCorrect });
+
+    // Move the child's mastery of the concepts the question practises
+    const concepts = await recordConceptAnswer(connection, { userId, questionId, isCorrect, credit });
+
+    // Update user progress for category
+    // (questions_answered already holds its new value when is_completed is evaluated)
+    await connection.execute(`
+        INSERT INTO user_progress (user_id, category_id, questions_answered, correct_answers, points_earned)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+            questions_answered = questions_answered + VALUES(questions_answered),
+            correct_answers = correct_answers + VALUES(correct_answers),
+            points_earned = points_earned + VALUES(points_earned),
+            is_completed = CASE 
+                WHEN questions_answered >= (SELECT total_questions FROM categories WHERE id = ?) 
+                THEN 1 ELSE 0 
+            END
+    `, [
+        userId, question.category_id, isFirstAttempt ? 1 : 0,
+        isFirstAttempt && isCorrect ? 1 : 0, pointsEarned, question.category_id
+    ]);
+
+    // Update question type performance for adaptive learning
+    // (assignments run left to right, so the average uses the old attempt count
+    // and the success rate the new ones)
+    await connection.execute(`
+        INSERT INTO user_question_type_performance 
+        (user_id, question_type_id, total_attempts, correct_attempts, success_rate, avg_time_taken)
+        VALUES (?, ?, 1, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+            avg_time_taken = ((avg_time_taken * total_attempts) + VALUES(avg_time_taken)) / (total_attempts + 1),
+            total_attempts = total_attempts + 1,
+            correct_attempts = correct_attempts + VALUES(correct_attempts),
+            success_rate = correct_attempts / total_attempts * 100
+    `, [userId, question.question_type_id, isCorrect ? 1 : 0, isCorrect ? 100 : 0, timeTaken]);
+
+    // Move the session on, completing it after its last question
+    // (finishing a daily challenge pays its bonus points)
+    const session = sessionId ? await recordSessionProgress(connection, sessionId) : null;
+    const bonusPoints = session && session.status === 'completed' ? session.bonusPoints : 0;
+
+    // Playing today keeps the daily streak going; points earn streak freezes
+    const dailyStreak = await recordDailyActivity(connection, userId);
+
+    // Weekly and monthly leaderboards count the child's local date
+    await recordLeaderboardPoints(connection, userId, pointsEarned, dailyStreak.today);
+
+    // Check for new badges
+    const newBadges = await checkAndAwardBadges(connection, userId, sessionId);
+
+    // What the child reads afterwards, in their language
+    const locale = await userLocale(connection, userId, acceptedLocale);
+    const shownQuestion = await translateRow(connection, 'question', question, locale);
+    const shownOptions = await translateRows(connection, 'option', options, locale);
+    const shownTargets = await translateRows(connection, 'target', targets, locale);
+
+    const response = {
+        isCorrect,
+        credit,
+        pointsEarned,
+        hintsUsed,
+        timeTaken,
+        locale,
+        explanation: shownQuestion.explanation || 'Great job!',
+        feedback: answerFeedback(shownQuestion, grader, answer, shownOptions),
+        correctAnswer: grader.correctAnswer(shownOptions, shownTargets),
+        nextReviewInDays: review.intervalDays,
+        skill,
+        concepts,
+        dailyStreak,
+        bonusPoints,
+        newBadges: await translateRows(connection, 'badge', newBadges, locale),
+        session
+    };
+
+    return { response };
+}
+
+module.exports = {
+    recordAnswer
+};
@@ -0,0 +1,223 @@
+// lib/assignments.js - Work a teacher sets for a class, and how far each child got
+//
+// An assignment is a fixed set of questions, hand-picked or taken from whole
+// categories when it is created. It can be worked on between opens_at and
+// due_at. Each child works through it in one quiz session of mode
+// 'assignment', so tickets, answers and the session summary work as for any
+// other round.
+
+const { getSession, pickFromQuestionSet } = require('./sessions');
+
+// A session's question_count is a TINYINT
+const MAX_ASSIGNMENT_QUESTIONS = 100;
+
+const ASSIGNMENT_COLUMNS = `
+    a.*,
+    (SELECT COUNT(*) FROM assignment_questions aq WHERE aq.assignment_id = a.id) as question_count,
+    a.opens_at > NOW() as is_upcoming,
+    a.due_at <= NOW() as is_past_due
+`;
+
+async function getAssignment(connection, assignmentId) {
+    const [assignments] = await connection.execute(`
+        SELECT ${ASSIGNMENT_COLUMNS} FROM assignments a WHERE a.id = ?
+    `, [assignmentId]);
+    return assignments[0] || null;
+}
+
+async function getClassAssignments(connection, classId) {
+    const [assignments] = await connection.execute(`
+        SELECT ${ASSIGNMENT_COLUMNS} FROM assignments a
+        WHERE a.class_id = ?
+        ORDER BY a.due_at DESC, a.id DESC
+    `, [classId]);
+    return assignments;
+}
+
+// The question ids an assignment will use, in order: the hand-picked ones, or
+// every active question of the chosen categories
+async function resolveQuestionIds(connection, { categoryIds, questionIds }) {
+    if (questionIds) return questionIds;
+
+    const [questions] = await connection.query(`
+        SELECT id FROM questions
+        WHERE category_id IN (?) AND is_active = true
+        ORDER BY FIELD(category_id, ?), sort_order, id
+    `, [categoryIds, categoryIds]);
+    return questions.map(question => question.id);
+}
+
+async function createAssignment(connection, { classId, accountId, title, opensAt, dueAt, categoryIds = [], questionIds }) {
+    const [result] = await connection.execute(`
+        INSERT INTO assignments (class_id, title, opens_at, due_at, created_by_account_id)
+        VALUES (?, ?, ?, ?, ?)
+    `, [classId, title, opensAt, dueAt, accountId]);
+
+    for (const categoryId of categoryIds) {
+        await connection.execute(`
+            INSERT INTO assignment_categories (assignment_id, category_id) VALUES (?, ?)
+        `, [result.insertId, categoryId]);
+    }
+
+    for (const [index, questionId] of questionIds.entries()) {
+        await connection.execute(`
+            INSERT INTO assignment_questions (assignment_id, question_id, position) VALUES (?, ?, ?)
+        `, [result.insertId, questionId, index + 1]);
+    }
+
+    return getAssignment(connection, result.insertId);
+}
+
+function assignmentStatus(assignment) {
+    if (assignment.is_upcoming) return 'upcoming';
+    if (assignment.is_past_due) return 'closed';
+    return 'open';
+}
+
+// done: the child's session is completed (or every question answered);
+// partial: some answered; not_started: none. A question deactivated after the
+// assignment was set is skipped, so the session can complete without it.
+function progressStatus(answered, questionCount, sessionStatus) {
+    if (sessionStatus === 'completed' || (answered > 0 && answered >= questionCount)) return 'done';
+    return answered === 0 ? 'not_started' : 'partial';
+}
+
+function toPublicAssignment(assignment) {
+    return {
+        id: assignment.id,
+        classId: assignment.class_id,
+        title: assignment.title,
+        opensAt: assignment.opens_at,
+        dueAt: assignment.due_at,
+        status: assignmentStatus(assignment),
+        questionCount: assignment.question_count,
+        createdAt: assignment.created_at
+    };
+}
+
+// Assignments of the child's classes that are open, upcoming or were due in
+// the last week, with the child's progress on each
+async function getStudentAssignments(connection, userId) {
+    const [assignments] = await connection.execute(`
+        SELECT ${ASSIGNMENT_COLUMNS}, g.name as class_name,
+               s.id as session_id, s.status as session_status,
+               (SELECT COUNT(*) FROM question_attempts qa WHERE qa.session_id = s.id) as answered
+        FROM assignments a
+        JOIN learner_groups g ON g.id = a.class_id
+        JOIN learner_group_members m ON m.group_id = a.class_id AND m.user_id = ?
+        LEFT JOIN quiz_sessions s ON s.assignment_id = a.id AND s.user_id = m.user_id
+        WHERE a.due_at > NOW() - INTERVAL 7 DAY
+        ORDER BY a.due_at, a.id
+    `, [userId]);
+
+    return assignments.map(assignment => ({
+        ...toPublicAssignment(assignment),
+        className: assignment.class_name,
+        sessionId: assignment.session_id,
+        answered: assignment.answered,
+        progress: progressStatus(assignment.answered, assignment.question_count, assignment.session_status)
+    }));
+}
+
+// Whether the child is in the assignment's class
+async function isAssignedTo(connection, assignment, userId) {
+    const [members] = await connection.execute(`
+        SELECT id FROM learner_group_members WHERE group_id = ? AND user_id = ?
+    `, [assignment.class_id, userId]);
+    return members.length > 0;
+}
+
+// The child's session for the assignment, started the first time they open it
+async function getAssignmentSession(connection, userId, assignment) {
+    await connection.execute(`
+        INSERT IGNORE INTO quiz_sessions
+        (user_id, assignment_id, mode, question_count, streak_at_start, best_streak_at_start)
+        SELECT id, ?, 'assignment', ?, current_streak, best_streak FROM users WHERE id = ?
+    `, [assignment.id, assignment.question_count, userId]);
+
+    const [sessions] = await connection.execute(`
+        SELECT id FROM quiz_sessions WHERE user_id = ? AND assignment_id = ?
+    `, [userId, assignment.id]);
+    return getSession(connection, sessions[0].id);
+}
+
+// When the child asks for a question in a category while working on an open
+// assignment that still has unanswered questions there, the question comes
+// from the assignment. Returns { question, sessionId } or null.
+async function pickAssignmentQuestion(connection, userId, categoryId) {
+    const [sessions] = await connection.execute(`
+        SELECT s.id
+        FROM quiz_sessions s
+        JOIN assignments a ON a.id = s.assignment_id
+        WHERE s.user_id = ? AND s.mode = 'assignment' AND s.status = 'active'
+          AND a.opens_at <= NOW() AND a.due_at > NOW()
+        ORDER BY a.due_at, a.id
+    `, [userId]);
+
+    for (const { id } of sessions) {
+        const session = await getSession(connection, id);
+        const question = await pickFromQuestionSet(connection, session, { categoryId });
+        if (question) return { question, sessionId: session.id };
+    }
+    return null;
+}
+
+// Per student of the class: done / partial / not started, score and time
+async function getCompletionReport(connection, assignment) {
+    const [rows] = await connection.execute(`
+        SELECT u.id, u.name, u.handle, u.avatar,
+               s.id as session_id, s.status as session_status, s.started_at, s.completed_at,
+               COUNT(qa.id) as answered,
+               COALESCE(SUM(qa.is_correct), 0) as correct,
+               COALESCE(SUM(qa.credit), 0) as credit,
+               COALESCE(SUM(qa.points_earned), 0) as points,
+               COALESCE(SUM(qa.time_taken), 0) as total_seconds
+        FROM learner_group_members m
+        JOIN users u ON u.id = m.user_id
+        LEFT JOIN quiz_sessions s ON s.assignment_id = ? AND s.user_id = u.id
+        LEFT JOIN question_attempts qa ON qa.session_id = s.id
+        WHERE m.group_id = ?
+        GROUP BY u.id, u.name, u.handle, u.avatar, s.id, s.status, s.started_at, s.completed_at
+        ORDER BY u.name, u.id
+    `, [assignment.id, assignment.class_id]);
+
+    const students = rows.map(row => {
+        const answered = Number(row.answered);
+        return {
+            userId: row.id,
+            name: row.name,
+            handle: row.handle,
+            avatar: row.avatar,
+            status: progressStatus(answered, assignment.question_count, row.session_status),
+            answered,
+            correct: Number(row.correct),
+            // Share of the whole assignment, with partial credit counted
+            scorePercent: assignment.question_count > 0
+                ? Math.round(Number(row.credit) / assignment.question_count * 100)
+                : 0,
+            points: Number(row.points),
+            totalSeconds: Number(row.total_seconds),
+            startedAt: row.started_at,
+            completedAt: row.completed_at
+        };
+    });
+
+    const counts = { done: 0, partial: 0, not_started: 0 };
+    students.forEach(student => counts[student.status]++);
+
+    return { assignment: toPublicAssignment(assignment), counts, students };
+}
+
+module.exports = {
+    MAX_ASSIGNMENT_QUESTIONS,
+    getAssignment,
+    getClassAssignments,
+    resolveQuestionIds,
+    createAssignment,
+    toPublicAssignment,
+    getStudentAssignments,
+    isAssignedTo,
+    getAssignmentSession,
+    pickAssignmentQuestion,
+    getCompletionReport
+};
@@ -0,0 +1,130 @@
+// lib/badge-rules.js - Badge conditions stored as data in badges.rule
+//
+// A rule is a JSON object with a kind and that kind's parameters, e.g.
+//   { "kind": "points", "min": 100 }
+//   { "kind": "fast_answers", "min": 10, "maxSeconds": 8 }
+//   { "kind": "all", "rules": [{ "kind": "perfect_category" }, { "kind": "no_hints", "min": 20 }] }
+// Each kind has:
+//   validate(rule)      an error message or null
+//   check(rule, stats)  whether the stats snapshot (see lib/badges.js) meets it
+//   categoryIds(rule)   category ids the rule refers to, for existence checks
+
+const ruleKinds = new Map();
+
+function registerRuleKind(name, ruleKind) {
+    ruleKinds.set(name, { categoryIds: () => [], ...ruleKind });
+}
+
+function ruleKindNames() {
+    return [...ruleKinds.keys()];
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 1;
+}
+
+// Rules that compare one number of the snapshot to rule.min
+function registerCountRule(name, statKey) {
+    registerRuleKind(name, {
+        validate: rule => (isCount(rule.min) ? null : `A ${name} rule needs a whole number min of at least 1`),
+        check: (rule, stats) => stats[statKey] >= rule.min
+    });
+}
+
+registerCountRule('points', 'totalPoints');
+// Correct answers in a row
+registerCountRule('streak', 'currentStreak');
+registerCountRule('questions_answered', 'questionsAnswered');
+registerCountRule('daily_challenge', 'dailyChallengesCompleted');
+// Calendar days with at least one answer, not necessarily in a row
+registerCountRule('days_active', 'daysActive');
+// Correct answers given without revealing a hint
+registerCountRule('no_hints', 'correctWithoutHints');
+// Questions that reached the last spaced-repetition box
+registerCountRule('review_mastery', 'reviewsMastered');
+
+// At least min correct answers given within maxSeconds
+registerRuleKind('fast_answers', {
+    validate(rule) {
+        if (!isCount(rule.min)) return 'A fast_answers rule needs a whole number min of at least 1';
+        if (!isCount(rule.maxSeconds)) return 'A fast_answers rule needs a whole number maxSeconds of at least 1';
+        return null;
+    },
+    check(rule, stats) {
+        const fast = stats.correctAnswerTimes
+            .filter(time => time.seconds <= rule.maxSeconds)
+            .reduce((sum, time) => sum + time.count, 0);
+        return fast >= rule.min;
+    }
+});
+
+registerRuleKind('category_complete', {
+    validate: rule => (isCount(rule.categoryId) ? null : 'A category_complete rule needs a categoryId'),
+    check: (rule, stats) => Boolean(stats.categories.get(rule.categoryId)?.isCompleted),
+    categoryIds: rule => [rule.categoryId]
+});
+
+// A completed category without a single wrong answer in it: the given
+// category, or any category when no categoryId is set
+registerRuleKind('perfect_category', {
+    validate: rule => (rule.categoryId === undefined || isCount(rule.categoryId)
+        ? null
+        : 'A perfect_category rule takes an optional categoryId'),
+    check(rule, stats) {
+        const isPerfect = category => category && category.isCompleted && category.wrongAnswers === 0;
+        return rule.categoryId
+            ? isPerfect(stats.categories.get(rule.categoryId))
+            : [...stats.categories.values()].some(isPerfect);
+    },
+    categoryIds: rule => (rule.categoryId ? [rule.categoryId] : [])
+});
+
+// Every category that has questions
+registerRuleKind('all_categories_complete', {
+    validate: () => null,
+    check(rule, stats) {
+        const categories = [...stats.categories.values()].filter(category => category.totalQuestions > 0);
+        return categories.length > 0 && categories.every(category => category.isCompleted);
+    }
+});
+
+// Every nested rule at once
+registerRuleKind('all', {
+    validate(rule) {
+        if (!Array.isArray(rule.rules) || rule.rules.length === 0) {
+            return 'An all rule needs a non-empty rules list';
+        }
+        for (const nested of rule.rules) {
+            const error = validateRule(nested);
+            if (error) return error;
+        }
+        return null;
+    },
+    check: (rule, stats) => rule.rules.every(nested => checkRule(nested, stats)),
+    categoryIds: rule => rule.rules.flatMap(ruleCategoryIds)
+});
+
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'A badge rule must be an object';
+    const ruleKind = ruleKinds.get(rule.kind);
+    if (!ruleKind) return `Unknown badge rule kind: ${rule.kind}. Known kinds: ${ruleKindNames().join(', ')}`;
+    return ruleKind.validate(rule);
+}
+
+// Unknown kinds (say, from a newer server) never award
+function checkRule(rule, stats) {
+    const ruleKind = rule && ruleKinds.get(rule.kind);
+    return ruleKind ? Boolean(ruleKind.check(rule, stats)) : false;
+}
+
+function ruleCategoryIds(rule) {
+    return ruleKinds.get(rule.kind).categoryIds(rule);
+}
+
+module.exports = {
+    registerRuleKind,
+    ruleKindNames,
+    validateRule,
+    checkRule,
+    ruleCategoryIds
+};
@@ -0,0 +1,97 @@
+// lib/badges.js - Awarding badges after an answer
+//
+// What a badge asks for is data: badges.rule, checked by lib/badge-rules.js
+// against one snapshot of the child's stats. The snapshot costs the same few
+// queries however many badges there are.
+
+const { checkRule } = require('./badge-rules');
+const { MAX_BOX } = require('./review-scheduler');
+
+async function loadBadgeStats(connection, userId) {
+    const [totals] = await connection.execute(`
+        SELECT u.total_points, u.current_streak,
+               (SELECT COUNT(*) FROM question_attempts WHERE user_id = u.id) as questions_answered,
+               (SELECT COUNT(*) FROM question_attempts
+                WHERE user_id = u.id AND is_correct = true AND hints_used = 0) as correct_without_hints,
+               (SELECT COUNT(*) FROM user_daily_activity
+                WHERE user_id = u.id AND questions_answered > 0) as days_active,
+               (SELECT COUNT(*) FROM quiz_sessions
+                WHERE user_id = u.id AND mode = 'daily' AND status = 'completed') as daily_challenges_completed,
+               (SELECT COUNT(*) FROM review_items WHERE user_id = u.id AND box >= ?) as reviews_mastered
+        FROM users u WHERE u.id = ?
+    `, [MAX_BOX, userId]);
+
+    if (totals.length === 0) return null;
+    const total = totals[0];
+
+    const [times] = await connection.execute(`
+        SELECT time_taken, COUNT(*) as count FROM question_attempts
+        WHERE user_id = ? AND is_correct = true AND time_taken IS NOT NULL
+        GROUP BY time_taken
+    `, [userId]);
+
+    const [categories] = await connection.execute(`
+        SELECT c.id, c.total_questions,
+               COALESCE(up.is_completed, false) as is_completed,
+               COALESCE(wrong.count, 0) as wrong_answers
+        FROM categories c
+        LEFT JOIN user_progress up ON up.category_id = c.id AND up.user_id = ?
+        LEFT JOIN (
+            SELECT q.category_id, COUNT(*) as count
+            FROM question_attempts qa
+            JOIN questions q ON q.id = qa.question_id
+            WHERE qa.user_id = ? AND qa.is_correct = false
+            GROUP BY q.category_id
+        ) wrong ON wrong.category_id = c.id
+    `, [userId, userId]);
+
+    return {
+        totalPoints: total.total_points,
+        currentStreak: total.current_streak,
+        questionsAnswered: Number(total.questions_answered),
+        correctWithoutHints: Number(total.correct_without_hints),
+        daysActive: Number(total.days_active),
+        dailyChallengesCompleted: Number(total.daily_challenges_completed),
+        reviewsMastered: Number(total.reviews_mastered),
+        correctAnswerTimes: times.map(time => ({ seconds: time.time_taken, count: Number(time.count) })),
+        categories: new Map(categories.map(category => [category.id, {
+            totalQuestions: category.total_questions,
+            isCompleted: Boolean(category.is_completed),
+            wrongAnswers: Number(category.wrong_answers)
+        }]))
+    };
+}
+
+// Awards every badge the user has newly earned and returns them. Runs on the
+// caller's connection so it is part of the answer's transaction; sessionId
+// records the quiz round the badges were earned in.
+async function checkAndAwardBadges(connection, userId, sessionId = null) {
+    const [badges] = await connection.execute(`
+        SELECT * FROM badges
+        WHERE id NOT IN (
+            SELECT badge_id FROM user_badges WHERE user_id = ?
+        )
+    `, [userId]);
+
+    if (badges.length === 0) return [];
+
+    const stats = await loadBadgeStats(connection, userId);
+    if (!stats) return [];
+
+    const newBadges = [];
+    for (const badge of badges) {
+        if (checkRule(badge.rule, stats)) {
+            await connection.execute(`
+                INSERT INTO user_badges (user_id, badge_id, session_id) VALUES (?, ?, ?)
+            `, [userId, badge.id, sessionId]);
+            newBadges.push(badge);
+        }
+    }
+
+    return newBadges;
+}
+
+module.exports = {
+    loadBadgeStats,
+    checkAndAwardBadges
+};
@@ -0,0 +1,107 @@
+// lib/classes.js - What a teacher sees of a class: the roster and where it struggles
+//
+// Classes are learner groups of kind 'class' owned by a teacher account;
+// children join them with the join code like any other group.
+
+const MOST_MISSED_LIMIT = 10;
+
+const MEMBERS_SQL = 'SELECT user_id FROM learner_group_members WHERE group_id = ?';
+
+// The teacher's class, or null if it isn't theirs (or isn't a class)
+async function getTeacherClass(connection, classId, accountId) {
+    const [classes] = await connection.execute(`
+        SELECT g.*, (SELECT COUNT(*) FROM learner_group_members m WHERE m.group_id = g.id) as member_count
+        FROM learner_groups g
+        WHERE g.id = ? AND g.kind = 'class' AND g.owner_account_id = ?
+    `, [classId, accountId]);
+    return classes[0] || null;
+}
+
+// Every child in the class with their progress per category and badges
+async function getRoster(connection, classId) {
+    const [students] = await connection.execute(`
+        SELECT u.id, u.name, u.handle, u.avatar, u.total_points, u.last_active, m.joined_at
+        FROM learner_group_members m
+        JOIN users u ON u.id = m.user_id
+        WHERE m.group_id = ?
+        ORDER BY u.name, u.id
+    `, [classId]);
+
+    const [progress] = await connection.execute(`
+        SELECT up.user_id, up.category_id, c.name, c.icon, c.total_questions,
+               up.questions_answered, up.correct_answers, up.points_earned, up.is_completed
+        FROM user_progress up
+        JOIN categories c ON c.id = up.category_id
+        WHERE up.user_id IN (${MEMBERS_SQL})
+        ORDER BY up.category_id
+    `, [classId]);
+
+    const [badges] = await connection.execute(`
+        SELECT ub.user_id, b.id, b.name, b.icon, ub.earned_at
+        FROM user_badges ub
+        JOIN badges b ON b.id = ub.badge_id
+        WHERE ub.user_id IN (${MEMBERS_SQL})
+        ORDER BY ub.earned_at
+    `, [classId]);
+
+    return students.map(student => ({
+        id: student.id,
+        name: student.name,
+        handle: student.handle,
+        avatar: student.avatar,
+        totalPoints: student.total_points,
+        lastActive: student.last_active,
+        joinedAt: student.joined_at,
+        categories: progress
+            .filter(row => row.user_id === student.id)
+            .map(row => ({
+                categoryId: row.category_id,
+                name: row.name,
+                icon: row.icon,
+                totalQuestions: row.total_questions,
+                questionsAnswered: row.questions_answered,
+                correctAnswers: row.correct_answers,
+                pointsEarned: row.points_earned,
+                isCompleted: Boolean(row.is_completed)
+            })),
+        badges: badges
+            .filter(row => row.user_id === student.id)
+            .map(({ user_id, ...badge }) => badge)
+    }));
+}
+
+// The questions the class answers wrongly most often
+async function getMostMissedQuestions(connection, classId, limit = MOST_MISSED_LIMIT) {
+    const [questions] = await connection.execute(`
+        SELECT q.id, q.question_text, q.category_id, c.name as category_name,
+               COUNT(*) as attempts,
+               SUM(qa.is_correct = 0) as wrong_attempts,
+               COUNT(DISTINCT CASE WHEN qa.is_correct = 0 THEN qa.user_id END) as students_wrong
+        FROM question_attempts qa
+        JOIN questions q ON q.id = qa.question_id
+        JOIN categories c ON c.id = q.category_id
+        WHERE qa.user_id IN (${MEMBERS_SQL})
+        GROUP BY q.id, q.question_text, q.category_id, c.name
+        HAVING wrong_attempts > 0
+        ORDER BY wrong_attempts DESC, students_wrong DESC, q.id
+        LIMIT ${Number(limit)}
+    `, [classId]);
+
+    return questions.map(question => ({
+        questionId: question.id,
+        questionText: question.question_text,
+        categoryId: question.category_id,
+        categoryName: question.category_name,
+        attempts: question.attempts,
+        wrongAttempts: Number(question.wrong_attempts),
+        studentsWrong: question.students_wrong,
+        wrongRate: Math.round(Number(question.wrong_attempts) / question.attempts * 100)
+    }));
+}
+
+module.exports = {
+    MOST_MISSED_LIMIT,
+    getTeacherClass,
+    getRoster,
+    getMostMissedQuestions
+};
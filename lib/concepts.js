@@ -0,0 +1,176 @@
+// lib/concepts.js - Cybersecurity concepts questions teach, and how well each child knows them
+//
+// A category mixes several ideas, so questions are tagged with the concepts
+// they practise. Every answer moves the child's mastery of each of the
+// question's concepts towards the credit it earned: quickly over the first few
+// answers, then as a moving average that follows recent answers. Mastery is
+// rebuilt from question_attempts by lib/recompute.js, which steps through the
+// answers with nextMastery exactly as recordConceptAnswer does.
+
+// Keys are stored in question_concepts and user_concept_mastery
+const CONCEPTS = [
+    { key: 'pii', name: 'Personal information', description: 'Keeping your name, address, school and photos to yourself' },
+    { key: 'phishing', name: 'Phishing', description: 'Spotting fake links, sites and messages' },
+    { key: 'password-strength', name: 'Strong passwords', description: 'Making passwords that are hard to guess' },
+    { key: 'password-sharing', name: 'Keeping passwords secret', description: 'Only sharing passwords with a parent' },
+    { key: 'password-reuse', name: 'Password reuse', description: 'Using a different password for each account' },
+    { key: 'stranger-contact', name: 'Stranger contact', description: 'What to do when someone you don\'t know gets in touch' },
+    { key: 'scam-prizes', name: 'Scam prizes', description: 'Prizes and free things that are really a trick' },
+    { key: 'pop-ups', name: 'Pop-ups and ads', description: 'Not clicking pop-ups and ads' },
+    { key: 'downloads', name: 'Downloads', description: 'Asking before downloading anything' }
+];
+const CONCEPT_KEYS = CONCEPTS.map(concept => concept.key);
+
+// Nothing known yet: halfway
+const INITIAL_MASTERY = 0.5;
+// The smallest share of the gap one answer closes, once the average settles
+const MIN_LEARNING_RATE = 0.25;
+// A concept counts as mastered at this level after at least MASTERY_MIN_ATTEMPTS answers
+const MASTERED_LEVEL = 0.8;
+const MASTERY_MIN_ATTEMPTS = 3;
+// The adaptive selector favours questions on weak concepts by up to this much
+const CONCEPT_GAP_BONUS = 0.1;
+
+// Stored with three decimals, so rebuilding step by step gives the same value
+function round3(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Mastery after an answer earning credit (0–1), with attempts answers before it
+function nextMastery(mastery, attempts, credit) {
+    const rate = Math.max(1 / (attempts + 2), MIN_LEARNING_RATE);
+    return round3(mastery + rate * (credit - mastery));
+}
+
+function masteryStatus(mastery, attempts) {
+    if (attempts === 0) return 'not_started';
+    if (mastery >= MASTERED_LEVEL && attempts >= MASTERY_MIN_ATTEMPTS) return 'mastered';
+    return mastery >= INITIAL_MASTERY ? 'practising' : 'learning';
+}
+
+// Concept keys per question id, for the given questions
+async function getQuestionConcepts(connection, questionIds) {
+    const concepts = new Map(questionIds.map(questionId => [questionId, []]));
+    if (questionIds.length === 0) return concepts;
+
+    const [rows] = await connection.query(`
+        SELECT question_id, concept_key FROM question_concepts
+        WHERE question_id IN (?)
+        ORDER BY question_id, concept_key
+    `, [questionIds]);
+
+    for (const row of rows) concepts.get(row.question_id).push(row.concept_key);
+    return concepts;
+}
+
+// Replace a question's concept tags
+async function setQuestionConcepts(connection, questionId, conceptKeys) {
+    await connection.execute(`
+        DELETE FROM question_concepts WHERE question_id = ?
+    `, [questionId]);
+
+    for (const conceptKey of conceptKeys) {
+        await connection.execute(`
+            INSERT INTO question_concepts (question_id, concept_key) VALUES (?, ?)
+        `, [questionId, conceptKey]);
+    }
+}
+
+// Update the child's mastery of each concept the question is tagged with.
+// Returns [{ concept, mastery, status }] for the concepts that moved.
+async function recordConceptAnswer(connection, { userId, questionId, isCorrect, credit }) {
+    const conceptKeys = (await getQuestionConcepts(connection, [questionId])).get(questionId);
+    const updated = [];
+
+    for (const conceptKey of conceptKeys) {
+        const [rows] = await connection.execute(`
+            SELECT mastery, attempts FROM user_concept_mastery
+            WHERE user_id = ? AND concept_key = ?
+        `, [userId, conceptKey]);
+
+        const current = rows.length > 0
+            ? { mastery: Number(rows[0].mastery), attempts: rows[0].attempts }
+            : { mastery: INITIAL_MASTERY, attempts: 0 };
+        const mastery = nextMastery(current.mastery, current.attempts, credit);
+
+        await connection.execute(`
+            INSERT INTO user_concept_mastery (user_id, concept_key, mastery, attempts, correct_attempts, last_practiced_at)
+            VALUES (?, ?, ?, 1, ?, CURRENT_TIMESTAMP)
+            ON DUPLICATE KEY UPDATE
+                mastery = VALUES(mastery),
+                attempts = attempts + 1,
+                correct_attempts = correct_attempts + VALUES(correct_attempts),
+                last_practiced_at = VALUES(last_practiced_at)
+        `, [userId, conceptKey, mastery, isCorrect ? 1 : 0]);
+
+        updated.push({ concept: conceptKey, mastery, status: masteryStatus(mastery, current.attempts + 1) });
+    }
+
+    return updated;
+}
+
+// Mastery of every concept by the child, as a Map of concept key to
+// { mastery, attempts, correctAttempts, lastPracticedAt }. Concepts the
+// child hasn't met are left out.
+async function loadConceptMastery(connection, userId) {
+    const [rows] = await connection.execute(`
+        SELECT concept_key, mastery, attempts, correct_attempts, last_practiced_at
+        FROM user_concept_mastery WHERE user_id = ?
+    `, [userId]);
+
+    return new Map(rows.map(row => [row.concept_key, {
+        mastery: Number(row.mastery),
+        attempts: row.attempts,
+        correctAttempts: row.correct_attempts,
+        lastPracticedAt: row.last_practiced_at
+    }]));
+}
+
+// Active questions per concept key
+async function countConceptQuestions(connection) {
+    const [counts] = await connection.execute(`
+        SELECT qc.concept_key, COUNT(*) as question_count
+        FROM question_concepts qc
+        JOIN questions q ON q.id = qc.question_id
+        WHERE q.is_active = true
+        GROUP BY qc.concept_key
+    `);
+    return new Map(counts.map(row => [row.concept_key, row.question_count]));
+}
+
+// Every concept with the child's mastery of it, weakest practised concept
+// first, then the ones not started
+async function getConceptMastery(connection, userId) {
+    const stored = await loadConceptMastery(connection, userId);
+    const questionCounts = await countConceptQuestions(connection);
+
+    return CONCEPTS
+        .map(concept => {
+            const row = stored.get(concept.key) || { mastery: INITIAL_MASTERY, attempts: 0, correctAttempts: 0, lastPracticedAt: null };
+            return {
+                ...concept,
+                questionCount: questionCounts.get(concept.key) || 0,
+                mastery: row.mastery,
+                status: masteryStatus(row.mastery, row.attempts),
+                attempts: row.attempts,
+                correctAttempts: row.correctAttempts,
+                lastPracticedAt: row.lastPracticedAt
+            };
+        })
+        .sort((a, b) => (a.attempts === 0) - (b.attempts === 0) || a.mastery - b.mastery);
+}
+
+module.exports = {
+    CONCEPTS,
+    CONCEPT_KEYS,
+    INITIAL_MASTERY,
+    CONCEPT_GAP_BONUS,
+    nextMastery,
+    masteryStatus,
+    getQuestionConcepts,
+    setQuestionConcepts,
+    recordConceptAnswer,
+    loadConceptMastery,
+    countConceptQuestions,
+    getConceptMastery
+};
@@ -0,0 +1,144 @@
+// lib/daily-challenge.js - One set of questions for everyone, per calendar day
+//
+// Admins can curate the challenge of a date in advance. A date nobody curated
+// gets DAILY_CHALLENGE_SIZE active questions picked the first time a child
+// asks for it; the pick is seeded by the date so it doesn't depend on who asks
+// first. Each child plays the challenge once, as a quiz session of mode
+// 'daily', and finishing it earns the challenge's bonus points.
+
+const DAILY_CHALLENGE_SIZE = 5;
+const DEFAULT_BONUS_POINTS = 20;
+
+async function findChallenge(connection, date, { lock = false } = {}) {
+    const [challenges] = await connection.execute(`
+        SELECT id, DATE_FORMAT(challenge_date, '%Y-%m-%d') as challenge_date,
+               title, bonus_points, is_curated
+        FROM daily_challenges
+        WHERE challenge_date = ?
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [date]);
+    return challenges[0] || null;
+}
+
+async function getChallengeQuestionIds(connection, challengeId, { lock = false } = {}) {
+    const [questions] = await connection.execute(`
+        SELECT question_id FROM daily_challenge_questions
+        WHERE challenge_id = ?
+        ORDER BY position
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [challengeId]);
+    return questions.map(question => question.question_id);
+}
+
+async function insertChallengeQuestions(connection, challengeId, questionIds) {
+    for (const [index, questionId] of questionIds.entries()) {
+        await connection.execute(`
+            INSERT INTO daily_challenge_questions (challenge_id, question_id, position)
+            VALUES (?, ?, ?)
+        `, [challengeId, questionId, index + 1]);
+    }
+}
+
+// The challenge of a date ('YYYY-MM-DD') with its question ids, or null when
+// there are no active questions to build one from
+async function getChallengeForDate(connection, date) {
+    let challenge = await findChallenge(connection, date);
+    const built = !challenge;
+
+    if (built) {
+        const [questions] = await connection.execute(`
+            SELECT id FROM questions
+            WHERE is_active = true
+            ORDER BY MD5(CONCAT(?, '-', id))
+            LIMIT ${DAILY_CHALLENGE_SIZE}
+        `, [date]);
+
+        if (questions.length === 0) return null;
+
+        // Two children asking at once must end up with the same challenge
+        const [result] = await connection.execute(`
+            INSERT IGNORE INTO daily_challenges (challenge_date, title, bonus_points)
+            VALUES (?, 'Daily Challenge', ?)
+        `, [date, DEFAULT_BONUS_POINTS]);
+
+        if (result.affectedRows > 0) {
+            await insertChallengeQuestions(connection, result.insertId, questions.map(question => question.id));
+        }
+
+        // Rows another child just inserted aren't in this transaction's
+        // snapshot; locking reads see them, once they are committed
+        challenge = await findChallenge(connection, date, { lock: true });
+        if (!challenge) return null;
+    }
+
+    return {
+        ...challenge,
+        questionIds: await getChallengeQuestionIds(connection, challenge.id, { lock: built })
+    };
+}
+
+// Create or replace the curated challenge of a date. Returns false when
+// children have already started it, since they must all get the same questions.
+async function saveCuratedChallenge(connection, { date, title, bonusPoints, questionIds }) {
+    const existing = await findChallenge(connection, date);
+
+    if (existing) {
+        const [sessions] = await connection.execute(`
+            SELECT COUNT(*) as count FROM quiz_sessions WHERE daily_challenge_id = ?
+        `, [existing.id]);
+
+        if (sessions[0].count > 0) return false;
+
+        await connection.execute(`
+            UPDATE daily_challenges SET title = ?, bonus_points = ?, is_curated = true WHERE id = ?
+        `, [title, bonusPoints, existing.id]);
+        await connection.execute(`
+            DELETE FROM daily_challenge_questions WHERE challenge_id = ?
+        `, [existing.id]);
+        await insertChallengeQuestions(connection, existing.id, questionIds);
+    } else {
+        const [result] = await connection.execute(`
+            INSERT INTO daily_challenges (challenge_date, title, bonus_points, is_curated)
+            VALUES (?, ?, ?, true)
+        `, [date, title, bonusPoints]);
+        await insertChallengeQuestions(connection, result.insertId, questionIds);
+    }
+
+    return true;
+}
+
+// The child's session for the challenge, started on first visit
+async function getDailySession(connection, userId, challenge) {
+    await connection.execute(`
+        INSERT IGNORE INTO quiz_sessions
+        (user_id, daily_challenge_id, mode, question_count, streak_at_start, best_streak_at_start)
+        SELECT id, ?, 'daily', ?, current_streak, best_streak FROM users WHERE id = ?
+    `, [challenge.id, challenge.questionIds.length, userId]);
+
+    // Locking read: a session a second request just started isn't in the snapshot
+    const [sessions] = await connection.execute(`
+        SELECT id FROM quiz_sessions WHERE user_id = ? AND daily_challenge_id = ? FOR UPDATE
+    `, [userId, challenge.id]);
+    return sessions[0].id;
+}
+
+function toPublicChallenge(challenge) {
+    return {
+        id: challenge.id,
+        date: challenge.challenge_date,
+        title: challenge.title,
+        bonusPoints: challenge.bonus_points,
+        isCurated: Boolean(challenge.is_curated),
+        questionCount: challenge.questionIds.length
+    };
+}
+
+module.exports = {
+    DAILY_CHALLENGE_SIZE,
+    DEFAULT_BONUS_POINTS,
+    getChallengeForDate,
+    getChallengeQuestionIds,
+    saveCuratedChallenge,
+    getDailySession,
+    toPublicChallenge
+};
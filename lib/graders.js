@@ -0,0 +1,218 @@
+// lib/graders.js - How each kind of question is answered and marked
+//
+// question_types.grader names the grader used for every question of that type.
+// A grader has:
+//   answerField          the key of the structured answer it accepts
+//   supportsElimination  whether a hint may rule out a wrong option
+//   supportsOptionCredit whether a wrong option may earn part of the points
+//   validateDefinition(options, targets)     authoring rules; an error message or null
+//   validateAnswer(answer, options, targets) an error message or null
+//   grade(answer, options, { partialCredit }) credit from 0 (wrong) to 1 (fully right)
+//   correctAnswer(options, targets)          what the child is shown afterwards
+//   feedbackOptions(answer, options)         the options whose feedback the child
+//                                            gets: the ones picked, or misplaced
+//
+// validateDefinition gets options as { optionText, isCorrect, credit,
+// correctPosition, targetKey } and targets as { key, label }. Everything else gets the
+// answer_options and answer_targets rows of the question.
+
+const DEFAULT_GRADER = 'single_choice';
+
+const graders = new Map();
+
+function registerGrader(grader) {
+    graders.set(grader.name, { supportsOptionCredit: false, ...grader });
+}
+
+function getGrader(name) {
+    return graders.get(name) || graders.get(DEFAULT_GRADER);
+}
+
+function graderNames() {
+    return [...graders.keys()];
+}
+
+function findOption(options, optionId) {
+    return options.find(option => option.id === optionId);
+}
+
+// Ids that are not options of the question, as an error message
+function unknownOptionsError(options, optionIds) {
+    const unknownIds = optionIds.filter(optionId => !findOption(options, optionId));
+    return unknownIds.length > 0 ? `Answer options not found: ${unknownIds.join(', ')}` : null;
+}
+
+// Ordering and bucket answers must use every option exactly once
+function coversAllOptions(options, optionIds) {
+    return optionIds.length === options.length &&
+        options.every(option => optionIds.includes(option.id));
+}
+
+// With partial credit a wrong option may carry a credit, e.g. 0.5 for an
+// answer that is safe but not the best one.
+registerGrader({
+    name: 'single_choice',
+    answerField: 'optionId',
+    supportsElimination: true,
+    supportsOptionCredit: true,
+
+    validateDefinition(options) {
+        const correctCount = options.filter(option => option.isCorrect).length;
+        return correctCount === 1 ? null : 'must have exactly one correct option';
+    },
+
+    validateAnswer(answer, options) {
+        return findOption(options, answer.optionId) ? null : 'Answer option not found';
+    },
+
+    grade(answer, options, { partialCredit }) {
+        const option = findOption(options, answer.optionId);
+        if (option.is_correct) return 1;
+        return partialCredit && option.credit ? Number(option.credit) : 0;
+    },
+
+    correctAnswer(options) {
+        return options.find(option => option.is_correct)?.option_text || '';
+    },
+
+    feedbackOptions(answer, options) {
+        return [findOption(options, answer.optionId)];
+    }
+});
+
+// Pick every right option. With partial credit each right pick earns a share
+// and each wrong pick takes one away.
+registerGrader({
+    name: 'multi_select',
+    answerField: 'optionIds',
+    supportsElimination: true,
+
+    validateDefinition(options) {
+        return options.some(option => option.isCorrect) ? null : 'needs at least one correct option';
+    },
+
+    validateAnswer(answer, options) {
+        return unknownOptionsError(options, answer.optionIds);
+    },
+
+    grade(answer, options, { partialCredit }) {
+        const correctIds = options.filter(option => option.is_correct).map(option => option.id);
+        const hits = answer.optionIds.filter(optionId => correctIds.includes(optionId)).length;
+        const misses = answer.optionIds.length - hits;
+
+        if (hits === correctIds.length && misses === 0) return 1;
+        if (!partialCredit) return 0;
+        return Math.max(0, (hits - misses) / correctIds.length);
+    },
+
+    correctAnswer(options) {
+        return options.filter(option => option.is_correct).map(option => option.option_text);
+    },
+
+    feedbackOptions(answer, options) {
+        return answer.optionIds.map(optionId => findOption(options, optionId));
+    }
+});
+
+// Put every option in sequence. Partial credit is the share of options in the right place.
+registerGrader({
+    name: 'ordering',
+    answerField: 'order',
+    supportsElimination: false,
+
+    validateDefinition(options) {
+        const positions = options.map(option => option.correctPosition).sort((a, b) => a - b);
+        const isSequence = positions.every((position, index) => position === index + 1);
+        return isSequence ? null : 'needs a correctPosition of 1, 2, 3… on every option, each used once';
+    },
+
+    validateAnswer(answer, options) {
+        return unknownOptionsError(options, answer.order) ||
+            (coversAllOptions(options, answer.order) ? null : 'The order must contain every option exactly once');
+    },
+
+    grade(answer, options, { partialCredit }) {
+        const inPlace = answer.order
+            .filter((optionId, index) => findOption(options, optionId).correct_position === index + 1)
+            .length;
+
+        if (inPlace === options.length) return 1;
+        return partialCredit ? inPlace / options.length : 0;
+    },
+
+    correctAnswer(options) {
+        return [...options]
+            .sort((a, b) => a.correct_position - b.correct_position)
+            .map(option => option.option_text);
+    },
+
+    feedbackOptions(answer, options) {
+        return answer.order
+            .map(optionId => findOption(options, optionId))
+            .filter((option, index) => option.correct_position !== index + 1);
+    }
+});
+
+// Drag every option into its bucket. Partial credit is the share placed correctly.
+registerGrader({
+    name: 'bucket_match',
+    answerField: 'placements',
+    supportsElimination: false,
+
+    validateDefinition(options, targets) {
+        const targetKeys = targets.map(target => target.key);
+        if (targetKeys.length < 2) {
+            return 'needs at least 2 targets';
+        }
+        if (options.some(option => !targetKeys.includes(option.targetKey))) {
+            return 'needs a targetKey matching one of its targets on every option';
+        }
+        return null;
+    },
+
+    validateAnswer(answer, options, targets) {
+        const optionIds = answer.placements.map(placement => placement.optionId);
+        const targetKeys = targets.map(target => target.target_key);
+
+        const optionsError = unknownOptionsError(options, optionIds);
+        if (optionsError) return optionsError;
+        if (!coversAllOptions(options, optionIds)) {
+            return 'Every option must be placed exactly once';
+        }
+        const unknownTargets = answer.placements.filter(placement => !targetKeys.includes(placement.target));
+        if (unknownTargets.length > 0) {
+            return `Targets not found: ${unknownTargets.map(placement => placement.target).join(', ')}`;
+        }
+        return null;
+    },
+
+    grade(answer, options, { partialCredit }) {
+        const placedRight = answer.placements
+            .filter(placement => findOption(options, placement.optionId).target_key === placement.target)
+            .length;
+
+        if (placedRight === options.length) return 1;
+        return partialCredit ? placedRight / options.length : 0;
+    },
+
+    correctAnswer(options, targets) {
+        return options.map(option => ({
+            option: option.option_text,
+            target: targets.find(target => target.target_key === option.target_key)?.label || option.target_key
+        }));
+    },
+
+    feedbackOptions(answer, options) {
+        return answer.placements
+            .map(placement => ({ placement, option: findOption(options, placement.optionId) }))
+            .filter(({ placement, option }) => option.target_key !== placement.target)
+            .map(({ option }) => option);
+    }
+});
+
+module.exports = {
+    DEFAULT_GRADER,
+    registerGrader,
+    getGrader,
+    graderNames
+};
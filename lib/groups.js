@@ -0,0 +1,104 @@
+// lib/groups.js - Learner groups: families, classes and other circles children compare within
+//
+// A group is created by an account and joined with its short join code. The
+// children of one account always form an implicit household and need no group.
+
+const GROUP_KINDS = ['family', 'class'];
+// No 0/O or 1/I, so codes read out loud or copied from a board still work
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const JOIN_CODE_PATTERN = new RegExp(`^[${JOIN_CODE_ALPHABET}]{${JOIN_CODE_LENGTH}}$`);
+
+async function generateJoinCode(connection) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        let code = '';
+        for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+            code += JOIN_CODE_ALPHABET[Math.floor(Math.random() * JOIN_CODE_ALPHABET.length)];
+        }
+
+        const [existing] = await connection.execute(`
+            SELECT id FROM learner_groups WHERE join_code = ?
+        `, [code]);
+
+        if (existing.length === 0) return code;
+    }
+
+    throw new Error('Could not generate a unique join code');
+}
+
+async function getGroup(connection, groupId) {
+    const [groups] = await connection.execute(`
+        SELECT g.*, (SELECT COUNT(*) FROM learner_group_members m WHERE m.group_id = g.id) as member_count
+        FROM learner_groups g
+        WHERE g.id = ?
+    `, [groupId]);
+    return groups[0] || null;
+}
+
+async function createGroup(connection, { name, kind, ownerAccountId }) {
+    const joinCode = await generateJoinCode(connection);
+
+    const [result] = await connection.execute(`
+        INSERT INTO learner_groups (name, kind, owner_account_id, join_code) VALUES (?, ?, ?, ?)
+    `, [name, kind, ownerAccountId, joinCode]);
+
+    return getGroup(connection, result.insertId);
+}
+
+async function findGroupByJoinCode(connection, joinCode) {
+    const [groups] = await connection.execute(`
+        SELECT id FROM learner_groups WHERE join_code = ?
+    `, [joinCode]);
+    return groups.length > 0 ? getGroup(connection, groups[0].id) : null;
+}
+
+// Returns false when the child was already a member
+async function addMember(connection, groupId, userId) {
+    const [result] = await connection.execute(`
+        INSERT IGNORE INTO learner_group_members (group_id, user_id) VALUES (?, ?)
+    `, [groupId, userId]);
+    return result.affectedRows > 0;
+}
+
+// Returns false when the child wasn't a member
+async function removeMember(connection, groupId, userId) {
+    const [result] = await connection.execute(`
+        DELETE FROM learner_group_members WHERE group_id = ? AND user_id = ?
+    `, [groupId, userId]);
+    return result.affectedRows > 0;
+}
+
+async function getUserGroups(connection, userId) {
+    const [groups] = await connection.execute(`
+        SELECT g.*, (SELECT COUNT(*) FROM learner_group_members m2 WHERE m2.group_id = g.id) as member_count
+        FROM learner_groups g
+        JOIN learner_group_members m ON m.group_id = g.id
+        WHERE m.user_id = ?
+        ORDER BY g.name
+    `, [userId]);
+    return groups;
+}
+
+// The join code is only shown to the account that owns the group
+function toPublicGroup(group, { includeJoinCode = false } = {}) {
+    return {
+        id: group.id,
+        name: group.name,
+        kind: group.kind,
+        memberCount: group.member_count,
+        ...(includeJoinCode ? { joinCode: group.join_code } : {}),
+        createdAt: group.created_at
+    };
+}
+
+module.exports = {
+    GROUP_KINDS,
+    JOIN_CODE_PATTERN,
+    getGroup,
+    createGroup,
+    findGroupByJoinCode,
+    addMember,
+    removeMember,
+    getUserGroups,
+    toPublicGroup
+};
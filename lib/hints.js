@@ -0,0 +1,107 @@
+// lib/hints.js - Tiered hints revealed by the server, and the points they cost
+//
+// A question offers up to two hints, revealed one at a time: first its hint
+// text, then one wrong option ruled out. Reveals are kept per user and question
+// until the child answers; the answer then claims them and loses points for
+// each one, whatever the client says about hint use.
+
+const { getGrader } = require('./graders');
+
+// Share of the question's points lost after revealing 0, 1 or 2 hints
+const HINT_PENALTIES = [0, 0.25, 0.5];
+
+// Kinds of hint a question can offer, in reveal order
+function availableHints(question, wrongOptionCount) {
+    const hints = [];
+    if (question.hint_text) hints.push('text');
+    // Only rule out an option if a wrong one is still left afterwards,
+    // and only for graders where some options are simply wrong
+    if (getGrader(question.grader).supportsElimination && wrongOptionCount >= 2) hints.push('eliminate');
+    return hints;
+}
+
+function applyHintPenalty(points, hintsUsed) {
+    const penalty = HINT_PENALTIES[Math.min(hintsUsed, HINT_PENALTIES.length - 1)];
+    return Math.round(points * (1 - penalty));
+}
+
+// Reveals for this question the child hasn't answered yet
+async function getOpenReveals(connection, userId, questionId) {
+    const [reveals] = await connection.execute(`
+        SELECT tier, eliminated_option_id
+        FROM hint_reveals
+        WHERE user_id = ? AND question_id = ? AND attempt_id IS NULL
+        ORDER BY tier
+    `, [userId, questionId]);
+    return reveals;
+}
+
+// Options worth nothing: one with partial credit is never ruled out
+async function getWrongOptionIds(connection, questionId) {
+    const [options] = await connection.execute(`
+        SELECT id FROM answer_options
+        WHERE question_id = ? AND is_correct = 0 AND credit IS NULL AND is_active = true
+    `, [questionId]);
+    return options.map(option => option.id);
+}
+
+function toPublicHint(reveal, question) {
+    if (reveal.eliminated_option_id) {
+        return { tier: reveal.tier, type: 'eliminate', eliminatedOptionId: reveal.eliminated_option_id };
+    }
+    return { tier: reveal.tier, type: 'text', text: question.hint_text };
+}
+
+// What the child has revealed so far and what is still available.
+// question needs id, points, hint_text and grader.
+async function getHintState(connection, userId, question, reveals = null) {
+    reveals = reveals || await getOpenReveals(connection, userId, question.id);
+    const available = availableHints(question, (await getWrongOptionIds(connection, question.id)).length);
+
+    return {
+        hints: reveals.map(reveal => toPublicHint(reveal, question)),
+        hintsRemaining: Math.max(available.length - reveals.length, 0),
+        pointsAvailable: applyHintPenalty(question.points, reveals.length)
+    };
+}
+
+// Reveals the next hint tier. Returns null when the question has no hints left.
+// The caller holds the child's users row FOR UPDATE, so the tier counted here
+// is still the next one when it is inserted.
+async function revealNextHint(connection, { userId, question }) {
+    const wrongOptionIds = await getWrongOptionIds(connection, question.id);
+    const available = availableHints(question, wrongOptionIds.length);
+    const reveals = await getOpenReveals(connection, userId, question.id);
+
+    if (reveals.length >= available.length) return null;
+
+    const tier = reveals.length + 1;
+    const eliminatedOptionId = available[tier - 1] === 'eliminate'
+        ? wrongOptionIds[Math.floor(Math.random() * wrongOptionIds.length)]
+        : null;
+
+    await connection.execute(`
+        INSERT INTO hint_reveals (user_id, question_id, tier, eliminated_option_id)
+        VALUES (?, ?, ?, ?)
+    `, [userId, question.id, tier, eliminatedOptionId]);
+
+    reveals.push({ tier, eliminated_option_id: eliminatedOptionId });
+    return getHintState(connection, userId, question, reveals);
+}
+
+// Ties the open reveals to the attempt that used them
+async function claimHints(connection, { userId, questionId, attemptId }) {
+    await connection.execute(`
+        UPDATE hint_reveals SET attempt_id = ?
+        WHERE user_id = ? AND question_id = ? AND attempt_id IS NULL
+    `, [attemptId, userId, questionId]);
+}
+
+module.exports = {
+    HINT_PENALTIES,
+    applyHintPenalty,
+    getOpenReveals,
+    getHintState,
+    revealNextHint,
+    claimHints
+};
@@ -0,0 +1,49 @@
+// lib/idempotency.js - Stored responses for requests sent with an Idempotency-Key header
+//
+// A retried request with the same key gets the original response back instead
+// of being applied twice. Keys are scoped to the user and the endpoint, and
+// are kept for a day.
+
+const crypto = require('crypto');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+const KEY_RETENTION_HOURS = 24;
+
+function isValidKey(key) {
+    return KEY_PATTERN.test(key);
+}
+
+// Fingerprint of the request body, so a key can't be reused for a different request
+function hashRequest(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+async function findStoredResponse(connection, { userId, endpoint, key }) {
+    const [rows] = await connection.execute(`
+        SELECT request_hash, status_code, response
+        FROM idempotency_keys
+        WHERE user_id = ? AND endpoint = ? AND idempotency_key = ?
+        AND created_at > NOW() - INTERVAL ${KEY_RETENTION_HOURS} HOUR
+    `, [userId, endpoint, key]);
+    return rows[0] || null;
+}
+
+async function storeResponse(connection, { userId, endpoint, key, requestHash, statusCode, response }) {
+    // Expired keys of this user make room for the new one
+    await connection.execute(`
+        DELETE FROM idempotency_keys
+        WHERE user_id = ? AND created_at <= NOW() - INTERVAL ${KEY_RETENTION_HOURS} HOUR
+    `, [userId]);
+
+    await connection.execute(`
+        INSERT INTO idempotency_keys (user_id, endpoint, idempotency_key, request_hash, status_code, response)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [userId, endpoint, key, requestHash, statusCode, JSON.stringify(response)]);
+}
+
+module.exports = {
+    isValidKey,
+    hashRequest,
+    findStoredResponse,
+    storeResponse
+};
@@ -0,0 +1,102 @@
+// lib/leaderboards.js - Weekly, monthly and all-time rankings within a group
+//
+// Rankings only ever cover a group the child belongs to (their household or a
+// learner group) and only show nicknames and avatars. Children a parent opted
+// out are left off every board.
+//
+// Weekly and monthly points are kept in leaderboard_points as answers come in,
+// so ranking a group reads one row per member instead of adding up attempts.
+// Periods follow the answering child's calendar: weeks start on Monday.
+
+const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+
+const NICKNAME_ADJECTIVES = [
+    'Brave', 'Clever', 'Happy', 'Swift', 'Curious', 'Friendly', 'Bright', 'Lucky',
+    'Mighty', 'Sunny', 'Gentle', 'Jolly', 'Speedy', 'Sparkly', 'Calm', 'Bold'
+];
+const NICKNAME_ANIMALS = [
+    'Otter', 'Panda', 'Fox', 'Owl', 'Koala', 'Dolphin', 'Tiger', 'Penguin',
+    'Rabbit', 'Turtle', 'Falcon', 'Hedgehog', 'Lion', 'Squirrel', 'Whale', 'Zebra'
+];
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+// A made-up name such as "Brave Otter 42", shown instead of the child's real name
+function generateNickname() {
+    return `${pick(NICKNAME_ADJECTIVES)} ${pick(NICKNAME_ANIMALS)} ${Math.floor(10 + Math.random() * 90)}`;
+}
+
+// The first day ('YYYY-MM-DD') of the week or month containing a date
+function periodStart(period, date) {
+    if (period === 'month') return `${date.slice(0, 7)}-01`;
+
+    const day = new Date(`${date}T00:00:00Z`);
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    day.setUTCDate(day.getUTCDate() - daysSinceMonday);
+    return day.toISOString().slice(0, 10);
+}
+
+// Add points earned on the child's local date to their week and month.
+// A daily challenge bonus is recorded with questionsAnswered 0.
+async function recordLeaderboardPoints(connection, userId, points, date, questionsAnswered = 1) {
+    for (const period of ['week', 'month']) {
+        await connection.execute(`
+            INSERT INTO leaderboard_points (user_id, period, period_start, points, questions_answered)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                points = points + VALUES(points),
+                questions_answered = questions_answered + VALUES(questions_answered)
+        `, [userId, period, periodStart(period, date), points, questionsAnswered]);
+    }
+}
+
+// Standard competition ranking: equal points share a rank (1, 2, 2, 4)
+function assignRanks(rows) {
+    return rows.map((row, index) => {
+        const previous = rows[index - 1];
+        row.rank = previous && previous.points === row.points ? previous.rank : index + 1;
+        return row;
+    });
+}
+
+// Rank the given members for a period. memberSql selects the user ids of the
+// group; nobody outside it, and nobody opted out, is ever returned.
+async function rankMembers(connection, { memberSql, memberParams, period, date, viewerId }) {
+    let rows;
+
+    if (period === 'all') {
+        [rows] = await connection.execute(`
+            SELECT u.id, u.nickname, u.avatar, u.total_points as points
+            FROM users u
+            WHERE u.id IN (${memberSql}) AND u.leaderboard_opt_out = false
+            ORDER BY points DESC, u.nickname
+        `, memberParams);
+    } else {
+        [rows] = await connection.execute(`
+            SELECT u.id, u.nickname, u.avatar, COALESCE(lp.points, 0) as points
+            FROM users u
+            LEFT JOIN leaderboard_points lp
+                ON lp.user_id = u.id AND lp.period = ? AND lp.period_start = ?
+            WHERE u.id IN (${memberSql}) AND u.leaderboard_opt_out = false
+            ORDER BY points DESC, u.nickname
+        `, [period, periodStart(period, date), ...memberParams]);
+    }
+
+    return assignRanks(rows).map(row => ({
+        rank: row.rank,
+        nickname: row.nickname,
+        avatar: row.avatar,
+        points: Number(row.points),
+        isYou: row.id === Number(viewerId)
+    }));
+}
+
+module.exports = {
+    LEADERBOARD_PERIODS,
+    generateNickname,
+    periodStart,
+    recordLeaderboardPoints,
+    rankMembers
+};
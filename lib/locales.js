@@ -0,0 +1,53 @@
+// lib/locales.js - Which language a child gets their content in
+//
+// A child's own locale (users.locale, set by a parent) wins; otherwise the
+// best match from the device's Accept-Language header; otherwise English.
+// Content without a translation in that locale is shown in English.
+
+const DEFAULT_LOCALE = 'en';
+// Locales translations can be written for
+const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'de', 'pt'];
+
+// Accept-Language as language tags, most preferred first: "fr-CA,fr;q=0.9,en;q=0.5"
+// gives ['fr-ca', 'fr', 'en']. Tags with q=0 are dropped.
+function parseAcceptLanguage(header) {
+    if (!header) return [];
+
+    return header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const quality = qParam ? Number(qParam.trim().slice(2)) : 1;
+            return { tag: tag.trim().toLowerCase(), quality: Number.isNaN(quality) ? 0 : quality, index };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index)
+        .map(entry => entry.tag);
+}
+
+// The first supported locale the header asks for, matching on the language
+// part ('fr-CA' is served 'fr'), or null
+function negotiateLocale(header) {
+    for (const tag of parseAcceptLanguage(header)) {
+        const language = tag.split('-')[0];
+        if (SUPPORTED_LOCALES.includes(language)) return language;
+    }
+    return null;
+}
+
+// The locale to use for a child. acceptedLocale is req.acceptedLocale (see
+// middleware/locale.js).
+async function userLocale(connection, userId, acceptedLocale = null) {
+    const [users] = await connection.execute(`
+        SELECT locale FROM users WHERE id = ?
+    `, [userId]);
+    return (users[0] && users[0].locale) || acceptedLocale || DEFAULT_LOCALE;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    parseAcceptLanguage,
+    negotiateLocale,
+    userLocale
+};
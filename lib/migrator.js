@@ -0,0 +1,117 @@
+// lib/migrator.js - Versioned schema migrations tracked in schema_migrations
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// All migration files, sorted by version
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) return null;
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file: path.join(MIGRATIONS_DIR, file)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(connection) {
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedVersions(connection) {
+    const [tables] = await connection.execute(`
+        SELECT TABLE_NAME FROM information_schema.TABLES
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'schema_migrations'
+    `);
+    if (tables.length === 0) return [];
+
+    const [rows] = await connection.execute(`
+        SELECT version FROM schema_migrations ORDER BY version
+    `);
+    return rows.map(row => row.version);
+}
+
+// Compare the migration files with what the database has applied
+async function getStatus(connection) {
+    const migrations = loadMigrations();
+    const appliedVersions = await getAppliedVersions(connection);
+    const knownVersions = migrations.map(migration => migration.version);
+
+    return {
+        migrations: migrations.map(migration => ({
+            ...migration,
+            applied: appliedVersions.includes(migration.version)
+        })),
+        pending: migrations.filter(migration => !appliedVersions.includes(migration.version)),
+        // Applied in the database but missing from this checkout (code is older than the database)
+        unknown: appliedVersions.filter(version => !knownVersions.includes(version)),
+        currentVersion: appliedVersions.length > 0 ? Math.max(...appliedVersions) : 0,
+        latestVersion: knownVersions.length > 0 ? Math.max(...knownVersions) : 0
+    };
+}
+
+// Apply every pending migration in order. MySQL commits DDL implicitly, so
+// each migration is recorded right after it succeeds and a failure stops the run.
+async function migrate(connection, log = console.log) {
+    await ensureMigrationsTable(connection);
+    const { pending } = await getStatus(connection);
+
+    for (const migration of pending) {
+        log(`🔄 Applying ${migration.version}_${migration.name}...`);
+        await require(migration.file).up(connection);
+        await connection.execute(`
+            INSERT INTO schema_migrations (version, name) VALUES (?, ?)
+        `, [migration.version, migration.name]);
+        log(`✅ Applied ${migration.version}_${migration.name}`);
+    }
+
+    return pending;
+}
+
+// Roll back the most recently applied migrations
+async function rollback(connection, steps = 1, log = console.log) {
+    await ensureMigrationsTable(connection);
+    const migrations = loadMigrations();
+
+    const [rows] = await connection.execute(`
+        SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT ${Number(steps)}
+    `);
+
+    const rolledBack = [];
+    for (const row of rows) {
+        const migration = migrations.find(candidate => candidate.version === row.version);
+        if (!migration) {
+            throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+        }
+
+        log(`🔄 Rolling back ${migration.version}_${migration.name}...`);
+        await require(migration.file).down(connection);
+        await connection.execute(`
+            DELETE FROM schema_migrations WHERE version = ?
+        `, [migration.version]);
+        log(`✅ Rolled back ${migration.version}_${migration.name}`);
+        rolledBack.push(migration);
+    }
+
+    return rolledBack;
+}
+
+module.exports = {
+    loadMigrations,
+    getStatus,
+    migrate,
+    rollback
+};
@@ -0,0 +1,48 @@
+// lib/picture-pin.js - Picture passwords and handles for children's profiles
+const bcrypt = require('bcryptjs');
+
+// The grid shown to children when they pick or enter their picture password
+const PICTURE_GRID = ['🐶', '🐱', '🦊', '🐸', '🐼', '🦁', '🍎', '🍕', '🚀', '⚽', '🌈', '⭐'];
+const PIN_LENGTH = 3;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+const BCRYPT_ROUNDS = 10;
+
+const HANDLE_PATTERN = /^[a-z0-9][a-z0-9_-]{2,29}$/;
+
+function hashPicturePin(picturePin) {
+    return bcrypt.hash(picturePin.join('|'), BCRYPT_ROUNDS);
+}
+
+function comparePicturePin(picturePin, hash) {
+    return bcrypt.compare(picturePin.join('|'), hash);
+}
+
+// Build a unique handle such as "sam-4821" from a child's name
+async function generateHandle(connection, name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '').slice(0, 20) || 'kid';
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const suffix = Math.floor(1000 + Math.random() * 9000);
+        const handle = `${base}-${suffix}`;
+
+        const [existing] = await connection.execute(`
+            SELECT id FROM users WHERE handle = ?
+        `, [handle]);
+
+        if (existing.length === 0) return handle;
+    }
+
+    throw new Error('Could not generate a unique handle');
+}
+
+module.exports = {
+    PICTURE_GRID,
+    PIN_LENGTH,
+    MAX_FAILED_ATTEMPTS,
+    LOCKOUT_MINUTES,
+    HANDLE_PATTERN,
+    hashPicturePin,
+    comparePicturePin,
+    generateHandle
+};
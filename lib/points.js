@@ -0,0 +1,76 @@
+// lib/points.js - The points ledger
+//
+// Every change to a child's points is a row in points_ledger that is never
+// updated or deleted: what happened, how many points, why, and what caused it
+// (source_type and source_id, e.g. the question attempt). users.total_points
+// is the sum of the ledger, kept alongside so it need not be added up on every
+// read. Always change points through recordPoints so the two stay equal.
+
+const POINT_EVENTS = ['answer', 'hint_penalty', 'daily_bonus', 'reset', 'admin_adjustment', 'reward_purchase', 'opening_balance'];
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+// Append one event and move the cached total by the same amount.
+// Events worth no points are not recorded. Returns the ledger row id, or null.
+async function recordPoints(connection, { userId, event, points, reason, sourceType = null, sourceId = null, accountId = null }) {
+    if (!POINT_EVENTS.includes(event)) throw new Error(`Unknown points event: ${event}`);
+    if (points === 0) return null;
+
+    const [result] = await connection.execute(`
+        INSERT INTO points_ledger (user_id, event_type, points, reason, source_type, source_id, created_by_account_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [userId, event, points, reason, sourceType, sourceId, accountId]);
+
+    await connection.execute(`
+        UPDATE users SET total_points = total_points + ? WHERE id = ?
+    `, [points, userId]);
+
+    return result.insertId;
+}
+
+// The sum of a child's ledger, i.e. what total_points should hold
+async function ledgerTotal(connection, userId) {
+    const [rows] = await connection.execute(`
+        SELECT COALESCE(SUM(points), 0) as total FROM points_ledger WHERE user_id = ?
+    `, [userId]);
+    return Number(rows[0].total);
+}
+
+// Newest first, with the balance after each event. Pass the nextBefore of one
+// page as before to get the next.
+async function getPointsHistory(connection, userId, { limit = DEFAULT_HISTORY_LIMIT, before = null } = {}) {
+    const [rows] = await connection.query(`
+        SELECT pl.*,
+               (SELECT SUM(earlier.points) FROM points_ledger earlier
+                WHERE earlier.user_id = pl.user_id AND earlier.id <= pl.id) as balance
+        FROM points_ledger pl
+        WHERE pl.user_id = ? ${before ? 'AND pl.id < ?' : ''}
+        ORDER BY pl.id DESC
+        LIMIT ?
+    `, before ? [userId, before, limit + 1] : [userId, limit + 1]);
+
+    const events = rows.slice(0, limit).map(row => ({
+        id: row.id,
+        event: row.event_type,
+        points: row.points,
+        balance: Number(row.balance),
+        reason: row.reason,
+        source: row.source_type ? { type: row.source_type, id: row.source_id } : null,
+        createdAt: row.created_at
+    }));
+
+    return {
+        events,
+        nextBefore: rows.length > limit ? events[events.length - 1].id : null
+    };
+}
+
+module.exports = {
+    POINT_EVENTS,
+    DEFAULT_HISTORY_LIMIT,
+    MAX_HISTORY_LIMIT,
+    recordPoints,
+    ledgerTotal,
+    getPointsHistory
+};
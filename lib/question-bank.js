@@ -0,0 +1,585 @@
+// lib/question-bank.js - Read, validate, import and export the question-bank JSON files
+//
+// Each file in question-bank/ holds one category and its questions. Questions
+// and options are matched to database rows by their keys, so an import can be
+// re-run safely: it updates in place, never deletes anything a child has
+// answered, and deactivates questions that were removed from the files.
+const fs = require('fs');
+const path = require('path');
+const { DIFFICULTY_LEVELS, validateOptions, syncCategoryTotals, storageOrder, saveTargets } = require('./questions');
+const { AGE_BANDS, parseAgeBands, formatAgeBands } = require('./age-bands');
+const { CONCEPT_KEYS, getQuestionConcepts, setQuestionConcepts } = require('./concepts');
+
+const FORMAT_VERSION = 1;
+const DEFAULT_BANK_DIR = path.join(__dirname, '..', 'question-bank');
+
+const CATEGORY_KEY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const QUESTION_KEY_PATTERN = /^[a-z0-9][a-z0-9/_-]*$/;
+const OPTION_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// ageBands is optional; when given it lists distinct known bands
+function validAgeBands(ageBands) {
+    return ageBands === undefined || (
+        Array.isArray(ageBands)
+        && ageBands.every(band => AGE_BANDS.includes(band))
+        && new Set(ageBands).size === ageBands.length
+    );
+}
+
+// Load every *.json file of a bank directory, sorted by file name
+function readBank(dir = DEFAULT_BANK_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const fullPath = path.join(dir, file);
+            try {
+                return { file, data: JSON.parse(fs.readFileSync(fullPath, 'utf8')) };
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+        });
+}
+
+// Check every file before anything touches the database. graders maps each
+// question type name to its grader. Returns a list of error messages (empty
+// when the bank is valid).
+function validateBank(files, graders) {
+    const typeNames = Object.keys(graders);
+    const errors = [];
+    const categoryKeys = new Set();
+    const questionKeys = new Set();
+
+    for (const { file, data } of files) {
+        const fail = message => errors.push(`${file}: ${message}`);
+
+        if (data.formatVersion !== FORMAT_VERSION) {
+            fail(`formatVersion must be ${FORMAT_VERSION}`);
+            continue;
+        }
+
+        const category = data.category || {};
+        if (!CATEGORY_KEY_PATTERN.test(category.key || '')) {
+            fail('category.key must be lowercase letters, numbers and dashes');
+        } else if (categoryKeys.has(category.key)) {
+            fail(`category "${category.key}" is defined in more than one file`);
+        } else {
+            categoryKeys.add(category.key);
+        }
+        if (!category.name || !category.icon) {
+            fail('category.name and category.icon are required');
+        }
+        if (!validAgeBands(category.ageBands)) {
+            fail(`category.ageBands must list distinct bands out of ${AGE_BANDS.join(', ')}`);
+        }
+
+        if (!Array.isArray(data.questions)) {
+            fail('questions must be an array');
+            continue;
+        }
+
+        data.questions.forEach((question, index) => {
+            const label = question.key || `questions[${index}]`;
+
+            if (!QUESTION_KEY_PATTERN.test(question.key || '')) {
+                fail(`${label}: key must be lowercase letters, numbers, dashes, underscores or slashes`);
+            } else if (questionKeys.has(question.key)) {
+                fail(`${label}: key is used more than once`);
+            } else {
+                questionKeys.add(question.key);
+            }
+
+            if (!typeNames.includes(question.type)) {
+                fail(`${label}: unknown type "${question.type}"`);
+            }
+            if (!question.text) {
+                fail(`${label}: text is required`);
+            }
+            if (question.difficulty !== undefined && !DIFFICULTY_LEVELS.includes(question.difficulty)) {
+                fail(`${label}: difficulty must be one of ${DIFFICULTY_LEVELS.join(', ')}`);
+            }
+            if (question.points !== undefined && (!Number.isInteger(question.points) || question.points < 0)) {
+                fail(`${label}: points must be a non-negative whole number`);
+            }
+            if (!validAgeBands(question.ageBands)) {
+                fail(`${label}: ageBands must list distinct bands out of ${AGE_BANDS.join(', ')}`);
+            }
+            if (question.concepts !== undefined && (
+                !Array.isArray(question.concepts)
+                || question.concepts.some(concept => !CONCEPT_KEYS.includes(concept))
+                || new Set(question.concepts).size !== question.concepts.length
+            )) {
+                fail(`${label}: concepts must list distinct concepts out of ${CONCEPT_KEYS.join(', ')}`);
+            }
+
+            const options = Array.isArray(question.options) ? question.options : [];
+            const optionKeys = options.map(option => option.key);
+            if (optionKeys.some(key => !OPTION_KEY_PATTERN.test(key || ''))) {
+                fail(`${label}: every option needs a key of lowercase letters, numbers, dashes or underscores`);
+            }
+            if (new Set(optionKeys).size !== optionKeys.length) {
+                fail(`${label}: option keys must be unique`);
+            }
+
+            const targets = Array.isArray(question.targets) ? question.targets : [];
+            if (targets.some(target => !OPTION_KEY_PATTERN.test(target.key || '') || !target.label)) {
+                fail(`${label}: every target needs a label and a key of lowercase letters, numbers, dashes or underscores`);
+            }
+
+            if (typeNames.includes(question.type)) {
+                const optionsError = validateOptions(question.type, graders[question.type], options.map(option => ({
+                    optionText: option.text,
+                    isCorrect: Boolean(option.correct),
+                    credit: option.credit,
+                    correctPosition: option.position,
+                    targetKey: option.target
+                })), targets);
+                if (optionsError) {
+                    fail(`${label}: ${optionsError}`);
+                }
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Compare a database row with the desired column values.
+// Returns { column: { from, to } } for every column that differs.
+function diffFields(row, desired) {
+    const diff = {};
+    for (const [column, value] of Object.entries(desired)) {
+        let current = row[column];
+        if (typeof value === 'boolean') current = Boolean(current);
+        // DECIMAL columns come back as strings
+        if (typeof value === 'number' && typeof current === 'string') current = Number(current);
+        if (current !== value) {
+            diff[column] = { from: current, to: value };
+        }
+    }
+    return diff;
+}
+
+async function updateRow(connection, table, id, fields) {
+    const columns = Object.keys(fields);
+    await connection.query(
+        `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => fields[column].to), id]
+    );
+}
+
+async function insertRow(connection, table, values) {
+    const columns = Object.keys(values);
+    const [result] = await connection.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (?)`,
+        [columns.map(column => values[column])]
+    );
+    return result.insertId;
+}
+
+async function upsertCategory(connection, category, changes) {
+    const desired = {
+        category_key: category.key,
+        name: category.name,
+        icon: category.icon,
+        description: category.description ?? null,
+        age_bands: formatAgeBands(category.ageBands)
+    };
+
+    let [rows] = await connection.execute(`
+        SELECT * FROM categories WHERE category_key = ?
+    `, [category.key]);
+
+    // Categories created before keys existed are adopted by name
+    if (rows.length === 0) {
+        [rows] = await connection.execute(`
+            SELECT * FROM categories WHERE category_key IS NULL AND name = ?
+        `, [category.name]);
+    }
+
+    if (rows.length === 0) {
+        changes.push({ action: 'create', entity: 'category', key: category.key });
+        return insertRow(connection, 'categories', { ...desired, total_questions: 0 });
+    }
+
+    const diff = diffFields(rows[0], desired);
+    if (Object.keys(diff).length > 0) {
+        await updateRow(connection, 'categories', rows[0].id, diff);
+        changes.push({ action: 'update', entity: 'category', key: category.key, fields: diff });
+    }
+    return rows[0].id;
+}
+
+// Options follow the file's order, except for ordering questions: those are
+// written in random order (see storageOrder) and keep their stored positions
+// on later imports, so re-running an import changes nothing
+async function upsertOptions(connection, questionId, questionKey, grader, options, changes) {
+    const [existing] = await connection.execute(`
+        SELECT * FROM answer_options WHERE question_id = ?
+    `, [questionId]);
+
+    const keepPositions = grader === 'ordering';
+    let nextPosition = existing.reduce((max, row) => Math.max(max, row.order_position || 0), 0) + 1;
+    const matchedIds = new Set();
+    const storedOptions = storageOrder(grader, options);
+
+    for (let i = 0; i < storedOptions.length; i++) {
+        const option = storedOptions[i];
+        const desired = {
+            option_key: option.key,
+            option_text: option.text,
+            feedback: option.feedback ?? null,
+            icon: option.icon ?? null,
+            image_url: option.imageUrl ?? null,
+            is_correct: Boolean(option.correct),
+            credit: option.credit ?? null,
+            correct_position: option.position ?? null,
+            target_key: option.target ?? null,
+            order_position: i + 1,
+            is_active: true
+        };
+        if (keepPositions) delete desired.order_position;
+        const changeKey = `${questionKey}#${option.key}`;
+
+        // Options without a key yet are adopted by their text
+        const row = existing.find(candidate => candidate.option_key === option.key) ||
+            existing.find(candidate => candidate.option_key === null &&
+                candidate.option_text === option.text && !matchedIds.has(candidate.id));
+
+        if (!row) {
+            await insertRow(connection, 'answer_options', {
+                question_id: questionId,
+                ...desired,
+                order_position: keepPositions ? nextPosition++ : desired.order_position
+            });
+            changes.push({ action: 'create', entity: 'option', key: changeKey });
+            continue;
+        }
+
+        matchedIds.add(row.id);
+        const diff = diffFields(row, desired);
+        if (Object.keys(diff).length > 0) {
+            await updateRow(connection, 'answer_options', row.id, diff);
+            changes.push({ action: 'update', entity: 'option', key: changeKey, fields: diff });
+        }
+    }
+
+    // Multi-select, ordering and bucket answers name their options in the answer JSON,
+    // so once the question has any of those every removed option is kept
+    const [structured] = await connection.execute(`
+        SELECT COUNT(*) as count FROM question_attempts
+        WHERE question_id = ? AND selected_answer_id IS NULL
+    `, [questionId]);
+    const structuredCount = structured[0].count;
+
+    for (const row of existing) {
+        if (matchedIds.has(row.id) || !row.is_active) continue;
+
+        const changeKey = `${questionKey}#${row.option_key || row.id}`;
+        const [answered] = await connection.execute(`
+            SELECT COUNT(*) as count FROM question_attempts WHERE selected_answer_id = ?
+        `, [row.id]);
+
+        if (answered[0].count > 0 || structuredCount > 0) {
+            await connection.execute(`
+                UPDATE answer_options SET is_active = false WHERE id = ?
+            `, [row.id]);
+            changes.push({ action: 'deactivate', entity: 'option', key: changeKey });
+        } else {
+            await connection.execute(`
+                DELETE FROM answer_options WHERE id = ?
+            `, [row.id]);
+            changes.push({ action: 'delete', entity: 'option', key: changeKey });
+        }
+    }
+}
+
+async function upsertQuestion(connection, categoryId, questionType, question, position, changes) {
+    const desired = {
+        question_key: question.key,
+        category_id: categoryId,
+        question_type_id: questionType.id,
+        question_text: question.text,
+        image_url: question.imageUrl ?? null,
+        difficulty_level: question.difficulty ?? 'easy',
+        age_bands: formatAgeBands(question.ageBands),
+        points: question.points ?? 10,
+        partial_credit: Boolean(question.partialCredit),
+        explanation: question.explanation ?? null,
+        hint_text: question.hint ?? null,
+        is_active: true,
+        sort_order: position
+    };
+
+    let [rows] = await connection.execute(`
+        SELECT * FROM questions WHERE question_key = ?
+    `, [question.key]);
+
+    // Questions created before keys existed are adopted by their text
+    if (rows.length === 0) {
+        [rows] = await connection.execute(`
+            SELECT * FROM questions
+            WHERE question_key IS NULL AND category_id = ? AND question_text = ?
+            ORDER BY id LIMIT 1
+        `, [categoryId, question.text]);
+    }
+
+    let questionId;
+    if (rows.length === 0) {
+        questionId = await insertRow(connection, 'questions', desired);
+        changes.push({ action: 'create', entity: 'question', key: question.key });
+    } else {
+        questionId = rows[0].id;
+        const diff = diffFields(rows[0], desired);
+        if (Object.keys(diff).length > 0) {
+            await updateRow(connection, 'questions', questionId, diff);
+            changes.push({ action: 'update', entity: 'question', key: question.key, fields: diff });
+        }
+    }
+
+    await upsertOptions(connection, questionId, question.key, questionType.grader, question.options, changes);
+    await syncTargets(connection, questionId, question.key, question.targets || [], changes);
+    await syncConcepts(connection, questionId, question.key, question.concepts || [], changes);
+}
+
+// Concept tags are replaced as a whole when they change
+async function syncConcepts(connection, questionId, questionKey, concepts, changes) {
+    const current = (await getQuestionConcepts(connection, [questionId])).get(questionId);
+    const desired = [...concepts].sort();
+    if (current.join(',') === desired.join(',')) return;
+
+    await setQuestionConcepts(connection, questionId, desired);
+    changes.push({
+        action: 'update',
+        entity: 'concepts',
+        key: questionKey,
+        fields: { concepts: { from: current.join(', '), to: desired.join(', ') } }
+    });
+}
+
+// Buckets of drag-into-bucket questions are saved as a whole when they change
+async function syncTargets(connection, questionId, questionKey, targets, changes) {
+    const [existing] = await connection.execute(`
+        SELECT target_key, label, icon FROM answer_targets
+        WHERE question_id = ?
+        ORDER BY order_position, id
+    `, [questionId]);
+
+    const current = existing.map(row => `${row.target_key}|${row.label}|${row.icon ?? ''}`);
+    const desired = targets.map(target => `${target.key}|${target.label}|${target.icon ?? ''}`);
+    if (current.join('\n') === desired.join('\n')) return;
+
+    await saveTargets(connection, questionId, targets);
+    changes.push({
+        action: 'update',
+        entity: 'targets',
+        key: questionKey,
+        fields: { targets: { from: current.length, to: desired.length } }
+    });
+}
+
+// Import a validated bank. With dryRun the work is done inside a transaction
+// that is rolled back, so the returned changes are exactly what a real run
+// would do. Attempt history is never touched.
+async function importBank(connection, files, { dryRun = false } = {}) {
+    const changes = [];
+
+    const [types] = await connection.execute(`
+        SELECT id, type_name, grader FROM question_types
+    `);
+    const typesByName = Object.fromEntries(types.map(type => [type.type_name, type]));
+
+    const errors = validateBank(files, Object.fromEntries(types.map(type => [type.type_name, type.grader])));
+    if (errors.length > 0) {
+        const error = new Error(`Question bank is invalid:\n  ${errors.join('\n  ')}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    await connection.beginTransaction();
+
+    try {
+        const categoryIds = [];
+        const importedKeys = new Set();
+
+        for (const { data } of files) {
+            const categoryId = await upsertCategory(connection, data.category, changes);
+            categoryIds.push(categoryId);
+
+            for (let i = 0; i < data.questions.length; i++) {
+                const question = data.questions[i];
+                await upsertQuestion(connection, categoryId, typesByName[question.type], question, i + 1, changes);
+                importedKeys.add(question.key);
+            }
+        }
+
+        // Questions of the imported categories that are no longer in the files
+        if (categoryIds.length > 0) {
+            const [activeQuestions] = await connection.query(`
+                SELECT id, question_key FROM questions
+                WHERE category_id IN (?) AND is_active = true
+            `, [categoryIds]);
+
+            for (const question of activeQuestions) {
+                if (question.question_key && importedKeys.has(question.question_key)) continue;
+
+                await connection.execute(`
+                    UPDATE questions SET is_active = false WHERE id = ?
+                `, [question.id]);
+                changes.push({
+                    action: 'deactivate',
+                    entity: 'question',
+                    key: question.question_key || `#${question.id}`
+                });
+            }
+        }
+
+        await syncCategoryTotals(connection, categoryIds);
+
+        if (dryRun) {
+            await connection.rollback();
+        } else {
+            await connection.commit();
+        }
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+
+    return changes;
+}
+
+// Build one bank file per category from the active questions in the database
+async function exportBank(connection) {
+    const [categories] = await connection.execute(`
+        SELECT * FROM categories ORDER BY id
+    `);
+    const [questions] = await connection.execute(`
+        SELECT q.*, qt.type_name, qt.grader
+        FROM questions q
+        JOIN question_types qt ON q.question_type_id = qt.id
+        WHERE q.is_active = true
+        ORDER BY q.category_id, q.sort_order, q.id
+    `);
+    const [options] = await connection.execute(`
+        SELECT * FROM answer_options
+        WHERE is_active = true
+        ORDER BY question_id, order_position, id
+    `);
+    const [targets] = await connection.execute(`
+        SELECT * FROM answer_targets
+        ORDER BY question_id, order_position, id
+    `);
+    const concepts = await getQuestionConcepts(connection, questions.map(question => question.id));
+
+    return categories.map(category => {
+        const categoryKey = category.category_key || slugify(category.name);
+
+        const categoryQuestions = questions
+            .filter(question => question.category_id === category.id)
+            .map(question => {
+                const exported = {
+                    key: question.question_key || `${categoryKey}/question-${question.id}`,
+                    type: question.type_name,
+                    difficulty: question.difficulty_level,
+                    points: question.points,
+                    text: question.question_text
+                };
+                if (question.image_url) exported.imageUrl = question.image_url;
+                if (question.explanation) exported.explanation = question.explanation;
+                if (question.hint_text) exported.hint = question.hint_text;
+                if (question.partial_credit) exported.partialCredit = true;
+                if (question.age_bands) exported.ageBands = parseAgeBands(question.age_bands);
+                if (concepts.get(question.id).length > 0) exported.concepts = concepts.get(question.id);
+
+                const questionTargets = targets.filter(target => target.question_id === question.id);
+                if (questionTargets.length > 0) {
+                    exported.targets = questionTargets.map(target => {
+                        const exportedTarget = { key: target.target_key, label: target.label };
+                        if (target.icon) exportedTarget.icon = target.icon;
+                        return exportedTarget;
+                    });
+                }
+
+                // Ordering options are stored shuffled; the file lists them in the right order
+                const questionOptions = options.filter(option => option.question_id === question.id);
+                if (question.grader === 'ordering') {
+                    questionOptions.sort((a, b) => a.correct_position - b.correct_position);
+                }
+
+                exported.options = questionOptions
+                    .map(option => {
+                        const exportedOption = {
+                            key: option.option_key || `option-${option.id}`,
+                            text: option.option_text
+                        };
+                        if (option.feedback) exportedOption.feedback = option.feedback;
+                        if (option.icon) exportedOption.icon = option.icon;
+                        if (option.image_url) exportedOption.imageUrl = option.image_url;
+                        exportedOption.correct = Boolean(option.is_correct);
+                        if (option.credit !== null) exportedOption.credit = Number(option.credit);
+                        if (option.correct_position !== null) exportedOption.position = option.correct_position;
+                        if (option.target_key) exportedOption.target = option.target_key;
+                        return exportedOption;
+                    });
+
+                return exported;
+            });
+
+        return {
+            fileName: `${categoryKey}.json`,
+            data: {
+                formatVersion: FORMAT_VERSION,
+                category: {
+                    key: categoryKey,
+                    name: category.name,
+                    icon: category.icon,
+                    description: category.description,
+                    ...(category.age_bands ? { ageBands: parseAgeBands(category.age_bands) } : {})
+                },
+                questions: categoryQuestions
+            }
+        };
+    });
+}
+
+function writeBank(dir, exportedFiles) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const { fileName, data } of exportedFiles) {
+        fs.writeFileSync(path.join(dir, fileName), JSON.stringify(data, null, 2) + '\n');
+    }
+}
+
+// One line per change, e.g. "~ question phone-safety/x: points 10 → 15"
+function formatChanges(changes) {
+    const symbols = { create: '+', update: '~', deactivate: '-', delete: '✗' };
+
+    return changes.map(change => {
+        let line = `${symbols[change.action]} ${change.entity} ${change.key}`;
+        if (change.fields) {
+            const fields = Object.entries(change.fields).map(([column, { from, to }]) => {
+                const show = value => (typeof value === 'string' && value.length > 40)
+                    ? JSON.stringify(value.slice(0, 37) + '...')
+                    : JSON.stringify(value);
+                return `${column} ${show(from)} → ${show(to)}`;
+            });
+            line += `: ${fields.join(', ')}`;
+        }
+        return line;
+    });
+}
+
+module.exports = {
+    FORMAT_VERSION,
+    DEFAULT_BANK_DIR,
+    readBank,
+    validateBank,
+    importBank,
+    exportBank,
+    writeBank,
+    formatChanges
+};
@@ -0,0 +1,87 @@
+// lib/question-tickets.js - Tickets that tie an answer to a question the server served
+//
+// Serving a question issues a signed ticket and records when it was served.
+// The answer has to bring the ticket back; each ticket is redeemed once, and
+// the time taken is measured from the server's served_at, not sent by the client.
+
+const { signQuestionTicket, verifyToken } = require('./tokens');
+
+// sessionId links the answer to the quiz session the question was served in
+async function issueTicket(connection, userId, questionId, sessionId = null) {
+    const { token, ticketId, expiresAt, expiresIn } = signQuestionTicket(userId, questionId);
+
+    await connection.execute(`
+        INSERT INTO question_tickets (ticket_id, user_id, question_id, session_id, expires_at)
+        VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+    `, [ticketId, userId, questionId, sessionId, expiresIn]);
+
+    return { token, expiresAt };
+}
+
+// Marks the ticket used. Returns { ticketId, sessionId, timeTaken } or { status, error }.
+async function redeemTicket(connection, { token, userId, questionId }) {
+    const payload = verifyToken(token, 'question');
+    if (!payload) {
+        return { status: 400, error: 'Question ticket is invalid or has expired' };
+    }
+
+    if (payload.userId !== Number(userId) || payload.questionId !== Number(questionId)) {
+        return { status: 400, error: 'Question ticket does not match this question' };
+    }
+
+    const [tickets] = await connection.execute(`
+        SELECT id, session_id, used_at, expires_at <= NOW() as expired,
+               TIMESTAMPDIFF(SECOND, served_at, NOW()) as elapsed
+        FROM question_tickets
+        WHERE ticket_id = ?
+    `, [payload.jti]);
+
+    if (tickets.length === 0) {
+        return { status: 400, error: 'This question was not served' };
+    }
+
+    const ticket = tickets[0];
+
+    if (ticket.used_at) {
+        return { status: 409, error: 'This question has already been answered' };
+    }
+
+    if (ticket.expired) {
+        return { status: 400, error: 'Question ticket is invalid or has expired' };
+    }
+
+    // Only one of two simultaneous answers gets to claim the ticket
+    const [result] = await connection.execute(`
+        UPDATE question_tickets SET used_at = NOW() WHERE id = ? AND used_at IS NULL
+    `, [ticket.id]);
+
+    if (result.affectedRows === 0) {
+        return { status: 409, error: 'This question has already been answered' };
+    }
+
+    return { ticketId: ticket.id, sessionId: ticket.session_id, timeTaken: Math.max(Number(ticket.elapsed), 0) };
+}
+
+// Whether the child holds an unanswered, unexpired ticket for the question,
+// i.e. the question was served to them and is still open
+async function hasOpenTicket(connection, userId, questionId) {
+    const [tickets] = await connection.execute(`
+        SELECT id FROM question_tickets
+        WHERE user_id = ? AND question_id = ? AND used_at IS NULL AND expires_at > NOW()
+        LIMIT 1
+    `, [userId, questionId]);
+    return tickets.length > 0;
+}
+
+async function linkTicketToAttempt(connection, ticketId, attemptId) {
+    await connection.execute(`
+        UPDATE question_tickets SET attempt_id = ? WHERE id = ?
+    `, [attemptId, ticketId]);
+}
+
+module.exports = {
+    issueTicket,
+    redeemTicket,
+    hasOpenTicket,
+    linkTicketToAttempt
+};
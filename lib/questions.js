@@ -0,0 +1,131 @@
+// lib/questions.js - Question content rules shared by the admin API and import scripts
+const { getGrader } = require('./graders');
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// Check the options of a question against the rules for its type and grader.
+// Options are { optionText, isCorrect, credit, correctPosition, targetKey } and
+// targets { key, label }. Returns an error message, or null if they are valid.
+function validateOptions(typeName, graderName, options, targets = []) {
+    if (!Array.isArray(options) || options.length < 2) {
+        return 'A question needs at least 2 answer options';
+    }
+    if (options.some(option => !option.optionText || option.optionText.trim().length === 0)) {
+        return 'Every answer option needs text';
+    }
+
+    if (typeName === 'true_false' && options.length !== 2) {
+        return 'A true_false question must have exactly 2 options';
+    }
+
+    const targetKeys = targets.map(target => target.key);
+    if (new Set(targetKeys).size !== targetKeys.length) {
+        return 'Target keys must be unique';
+    }
+
+    const creditOptions = options.filter(option => option.credit !== undefined && option.credit !== null);
+    if (creditOptions.length > 0) {
+        if (!getGrader(graderName).supportsOptionCredit) {
+            return `A ${typeName} question cannot give credit for single options`;
+        }
+        if (creditOptions.some(option => !(typeof option.credit === 'number' && option.credit > 0 && option.credit < 1))) {
+            return 'Option credit must be a number between 0 and 1';
+        }
+        if (creditOptions.some(option => option.isCorrect)) {
+            return 'Only a wrong answer option can carry partial credit';
+        }
+    }
+
+    const graderError = getGrader(graderName).validateDefinition(options, targets);
+    if (graderError) {
+        return `A ${typeName} question ${graderError}`;
+    }
+
+    return null;
+}
+
+// Recount active questions for the given categories (or every category)
+async function syncCategoryTotals(connection, categoryIds) {
+    const ids = [...new Set((categoryIds || []).filter(Boolean).map(Number))];
+
+    if (categoryIds && ids.length === 0) return;
+
+    await connection.query(`
+        UPDATE categories c
+        SET total_questions = (
+            SELECT COUNT(*) FROM questions q
+            WHERE q.category_id = c.id AND q.is_active = true
+        )
+        ${categoryIds ? 'WHERE c.id IN (?)' : ''}
+    `, categoryIds ? [ids] : []);
+}
+
+// A copy of items in random order (Fisher-Yates)
+function shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// The order to write a question's options in. Authors usually list the options
+// of an ordering question in the right order, so they are written in random
+// order: neither order_position nor the ids then follow correct_position.
+function storageOrder(grader, options) {
+    return grader === 'ordering' ? shuffle(options) : options;
+}
+
+// Answer options as shown to a child: no is_correct flag or answer schema.
+// With shuffled the options come in random order, without order_position.
+async function getPublicOptions(connection, questionId, { shuffled = false } = {}) {
+    const [options] = await connection.execute(`
+        SELECT id, option_text, icon, image_url${shuffled ? '' : ', order_position'}
+        FROM answer_options 
+        WHERE question_id = ? AND is_active = true
+        ORDER BY order_position
+    `, [questionId]);
+
+    return shuffled ? shuffle(options) : options;
+}
+
+// Buckets of a drag-into-bucket question, in display order
+async function getAnswerTargets(connection, questionId) {
+    const [targets] = await connection.execute(`
+        SELECT id, target_key, label, icon
+        FROM answer_targets
+        WHERE question_id = ?
+        ORDER BY order_position, id
+    `, [questionId]);
+    return targets;
+}
+
+// Replace the buckets of a question with targets ({ key, label, icon }).
+// Buckets are matched by key, so one that stays keeps its id and translations.
+async function saveTargets(connection, questionId, targets) {
+    const keys = targets.map(target => target.key);
+    await connection.query(`
+        DELETE FROM answer_targets WHERE question_id = ? ${keys.length > 0 ? 'AND target_key NOT IN (?)' : ''}
+    `, keys.length > 0 ? [questionId, keys] : [questionId]);
+
+    for (let i = 0; i < targets.length; i++) {
+        const target = targets[i];
+        await connection.execute(`
+            INSERT INTO answer_targets (question_id, target_key, label, icon, order_position)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                label = VALUES(label), icon = VALUES(icon), order_position = VALUES(order_position)
+        `, [questionId, target.key, target.label, target.icon || null, i + 1]);
+    }
+}
+
+module.exports = {
+    DIFFICULTY_LEVELS,
+    validateOptions,
+    syncCategoryTotals,
+    storageOrder,
+    getPublicOptions,
+    getAnswerTargets,
+    saveTargets
+};
@@ -0,0 +1,330 @@
+// lib/recompute.js - Rebuild a child's running counters from their answers
+//
+// The streaks, user_progress, user_question_type_performance,
+// user_concept_mastery and leaderboard_points are all kept up to date one
+// answer at a time, so any bug or manual edit leaves them wrong for good.
+// Everything here is worked out
+// again from question_attempts, plus the daily challenge bonuses recorded on
+// quiz_sessions. users.total_points is checked against the points ledger,
+// whose sum it caches (see lib/points.js).
+//
+// Not rebuilt: the daily streak and streak freezes (which days a freeze
+// covered is not in the attempts), review schedules and skill ratings.
+
+const { localDate } = require('./streaks');
+const { periodStart } = require('./leaderboards');
+const { ledgerTotal } = require('./points');
+const { INITIAL_MASTERY, nextMastery, getQuestionConcepts } = require('./concepts');
+
+// Stored DECIMAL columns come back as strings with two decimals
+function round2(value) {
+    return Math.round(Number(value) * 100) / 100;
+}
+
+// Correct answers in a row: the run at the end, and the longest run
+function streaksOf(attempts) {
+    let current = 0;
+    let best = 0;
+    for (const attempt of attempts) {
+        current = attempt.is_correct ? current + 1 : 0;
+        best = Math.max(best, current);
+    }
+    return { current_streak: current, best_streak: best };
+}
+
+// What the counters should hold. Every part maps a key to a row of
+// column values, so expected and stored values compare field by field.
+async function computeUserStats(connection, user) {
+    const [attempts] = await connection.execute(`
+        SELECT qa.question_id, qa.question_type_id, qa.is_correct, qa.credit, qa.points_earned,
+               qa.time_taken, qa.attempted_at, q.category_id
+        FROM question_attempts qa
+        JOIN questions q ON q.id = qa.question_id
+        WHERE qa.user_id = ?
+        ORDER BY qa.attempted_at, qa.id
+    `, [user.id]);
+
+    const [bonuses] = await connection.execute(`
+        SELECT bonus_points, completed_at FROM quiz_sessions
+        WHERE user_id = ? AND bonus_points > 0
+    `, [user.id]);
+
+    const [categories] = await connection.execute(`
+        SELECT id, total_questions FROM categories
+    `);
+    const totalQuestions = new Map(categories.map(category => [category.id, category.total_questions]));
+
+    const users = new Map([[user.id, {
+        total_points: await ledgerTotal(connection, user.id),
+        ...streaksOf(attempts)
+    }]]);
+
+    // Only the first attempt at a question counts towards its category
+    const progress = new Map();
+    const answered = new Set();
+    for (const attempt of attempts) {
+        if (!progress.has(attempt.category_id)) {
+            progress.set(attempt.category_id, { questions_answered: 0, correct_answers: 0, points_earned: 0, is_completed: 0 });
+        }
+        const row = progress.get(attempt.category_id);
+        row.points_earned += attempt.points_earned;
+        if (!answered.has(attempt.question_id)) {
+            answered.add(attempt.question_id);
+            row.questions_answered++;
+            if (attempt.is_correct) row.correct_answers++;
+        }
+    }
+    for (const [categoryId, row] of progress) {
+        row.is_completed = row.questions_answered >= totalQuestions.get(categoryId) ? 1 : 0;
+    }
+
+    const typePerformance = new Map();
+    const timed = new Map();
+    for (const attempt of attempts) {
+        if (!typePerformance.has(attempt.question_type_id)) {
+            typePerformance.set(attempt.question_type_id, { total_attempts: 0, correct_attempts: 0, success_rate: 0, avg_time_taken: 0 });
+            timed.set(attempt.question_type_id, { seconds: 0, count: 0 });
+        }
+        const row = typePerformance.get(attempt.question_type_id);
+        row.total_attempts++;
+        if (attempt.is_correct) row.correct_attempts++;
+        if (attempt.time_taken !== null) {
+            timed.get(attempt.question_type_id).seconds += attempt.time_taken;
+            timed.get(attempt.question_type_id).count++;
+        }
+    }
+    for (const [typeId, row] of typePerformance) {
+        const time = timed.get(typeId);
+        row.success_rate = round2(row.correct_attempts / row.total_attempts * 100);
+        row.avg_time_taken = time.count > 0 ? round2(time.seconds / time.count) : 0;
+    }
+
+    // Mastery follows the answers in order, against the questions' current tags
+    const conceptMastery = new Map();
+    const questionConcepts = await getQuestionConcepts(connection, [...new Set(attempts.map(attempt => attempt.question_id))]);
+    for (const attempt of attempts) {
+        const credit = attempt.credit === null ? (attempt.is_correct ? 1 : 0) : Number(attempt.credit);
+        for (const conceptKey of questionConcepts.get(attempt.question_id)) {
+            if (!conceptMastery.has(conceptKey)) {
+                conceptMastery.set(conceptKey, { mastery: INITIAL_MASTERY, attempts: 0, correct_attempts: 0 });
+            }
+            const row = conceptMastery.get(conceptKey);
+            row.mastery = nextMastery(row.mastery, row.attempts, credit);
+            row.attempts++;
+            if (attempt.is_correct) row.correct_attempts++;
+        }
+    }
+
+    // Weeks and months of the child's own calendar, as recordLeaderboardPoints files them
+    const leaderboard = new Map();
+    const addToPeriods = (date, points, questions) => {
+        const day = localDate(user.timezone, date);
+        for (const period of ['week', 'month']) {
+            const key = `${period} ${periodStart(period, day)}`;
+            if (!leaderboard.has(key)) leaderboard.set(key, { points: 0, questions_answered: 0 });
+            leaderboard.get(key).points += points;
+            leaderboard.get(key).questions_answered += questions;
+        }
+    };
+    attempts.forEach(attempt => addToPeriods(attempt.attempted_at, attempt.points_earned, 1));
+    bonuses.forEach(bonus => addToPeriods(bonus.completed_at, bonus.bonus_points, 0));
+
+    return { users, progress, typePerformance, conceptMastery, leaderboard };
+}
+
+async function loadStoredStats(connection, userId) {
+    const [users] = await connection.execute(`
+        SELECT total_points, current_streak, best_streak FROM users WHERE id = ?
+    `, [userId]);
+
+    const [progress] = await connection.execute(`
+        SELECT category_id, questions_answered, correct_answers, points_earned, is_completed
+        FROM user_progress WHERE user_id = ?
+    `, [userId]);
+
+    const [typePerformance] = await connection.execute(`
+        SELECT question_type_id, total_attempts, correct_attempts, success_rate, avg_time_taken
+        FROM user_question_type_performance WHERE user_id = ?
+    `, [userId]);
+
+    const [conceptMastery] = await connection.execute(`
+        SELECT concept_key, mastery, attempts, correct_attempts
+        FROM user_concept_mastery WHERE user_id = ?
+    `, [userId]);
+
+    const [leaderboard] = await connection.execute(`
+        SELECT period, DATE_FORMAT(period_start, '%Y-%m-%d') as period_start, points, questions_answered
+        FROM leaderboard_points WHERE user_id = ?
+    `, [userId]);
+
+    return {
+        users: new Map(users.map(row => [userId, row])),
+        progress: new Map(progress.map(({ category_id, is_completed, ...row }) => [
+            category_id, { ...row, is_completed: is_completed ? 1 : 0 }
+        ])),
+        typePerformance: new Map(typePerformance.map(({ question_type_id, success_rate, avg_time_taken, ...row }) => [
+            question_type_id, { ...row, success_rate: round2(success_rate), avg_time_taken: round2(avg_time_taken) }
+        ])),
+        conceptMastery: new Map(conceptMastery.map(({ concept_key, mastery, ...row }) => [
+            concept_key, { ...row, mastery: Number(mastery) }
+        ])),
+        leaderboard: new Map(leaderboard.map(({ period, period_start, ...row }) => [`${period} ${period_start}`, row]))
+    };
+}
+
+const TABLES = {
+    users: 'users',
+    progress: 'user_progress',
+    typePerformance: 'user_question_type_performance',
+    conceptMastery: 'user_concept_mastery',
+    leaderboard: 'leaderboard_points'
+};
+
+// Every field that differs, as { userId, table, key, field, stored, expected }.
+// A missing row counts as all zeros, so an empty row left over is no mismatch.
+function diffStats(userId, expected, stored) {
+    const mismatches = [];
+    for (const [part, table] of Object.entries(TABLES)) {
+        const keys = new Set([...expected[part].keys(), ...stored[part].keys()]);
+        for (const key of keys) {
+            const expectedRow = expected[part].get(key) || {};
+            const storedRow = stored[part].get(key) || {};
+            const fields = new Set([...Object.keys(expectedRow), ...Object.keys(storedRow)]);
+            for (const field of fields) {
+                const expectedValue = expectedRow[field] ?? 0;
+                const storedValue = storedRow[field] ?? 0;
+                if (expectedValue !== storedValue) {
+                    mismatches.push({ userId, table, key: String(key), field, stored: storedValue, expected: expectedValue });
+                }
+            }
+        }
+    }
+    return mismatches;
+}
+
+// Delete the child's rows whose keyColumn is not one of keepIds
+async function deleteOtherRows(connection, table, keyColumn, userId, keepIds) {
+    if (keepIds.length === 0) {
+        await connection.execute(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+    } else {
+        await connection.query(`DELETE FROM ${table} WHERE user_id = ? AND ${keyColumn} NOT IN (?)`, [userId, keepIds]);
+    }
+}
+
+async function writeUserStats(connection, userId, expected) {
+    const user = expected.users.get(userId);
+    await connection.execute(`
+        UPDATE users SET total_points = ?, current_streak = ?, best_streak = ? WHERE id = ?
+    `, [user.total_points, user.current_streak, user.best_streak, userId]);
+
+    // Rows are updated in place so user_progress keeps last_question_id
+    const categoryIds = [...expected.progress.keys()];
+    for (const [categoryId, row] of expected.progress) {
+        await connection.execute(`
+            INSERT INTO user_progress (user_id, category_id, questions_answered, correct_answers, points_earned, is_completed)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                questions_answered = VALUES(questions_answered),
+                correct_answers = VALUES(correct_answers),
+                points_earned = VALUES(points_earned),
+                is_completed = VALUES(is_completed)
+        `, [userId, categoryId, row.questions_answered, row.correct_answers, row.points_earned, row.is_completed]);
+    }
+    await deleteOtherRows(connection, 'user_progress', 'category_id', userId, categoryIds);
+
+    const typeIds = [...expected.typePerformance.keys()];
+    for (const [typeId, row] of expected.typePerformance) {
+        await connection.execute(`
+            INSERT INTO user_question_type_performance
+            (user_id, question_type_id, total_attempts, correct_attempts, success_rate, avg_time_taken)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                total_attempts = VALUES(total_attempts),
+                correct_attempts = VALUES(correct_attempts),
+                success_rate = VALUES(success_rate),
+                avg_time_taken = VALUES(avg_time_taken)
+        `, [userId, typeId, row.total_attempts, row.correct_attempts, row.success_rate, row.avg_time_taken]);
+    }
+    await deleteOtherRows(connection, 'user_question_type_performance', 'question_type_id', userId, typeIds);
+
+    // Rows are updated in place so user_concept_mastery keeps last_practiced_at
+    const conceptKeys = [...expected.conceptMastery.keys()];
+    for (const [conceptKey, row] of expected.conceptMastery) {
+        await connection.execute(`
+            INSERT INTO user_concept_mastery (user_id, concept_key, mastery, attempts, correct_attempts)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                mastery = VALUES(mastery),
+                attempts = VALUES(attempts),
+                correct_attempts = VALUES(correct_attempts)
+        `, [userId, conceptKey, row.mastery, row.attempts, row.correct_attempts]);
+    }
+    await deleteOtherRows(connection, 'user_concept_mastery', 'concept_key', userId, conceptKeys);
+
+    await connection.execute('DELETE FROM leaderboard_points WHERE user_id = ?', [userId]);
+    for (const [key, row] of expected.leaderboard) {
+        const [period, start] = key.split(' ');
+        await connection.execute(`
+            INSERT INTO leaderboard_points (user_id, period, period_start, points, questions_answered)
+            VALUES (?, ?, ?, ?, ?)
+        `, [userId, period, start, row.points, row.questions_answered]);
+    }
+}
+
+// Compare one child's counters with their answers and, unless verifying,
+// fix them. Runs on the caller's connection, so the caller decides on the
+// transaction. Returns the mismatches found (and fixed).
+async function recomputeUser(connection, userId, { verify = false } = {}) {
+    // Locking the child's row holds back answers until the rebuild is written
+    const [users] = await connection.execute(`
+        SELECT id, timezone FROM users WHERE id = ? ${verify ? '' : 'FOR UPDATE'}
+    `, [userId]);
+    if (users.length === 0) return null;
+
+    const expected = await computeUserStats(connection, users[0]);
+    const stored = await loadStoredStats(connection, userId);
+    const mismatches = diffStats(userId, expected, stored);
+
+    if (!verify && mismatches.length > 0) {
+        await writeUserStats(connection, userId, expected);
+    }
+    return mismatches;
+}
+
+// One child (userId) or everyone, each in their own transaction.
+// onUser(userId, mismatches) is called after each child, for progress output.
+// Returns { usersChecked, usersWithMismatches, mismatches }.
+async function recomputeStats(connection, { userId = null, verify = false, onUser = () => {} } = {}) {
+    const [users] = userId
+        ? await connection.execute('SELECT id FROM users WHERE id = ?', [userId])
+        : await connection.execute('SELECT id FROM users ORDER BY id');
+
+    const mismatches = [];
+    let usersWithMismatches = 0;
+
+    for (const user of users) {
+        await connection.beginTransaction();
+        try {
+            const userMismatches = await recomputeUser(connection, user.id, { verify });
+            await connection.commit();
+
+            if (userMismatches && userMismatches.length > 0) {
+                usersWithMismatches++;
+                mismatches.push(...userMismatches);
+            }
+            onUser(user.id, userMismatches || []);
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+    }
+
+    return { usersChecked: users.length, usersWithMismatches, mismatches };
+}
+
+module.exports = {
+    computeUserStats,
+    diffStats,
+    recomputeUser,
+    recomputeStats
+};
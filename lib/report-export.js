@@ -0,0 +1,196 @@
+// lib/report-export.js - Progress reports as CSV and as a printable HTML page
+
+// Text that starts like a formula (anything but a plain negative number) is
+// prefixed with ' so spreadsheets show it instead of running it; a child's
+// name could be "=HYPERLINK(...)"
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRows(rows) {
+    return rows.map(row => row.map(csvValue).join(',')).join('\r\n');
+}
+
+function formatMinutes(seconds) {
+    return Math.round(seconds / 60);
+}
+
+const CONCEPT_STATUS_LABELS = { learning: 'Learning', practising: 'Practising', mastered: 'Mastered' };
+
+// One file with a titled table per section, separated by blank lines,
+// so it opens as a single sheet in a spreadsheet
+function reportToCsv(report) {
+    const { summary } = report;
+
+    const sections = [
+        [
+            ['Progress report', report.child.name],
+            ['From', report.period.from],
+            ['To', report.period.to],
+            ['Questions answered', summary.questionsAnswered],
+            ['Correct', summary.correct],
+            ['Accuracy %', summary.accuracy],
+            ['Points earned', summary.pointsEarned],
+            ['Minutes spent', formatMinutes(summary.timeSpentSeconds)],
+            ['Active days', summary.activeDays],
+            ['Hints used', summary.hintsUsed]
+        ],
+        [
+            ['Category', 'Questions answered', 'Correct', 'Accuracy %', 'Category progress', 'Completed'],
+            ...report.categories.map(category => [
+                category.name, category.questionsAnswered, category.correct, category.accuracy,
+                `${category.progress.questionsAnswered}/${category.progress.totalQuestions}`,
+                category.progress.isCompleted ? 'yes' : 'no'
+            ])
+        ],
+        [
+            ['Question to practise', 'Category', 'Wrong attempts', 'Attempts', 'Right on last try', 'Explanation'],
+            ...report.struggledQuestions.map(question => [
+                question.questionText, question.categoryName, question.wrongAttempts,
+                question.attempts, question.mastered ? 'yes' : 'no', question.explanation
+            ])
+        ],
+        [
+            ['Concept', 'Mastery %', 'Status', 'Answers'],
+            ...report.concepts.map(concept => [
+                concept.name, concept.mastery, CONCEPT_STATUS_LABELS[concept.status], concept.attempts
+            ])
+        ],
+        [
+            ['Badge', 'Description', 'Earned on'],
+            ...report.badges.map(badge => [badge.name, badge.description, badge.earnedOn])
+        ],
+        [
+            ['Date', 'Questions answered', 'Correct', 'Points earned', 'Minutes spent'],
+            ...report.days.map(day => [
+                day.date, day.questionsAnswered, day.correct, day.pointsEarned, formatMinutes(day.timeSpentSeconds)
+            ])
+        ]
+    ];
+
+    return sections.map(csvRows).join('\r\n\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function htmlTable(headers, rows, emptyText) {
+    if (rows.length === 0) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+
+    const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+    const body = rows
+        .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+        .join('\n');
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// A self-contained page meant to be printed or saved as PDF from the browser
+function reportToHtml(report) {
+    const { summary, child, period } = report;
+
+    const summaryItems = [
+        ['Questions answered', summary.questionsAnswered],
+        ['Accuracy', `${summary.accuracy}%`],
+        ['Points earned', summary.pointsEarned],
+        ['Minutes spent', formatMinutes(summary.timeSpentSeconds)],
+        ['Active days', `${summary.activeDays} of ${report.days.length}`],
+        ['Hints used', summary.hintsUsed]
+    ].map(([label, value]) => `<div class="stat"><span>${escapeHtml(value)}</span>${escapeHtml(label)}</div>`).join('\n');
+
+    const topics = report.topicsToWorkOn.length > 0
+        ? `<p>Topics to work on together: <strong>${escapeHtml(report.topicsToWorkOn.join(', '))}</strong></p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Progress report for ${escapeHtml(child.name)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    h1 { margin-bottom: 0; }
+    .period { color: #666; margin-top: 0.25rem; }
+    .stats { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1.5rem 0; }
+    .stat { border: 1px solid #ddd; border-radius: 8px; padding: 0.75rem 1rem; min-width: 8rem; }
+    .stat span { display: block; font-size: 1.5rem; font-weight: bold; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+    th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f4f4f4; }
+    .empty { color: #666; font-style: italic; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(child.avatar || '')} ${escapeHtml(child.name)}</h1>
+<p class="period">${escapeHtml(period.from)} to ${escapeHtml(period.to)}</p>
+
+<div class="stats">
+${summaryItems}
+</div>
+
+<h2>Categories</h2>
+${topics}
+${htmlTable(
+        ['Category', 'Answered', 'Correct', 'Accuracy', 'Category progress'],
+        report.categories.map(category => [
+            `${category.icon || ''} ${category.name}`, category.questionsAnswered, category.correct,
+            `${category.accuracy}%`,
+            category.progress.isCompleted
+                ? 'Completed'
+                : `${category.progress.questionsAnswered} of ${category.progress.totalQuestions}`
+        ]),
+        'No questions answered in this period.'
+    )}
+
+<h2>Questions to practise</h2>
+${htmlTable(
+        ['Question', 'Category', 'Wrong', 'Right on last try', 'What we explained'],
+        report.struggledQuestions.map(question => [
+            question.questionText, question.categoryName, `${question.wrongAttempts} of ${question.attempts}`,
+            question.mastered ? 'Yes' : 'Not yet', question.explanation || ''
+        ]),
+        'No wrong answers in this period.'
+    )}
+
+<h2>Concepts</h2>
+${htmlTable(
+        ['Concept', 'Mastery', 'Status', 'Answers'],
+        report.concepts.map(concept => [
+            concept.name, `${concept.mastery}%`, CONCEPT_STATUS_LABELS[concept.status], concept.attempts
+        ]),
+        'No concepts practised yet.'
+    )}
+
+<h2>Badges earned</h2>
+${htmlTable(
+        ['Badge', 'Description', 'Earned on'],
+        report.badges.map(badge => [`${badge.icon || ''} ${badge.name}`, badge.description || '', badge.earnedOn]),
+        'No new badges in this period.'
+    )}
+
+<h2>Day by day</h2>
+${htmlTable(
+        ['Date', 'Answered', 'Correct', 'Points', 'Minutes'],
+        report.days.map(day => [
+            day.date, day.questionsAnswered, day.correct, day.pointsEarned, formatMinutes(day.timeSpentSeconds)
+        ]),
+        'No activity.'
+    )}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    reportToCsv,
+    reportToHtml
+};
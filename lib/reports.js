@@ -0,0 +1,173 @@
+// lib/reports.js - What a child did and learned between two dates, for their parents
+//
+// Dates are the child's own calendar days (users.timezone), both inclusive.
+// Attempts are fetched with a day of margin either side and then sorted into
+// local days here, since MySQL may not have timezone tables loaded.
+
+const { localDate, daysBetween, addDays } = require('./streaks');
+const { getConceptMastery } = require('./concepts');
+
+const DEFAULT_REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 366;
+// A category below this accuracy is listed as a topic to work on
+const STRUGGLE_ACCURACY = 60;
+
+function percent(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 100) : 0;
+}
+
+// The report range: the last DEFAULT_REPORT_DAYS days up to today unless given
+function reportRange(timezone, { from, to } = {}) {
+    const end = to || localDate(timezone);
+    const start = from || addDays(end, -(DEFAULT_REPORT_DAYS - 1));
+    return { from: start, to: end, days: daysBetween(start, end) + 1 };
+}
+
+async function buildReport(connection, user, { from, to }) {
+    const inRange = date => {
+        const day = localDate(user.timezone, date);
+        return day >= from && day <= to ? day : null;
+    };
+
+    const [attemptRows] = await connection.execute(`
+        SELECT qa.question_id, qa.is_correct, qa.credit, qa.points_earned, qa.time_taken,
+               qa.hints_used, qa.attempted_at,
+               q.question_text, q.explanation, q.category_id,
+               c.name as category_name, c.icon as category_icon
+        FROM question_attempts qa
+        JOIN questions q ON q.id = qa.question_id
+        JOIN categories c ON c.id = q.category_id
+        WHERE qa.user_id = ? AND qa.attempted_at >= ? AND qa.attempted_at < ?
+        ORDER BY qa.attempted_at, qa.id
+    `, [user.id, addDays(from, -1), addDays(to, 2)]);
+
+    const attempts = attemptRows
+        .map(attempt => ({ ...attempt, day: inRange(attempt.attempted_at) }))
+        .filter(attempt => attempt.day);
+
+    // Day by day, including days without activity
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+        const dayAttempts = attempts.filter(attempt => attempt.day === day);
+        days.push({
+            date: day,
+            questionsAnswered: dayAttempts.length,
+            correct: dayAttempts.filter(attempt => attempt.is_correct).length,
+            pointsEarned: dayAttempts.reduce((sum, attempt) => sum + attempt.points_earned, 0),
+            timeSpentSeconds: dayAttempts.reduce((sum, attempt) => sum + (attempt.time_taken || 0), 0)
+        });
+    }
+
+    // Accuracy per category in the range, next to overall progress in it
+    const [progressRows] = await connection.execute(`
+        SELECT c.id, c.name, c.icon, c.total_questions,
+               COALESCE(up.questions_answered, 0) as questions_answered,
+               COALESCE(up.is_completed, false) as is_completed
+        FROM categories c
+        LEFT JOIN user_progress up ON up.category_id = c.id AND up.user_id = ?
+        ORDER BY c.id
+    `, [user.id]);
+
+    const categories = progressRows
+        .map(category => {
+            const categoryAttempts = attempts.filter(attempt => attempt.category_id === category.id);
+            const correct = categoryAttempts.filter(attempt => attempt.is_correct).length;
+            return {
+                categoryId: category.id,
+                name: category.name,
+                icon: category.icon,
+                questionsAnswered: categoryAttempts.length,
+                correct,
+                accuracy: percent(correct, categoryAttempts.length),
+                progress: {
+                    questionsAnswered: category.questions_answered,
+                    totalQuestions: category.total_questions,
+                    isCompleted: Boolean(category.is_completed)
+                }
+            };
+        })
+        .filter(category => category.questionsAnswered > 0);
+
+    // Questions answered wrongly, with the explanation shown after each answer
+    const struggles = new Map();
+    for (const attempt of attempts) {
+        if (!struggles.has(attempt.question_id)) {
+            struggles.set(attempt.question_id, {
+                questionId: attempt.question_id,
+                questionText: attempt.question_text,
+                categoryName: attempt.category_name,
+                explanation: attempt.explanation,
+                wrongAttempts: 0,
+                attempts: 0,
+                // Whether the latest try was right
+                mastered: false
+            });
+        }
+        const struggle = struggles.get(attempt.question_id);
+        struggle.attempts++;
+        if (!attempt.is_correct) struggle.wrongAttempts++;
+        struggle.mastered = Boolean(attempt.is_correct);
+    }
+    const struggledQuestions = [...struggles.values()]
+        .filter(struggle => struggle.wrongAttempts > 0)
+        .sort((a, b) => b.wrongAttempts - a.wrongAttempts || a.questionId - b.questionId);
+
+    const [badgeRows] = await connection.execute(`
+        SELECT b.name, b.description, b.icon, ub.earned_at
+        FROM user_badges ub
+        JOIN badges b ON b.id = ub.badge_id
+        WHERE ub.user_id = ? AND ub.earned_at >= ? AND ub.earned_at < ?
+        ORDER BY ub.earned_at
+    `, [user.id, addDays(from, -1), addDays(to, 2)]);
+
+    const badges = badgeRows
+        .filter(badge => inRange(badge.earned_at))
+        .map(badge => ({
+            name: badge.name,
+            description: badge.description,
+            icon: badge.icon,
+            earnedOn: inRange(badge.earned_at)
+        }));
+
+    // Mastery is the child's current estimate, not limited to the period
+    const concepts = (await getConceptMastery(connection, user.id))
+        .filter(concept => concept.attempts > 0)
+        .map(concept => ({
+            key: concept.key,
+            name: concept.name,
+            mastery: percent(concept.mastery, 1),
+            status: concept.status,
+            attempts: concept.attempts
+        }));
+
+    const correct = attempts.filter(attempt => attempt.is_correct).length;
+
+    return {
+        child: { name: user.name, avatar: user.avatar },
+        period: { from, to, timezone: user.timezone },
+        summary: {
+            questionsAnswered: attempts.length,
+            correct,
+            accuracy: percent(correct, attempts.length),
+            pointsEarned: days.reduce((sum, day) => sum + day.pointsEarned, 0),
+            timeSpentSeconds: days.reduce((sum, day) => sum + day.timeSpentSeconds, 0),
+            activeDays: days.filter(day => day.questionsAnswered > 0).length,
+            hintsUsed: attempts.reduce((sum, attempt) => sum + attempt.hints_used, 0)
+        },
+        categories,
+        topicsToWorkOn: categories
+            .filter(category => category.accuracy < STRUGGLE_ACCURACY)
+            .map(category => category.name),
+        struggledQuestions,
+        concepts,
+        badges,
+        days
+    };
+}
+
+module.exports = {
+    DEFAULT_REPORT_DAYS,
+    MAX_REPORT_DAYS,
+    reportRange,
+    buildReport
+};
@@ -0,0 +1,104 @@
+// lib/review-scheduler.js - Leitner-box spaced repetition for answered questions
+//
+// Every answered question gets a review_items row. A wrong answer puts the
+// question back in box 1 (review tomorrow); each correct review moves it up a
+// box, and higher boxes wait longer before the question comes back.
+
+const { endOfLocalDay } = require('./streaks');
+
+// Days to wait before reviewing a question in each box (index = box number)
+const BOX_INTERVAL_DAYS = [null, 1, 3, 7, 14, 30];
+const MAX_BOX = BOX_INTERVAL_DAYS.length - 1;
+// Questions answered correctly the first time start part-way up
+const FIRST_CORRECT_BOX = 3;
+
+// Box after an answer. A correct answer that needed a hint counts as weak and
+// keeps the question where it is.
+function nextBox(currentBox, isCorrect, hintUsed) {
+    if (!isCorrect) return 1;
+    if (currentBox === null) return hintUsed ? 1 : FIRST_CORRECT_BOX;
+    if (hintUsed) return currentBox;
+    return Math.min(currentBox + 1, MAX_BOX);
+}
+
+// Update the schedule of one question after the child answered it
+async function recordReview(connection, { userId, questionId, isCorrect, hintUsed = false }) {
+    const [items] = await connection.execute(`
+        SELECT box FROM review_items WHERE user_id = ? AND question_id = ?
+    `, [userId, questionId]);
+
+    const box = nextBox(items.length > 0 ? items[0].box : null, isCorrect, hintUsed);
+
+    await connection.execute(`
+        INSERT INTO review_items (user_id, question_id, box, lapses, last_reviewed_at, due_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY))
+        ON DUPLICATE KEY UPDATE
+            box = VALUES(box),
+            lapses = lapses + VALUES(lapses),
+            last_reviewed_at = VALUES(last_reviewed_at),
+            due_at = VALUES(due_at)
+    `, [userId, questionId, box, isCorrect ? 0 : 1, BOX_INTERVAL_DAYS[box]]);
+
+    return { box, intervalDays: BOX_INTERVAL_DAYS[box] };
+}
+
+// The end of today in the child's timezone; "due today" means due before it
+async function endOfChildsDay(connection, userId) {
+    const [users] = await connection.execute(`
+        SELECT timezone FROM users WHERE id = ?
+    `, [userId]);
+    return endOfLocalDay(users[0]?.timezone);
+}
+
+// The most overdue active question that is due by the end of today, from one
+// category or from all of them. Returns null when nothing is due.
+async function getNextReviewQuestion(connection, userId, categoryId = null) {
+    const dayEnd = await endOfChildsDay(connection, userId);
+    const [questions] = await connection.execute(`
+        SELECT q.*, qt.type_name, qt.grader, ri.box as review_box, ri.due_at as review_due_at
+        FROM review_items ri
+        JOIN questions q ON q.id = ri.question_id
+        JOIN question_types qt ON q.question_type_id = qt.id
+        WHERE ri.user_id = ? AND q.is_active = true
+        AND ri.due_at < ?
+        ${categoryId ? 'AND q.category_id = ?' : ''}
+        ORDER BY ri.due_at
+        LIMIT 1
+    `, categoryId ? [userId, dayEnd, categoryId] : [userId, dayEnd]);
+
+    return questions[0] || null;
+}
+
+// Everything due by the end of today, across all categories
+async function getDueToday(connection, userId) {
+    const dayEnd = await endOfChildsDay(connection, userId);
+    const [items] = await connection.execute(`
+        SELECT ri.question_id, ri.box, ri.lapses, ri.due_at, ri.last_reviewed_at,
+               q.question_text, q.category_id, c.name as category_name, c.icon as category_icon
+        FROM review_items ri
+        JOIN questions q ON q.id = ri.question_id
+        JOIN categories c ON c.id = q.category_id
+        WHERE ri.user_id = ? AND q.is_active = true
+        AND ri.due_at < ?
+        ORDER BY ri.due_at
+    `, [userId, dayEnd]);
+
+    const [upcoming] = await connection.execute(`
+        SELECT MIN(ri.due_at) as next_due_at
+        FROM review_items ri
+        JOIN questions q ON q.id = ri.question_id
+        WHERE ri.user_id = ? AND q.is_active = true
+        AND ri.due_at >= ?
+    `, [userId, dayEnd]);
+
+    return { items, nextDueAt: upcoming[0].next_due_at };
+}
+
+module.exports = {
+    BOX_INTERVAL_DAYS,
+    MAX_BOX,
+    nextBox,
+    recordReview,
+    getNextReviewQuestion,
+    getDueToday
+};
@@ -0,0 +1,65 @@
+// lib/schema.js - Helpers for writing idempotent migrations
+
+async function columnExists(connection, table, column) {
+    const [columns] = await connection.execute(`
+        SELECT COLUMN_NAME FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `, [table, column]);
+    return columns.length > 0;
+}
+
+async function indexExists(connection, table, index) {
+    const [indexes] = await connection.execute(`
+        SELECT INDEX_NAME FROM information_schema.STATISTICS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+    `, [table, index]);
+    return indexes.length > 0;
+}
+
+async function tableExists(connection, table) {
+    const [tables] = await connection.execute(`
+        SELECT TABLE_NAME FROM information_schema.TABLES
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+    `, [table]);
+    return tables.length > 0;
+}
+
+// Add a column to an existing table if it isn't there yet.
+// Returns true when the column was added.
+async function addColumnIfMissing(connection, table, column, definition) {
+    if (await columnExists(connection, table, column)) return false;
+
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`  ➕ Added ${table}.${column}`);
+    return true;
+}
+
+async function dropColumnIfExists(connection, table, column) {
+    if (!(await columnExists(connection, table, column))) return false;
+
+    await connection.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    console.log(`  ➖ Dropped ${table}.${column}`);
+    return true;
+}
+
+// Foreign keys must be dropped by their (generated) constraint name
+async function dropForeignKeysOn(connection, table, column) {
+    const [constraints] = await connection.execute(`
+        SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+        AND REFERENCED_TABLE_NAME IS NOT NULL
+    `, [table, column]);
+
+    for (const constraint of constraints) {
+        await connection.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${constraint.CONSTRAINT_NAME}`);
+    }
+}
+
+module.exports = {
+    columnExists,
+    indexExists,
+    tableExists,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    dropForeignKeysOn
+};
@@ -0,0 +1,39 @@
+// lib/serve-question.js - Turning a chosen question into what the app receives
+const { getPublicOptions, getAnswerTargets } = require('./questions');
+const { getHintState } = require('./hints');
+const { issueTicket } = require('./question-tickets');
+const { userLocale } = require('./locales');
+const { translateRow, translateRows } = require('./translations');
+
+// Returns { question, ticket, ticketExpiresAt }. question is a questions row
+// with type_name and grader; the answer must come back with the ticket.
+// Text is in the child's locale, or acceptedLocale (req.acceptedLocale).
+async function serveQuestion(connection, userId, question, { sessionId = null, acceptedLocale = null } = {}) {
+    const locale = await userLocale(connection, userId, acceptedLocale);
+    question = await translateRow(connection, 'question', question, locale);
+
+    // Get answer options. Ordering questions are shuffled so the list doesn't give the answer away.
+    const options = await translateRows(connection, 'option', await getPublicOptions(connection, question.id, {
+        shuffled: question.grader === 'ordering'
+    }), locale);
+
+    // Hint text is only given out through the hint endpoint, which records the reveal
+    const { hint_text, ...publicQuestion } = question;
+    publicQuestion.locale = locale;
+    publicQuestion.options = options;
+
+    // The buckets of a drag-into-bucket question
+    if (question.grader === 'bucket_match') {
+        publicQuestion.targets = await translateRows(connection, 'target', await getAnswerTargets(connection, question.id), locale);
+    }
+
+    publicQuestion.hints = await getHintState(connection, userId, question);
+
+    const ticket = await issueTicket(connection, userId, question.id, sessionId);
+
+    return { question: publicQuestion, ticket: ticket.token, ticketExpiresAt: ticket.expiresAt };
+}
+
+module.exports = {
+    serveQuestion
+};
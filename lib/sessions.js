@@ -0,0 +1,254 @@
+// lib/sessions.js - Quiz rounds: a fixed number of questions and a summary at the end
+//
+// A session is started for one child with a length and a mode. Its questions
+// are served through the session, the tickets carry the session id, and every
+// answer is linked to it. The session completes once enough questions are
+// answered or the mode runs out of questions.
+const { getAdaptiveQuestion } = require('./adaptive');
+const { getNextReviewQuestion } = require('./review-scheduler');
+const { recordPoints } = require('./points');
+const { localDate } = require('./streaks');
+const { recordLeaderboardPoints } = require('./leaderboards');
+
+// adaptive: reviews first, then new questions (like /api/questions)
+// new:      only questions the child hasn't answered yet
+// review:   only questions due for review, from one category or all of them
+// ('daily' and 'assignment' sessions are started by the daily challenge and
+// by assignments, not by clients)
+const SESSION_MODES = ['adaptive', 'new', 'review'];
+const DEFAULT_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 20;
+
+// Fixed question sets that sessions of these modes work through in order
+const QUESTION_SETS = {
+    daily: { table: 'daily_challenge_questions', setColumn: 'challenge_id', sessionColumn: 'daily_challenge_id' },
+    assignment: { table: 'assignment_questions', setColumn: 'assignment_id', sessionColumn: 'assignment_id' }
+};
+
+// A new session ends any round the child left unfinished. The daily
+// challenge and assignments stay open until their day or due date is over.
+async function startSession(connection, { userId, categoryId = null, mode, questionCount }) {
+    await connection.execute(`
+        UPDATE quiz_sessions SET status = 'abandoned'
+        WHERE user_id = ? AND status = 'active' AND mode NOT IN ('daily', 'assignment')
+    `, [userId]);
+
+    const [result] = await connection.execute(`
+        INSERT INTO quiz_sessions (user_id, category_id, mode, question_count, streak_at_start, best_streak_at_start)
+        SELECT id, ?, ?, ?, current_streak, best_streak FROM users WHERE id = ?
+    `, [categoryId, mode, questionCount, userId]);
+
+    return getSession(connection, result.insertId);
+}
+
+// The session row with the number of questions answered so far, or null
+async function getSession(connection, sessionId) {
+    const [sessions] = await connection.execute(`
+        SELECT s.*,
+               (SELECT COUNT(*) FROM question_attempts qa WHERE qa.session_id = s.id) as answered
+        FROM quiz_sessions s
+        WHERE s.id = ?
+    `, [sessionId]);
+    return sessions[0] || null;
+}
+
+// End an active session; finishing a daily challenge pays its bonus, in the
+// ledger and on the leaderboards. Call it in a transaction holding the child's
+// users row FOR UPDATE, like answers, so the bonus is paid whole and once.
+async function completeSession(connection, sessionId) {
+    // A round ended before any question was answered (say every question of
+    // a daily challenge was deactivated) is abandoned, and earns no bonus
+    const session = await getSession(connection, sessionId);
+    if (session.answered === 0) {
+        await connection.execute(`
+            UPDATE quiz_sessions SET status = 'abandoned' WHERE id = ? AND status = 'active'
+        `, [sessionId]);
+        return;
+    }
+
+    const [result] = await connection.execute(`
+        UPDATE quiz_sessions s
+        JOIN users u ON u.id = s.user_id
+        SET s.status = 'completed', s.completed_at = CURRENT_TIMESTAMP,
+            s.streak_at_end = u.current_streak, s.best_streak_at_end = u.best_streak
+        WHERE s.id = ? AND s.status = 'active'
+    `, [sessionId]);
+
+    if (result.affectedRows === 0) return;
+
+    // Finishing a daily challenge earns its bonus
+    await connection.execute(`
+        UPDATE quiz_sessions s
+        JOIN daily_challenges dc ON dc.id = s.daily_challenge_id
+        SET s.bonus_points = dc.bonus_points
+        WHERE s.id = ?
+    `, [sessionId]);
+    const [sessions] = await connection.execute(`
+        SELECT s.user_id, s.bonus_points, u.timezone
+        FROM quiz_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id = ?
+    `, [sessionId]);
+    const { user_id: userId, bonus_points: bonusPoints, timezone } = sessions[0];
+    if (bonusPoints === 0) return;
+
+    await recordPoints(connection, {
+        userId,
+        event: 'daily_bonus',
+        points: bonusPoints,
+        reason: 'Finished the daily challenge',
+        sourceType: 'quiz_session',
+        sourceId: sessionId
+    });
+    await recordLeaderboardPoints(connection, userId, bonusPoints, localDate(timezone), 0);
+}
+
+function toPublicSession(session) {
+    return {
+        id: session.id,
+        userId: session.user_id,
+        categoryId: session.category_id,
+        dailyChallengeId: session.daily_challenge_id,
+        assignmentId: session.assignment_id,
+        mode: session.mode,
+        status: session.status,
+        questionCount: session.question_count,
+        answered: session.answered,
+        bonusPoints: session.bonus_points,
+        startedAt: session.started_at,
+        completedAt: session.completed_at
+    };
+}
+
+// The next unanswered question of a daily challenge or assignment session,
+// optionally only from one category
+async function pickFromQuestionSet(connection, session, { categoryId = null } = {}) {
+    const set = QUESTION_SETS[session.mode];
+
+    const [questions] = await connection.execute(`
+        SELECT q.*, qt.type_name, qt.grader, qt.difficulty_level as type_difficulty
+        FROM ${set.table} sq
+        JOIN questions q ON q.id = sq.question_id
+        JOIN question_types qt ON q.question_type_id = qt.id
+        WHERE sq.${set.setColumn} = ? AND q.is_active = true
+          AND (? IS NULL OR q.category_id = ?)
+          AND q.id NOT IN (SELECT question_id FROM question_attempts WHERE session_id = ?)
+        ORDER BY sq.position
+        LIMIT 1
+    `, [session[set.sessionColumn], categoryId, categoryId, session.id]);
+    return questions[0] || null;
+}
+
+// The next question for the session's mode, or null when there is none left
+async function pickSessionQuestion(connection, session) {
+    if (session.mode === 'assignment') {
+        // Nothing more can be done on an assignment past its due date
+        const [assignments] = await connection.execute(`
+            SELECT id FROM assignments WHERE id = ? AND opens_at <= NOW() AND due_at > NOW()
+        `, [session.assignment_id]);
+        if (assignments.length === 0) return null;
+    }
+
+    if (QUESTION_SETS[session.mode]) {
+        return pickFromQuestionSet(connection, session);
+    }
+
+    if (session.mode === 'review') {
+        const reviewQuestion = await getNextReviewQuestion(connection, session.user_id, session.category_id);
+        return reviewQuestion && { ...reviewQuestion, is_review: true };
+    }
+
+    return getAdaptiveQuestion(connection, session.user_id, session.category_id, {
+        includeReviews: session.mode === 'adaptive'
+    });
+}
+
+// Called after an answer in the session is recorded; completes the session on
+// its last question. Returns the session as the client sees it.
+async function recordSessionProgress(connection, sessionId) {
+    let session = await getSession(connection, sessionId);
+
+    if (session.answered >= session.question_count) {
+        await completeSession(connection, sessionId);
+        session = await getSession(connection, sessionId);
+    }
+
+    return toPublicSession(session);
+}
+
+// Everything the end-of-round screen shows. For a session still in progress
+// the streak is the child's current one.
+async function getSessionSummary(connection, session) {
+    const [attempts] = await connection.execute(`
+        SELECT qa.question_id, q.question_text, qa.is_correct, qa.credit,
+               qa.points_earned, qa.time_taken, qa.hints_used
+        FROM question_attempts qa
+        JOIN questions q ON q.id = qa.question_id
+        WHERE qa.session_id = ?
+        ORDER BY qa.id
+    `, [session.id]);
+
+    const [badges] = await connection.execute(`
+        SELECT b.id, b.name, b.description, b.icon, ub.earned_at
+        FROM user_badges ub
+        JOIN badges b ON b.id = ub.badge_id
+        WHERE ub.session_id = ?
+        ORDER BY ub.earned_at, b.id
+    `, [session.id]);
+
+    let { streak_at_end: streakAtEnd, best_streak_at_end: bestStreakAtEnd } = session;
+    if (session.status !== 'completed') {
+        const [users] = await connection.execute(`
+            SELECT current_streak, best_streak FROM users WHERE id = ?
+        `, [session.user_id]);
+        streakAtEnd = users[0].current_streak;
+        bestStreakAtEnd = users[0].best_streak;
+    }
+
+    const correct = attempts.filter(attempt => attempt.is_correct).length;
+    const totalSeconds = attempts.reduce((sum, attempt) => sum + (attempt.time_taken || 0), 0);
+
+    return {
+        session: toPublicSession(session),
+        score: {
+            correct,
+            answered: attempts.length,
+            questionCount: session.question_count
+        },
+        time: {
+            totalSeconds,
+            averageSeconds: attempts.length > 0 ? Math.round(totalSeconds / attempts.length) : 0
+        },
+        points: attempts.reduce((sum, attempt) => sum + attempt.points_earned, 0),
+        streak: {
+            atStart: session.streak_at_start,
+            atEnd: streakAtEnd,
+            best: bestStreakAtEnd,
+            isNewBest: bestStreakAtEnd > session.best_streak_at_start
+        },
+        badges,
+        questions: attempts.map(attempt => ({
+            questionId: attempt.question_id,
+            questionText: attempt.question_text,
+            isCorrect: Boolean(attempt.is_correct),
+            credit: Number(attempt.credit),
+            pointsEarned: attempt.points_earned,
+            timeTaken: attempt.time_taken,
+            hintsUsed: attempt.hints_used
+        }))
+    };
+}
+
+module.exports = {
+    SESSION_MODES,
+    DEFAULT_QUESTION_COUNT,
+    MAX_QUESTION_COUNT,
+    startSession,
+    getSession,
+    completeSession,
+    toPublicSession,
+    pickFromQuestionSet,
+    pickSessionQuestion,
+    recordSessionProgress,
+    getSessionSummary
+};
@@ -0,0 +1,107 @@
+// lib/skill-rating.js - Elo-style ability estimate per user and category
+//
+// Each question has a fixed rating derived from its difficulty and its type's
+// difficulty. A child's rating in a category moves up after a right answer and
+// down after a wrong one, by more when the result was unexpected. The rating
+// difference gives the chance the child answers a question correctly, which
+// is what the adaptive selector uses to pick the next question.
+
+const INITIAL_RATING = 1000;
+const TARGET_SUCCESS = 0.75; // aim for questions the child gets right 70–80% of the time
+
+const DIFFICULTY_RATINGS = { easy: 850, medium: 1000, hard: 1150 };
+const TYPE_DIFFICULTY_OFFSETS = { easy: 0, medium: 50, hard: 100 };
+
+// Upper bounds of each level, shown in the app as "Level 3: Defender"
+const LEVELS = [
+    { level: 1, name: 'Beginner', maxRating: 850 },
+    { level: 2, name: 'Explorer', maxRating: 975 },
+    { level: 3, name: 'Defender', maxRating: 1100 },
+    { level: 4, name: 'Guardian', maxRating: 1225 },
+    { level: 5, name: 'Cyber Hero', maxRating: Infinity }
+];
+
+// Rating of a question row that has difficulty_level and type_difficulty
+function questionRating(question) {
+    return (DIFFICULTY_RATINGS[question.difficulty_level] ?? DIFFICULTY_RATINGS.easy) +
+        (TYPE_DIFFICULTY_OFFSETS[question.type_difficulty] ?? 0);
+}
+
+// Probability (0–1) that a child with userRating answers correctly
+function expectedSuccess(userRating, rating) {
+    return 1 / (1 + Math.pow(10, (rating - userRating) / 400));
+}
+
+// Move quickly while we know little about the child, then settle down
+function kFactor(attempts) {
+    return attempts < 10 ? 40 : 20;
+}
+
+function nextRating(userRating, attempts, rating, isCorrect) {
+    const expected = expectedSuccess(userRating, rating);
+    return userRating + kFactor(attempts) * ((isCorrect ? 1 : 0) - expected);
+}
+
+function ratingToLevel(rating) {
+    const { level, name } = LEVELS.find(candidate => rating < candidate.maxRating);
+    return { level, name };
+}
+
+// Pick the question whose expected success is closest to TARGET_SUCCESS.
+// Questions within 5 percentage points of the best fit are treated as equally
+// good and one of them is chosen at random, so children don't all get the
+// same sequence. bonus(question), when given, is taken off a question's
+// distance to favour it over otherwise equal ones.
+function pickBestFit(questions, userRating, { bonus = () => 0 } = {}) {
+    if (questions.length === 0) return null;
+
+    const scored = questions.map(question => ({
+        question,
+        distance: Math.abs(expectedSuccess(userRating, questionRating(question)) - TARGET_SUCCESS) - bonus(question)
+    }));
+    const best = Math.min(...scored.map(entry => entry.distance));
+    const closest = scored.filter(entry => entry.distance <= best + 0.05);
+
+    return closest[Math.floor(Math.random() * closest.length)].question;
+}
+
+async function getSkill(connection, userId, categoryId) {
+    const [skills] = await connection.execute(`
+        SELECT rating, attempts FROM user_category_skill WHERE user_id = ? AND category_id = ?
+    `, [userId, categoryId]);
+
+    return skills.length > 0
+        ? { rating: Number(skills[0].rating), attempts: skills[0].attempts }
+        : { rating: INITIAL_RATING, attempts: 0 };
+}
+
+// Update the child's rating in the question's category after an answer.
+// The question row needs category_id, difficulty_level and type_difficulty.
+async function updateSkill(connection, { userId, question, isCorrect }) {
+    const { rating, attempts } = await getSkill(connection, userId, question.category_id);
+    const updated = nextRating(rating, attempts, questionRating(question), isCorrect);
+
+    await connection.execute(`
+        INSERT INTO user_category_skill (user_id, category_id, rating, attempts)
+        VALUES (?, ?, ?, 1)
+        ON DUPLICATE KEY UPDATE rating = VALUES(rating), attempts = attempts + 1
+    `, [userId, question.category_id, updated.toFixed(2)]);
+
+    return {
+        rating: Math.round(updated),
+        change: Math.round(updated - rating),
+        ...ratingToLevel(updated)
+    };
+}
+
+module.exports = {
+    INITIAL_RATING,
+    TARGET_SUCCESS,
+    questionRating,
+    expectedSuccess,
+    nextRating,
+    ratingToLevel,
+    pickBestFit,
+    getSkill,
+    updateSkill
+};
@@ -0,0 +1,204 @@
+// lib/streaks.js - "Come back every day" streaks, counted in the child's own timezone
+//
+// Answering on a calendar day (in users.timezone) continues the daily streak.
+// Missing days end it, unless the child holds enough streak freezes to cover
+// them. Freezes are earned with points: one each time total_points reaches a
+// new multiple of FREEZE_EVERY_POINTS, holding at most MAX_STREAK_FREEZES at a
+// time. users.freeze_points_mark keeps the highest multiple rewarded, so points
+// taken back by a reset and earned again don't earn the same freezes twice.
+// A child can also buy one for FREEZE_PRICE points.
+//
+// This is separate from users.current_streak, which counts correct answers in a row.
+const { recordPoints } = require('./points');
+
+const FREEZE_EVERY_POINTS = 200;
+const FREEZE_PRICE = 100;
+const MAX_STREAK_FREEZES = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The calendar date ('YYYY-MM-DD') of a moment in the given timezone
+function localDate(timezone, date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+// How far the timezone's wall clock is ahead of UTC at a moment, in ms
+function utcOffset(timezone, date) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The moment the calendar day of date ends in the given timezone (the next
+// local midnight), for comparing with stored timestamps
+function endOfLocalDay(timezone, date = new Date()) {
+    const nextMidnight = Date.parse(`${addDays(localDate(timezone, date), 1)}T00:00:00Z`);
+    // Check the offset again at the result, in case it changes that night
+    const guess = nextMidnight - utcOffset(timezone, new Date(nextMidnight));
+    return new Date(nextMidnight - utcOffset(timezone, new Date(guess)));
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS);
+}
+
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+async function loadStreakRow(connection, userId) {
+    const [users] = await connection.execute(`
+        SELECT timezone, total_points, daily_streak, best_daily_streak, streak_freezes, freeze_points_mark,
+               DATE_FORMAT(last_active_date, '%Y-%m-%d') as last_active_day
+        FROM users WHERE id = ?
+    `, [userId]);
+    return users[0] || null;
+}
+
+// The multiple of FREEZE_EVERY_POINTS the child's points have reached
+function freezeMark(totalPoints) {
+    return Math.floor(Math.max(totalPoints, 0) / FREEZE_EVERY_POINTS) * FREEZE_EVERY_POINTS;
+}
+
+// Record that the child answered a question today, after its points (and any
+// daily challenge bonus) were added to total_points
+async function recordDailyActivity(connection, userId) {
+    const user = await loadStreakRow(connection, userId);
+    const today = localDate(user.timezone);
+    const gap = user.last_active_day ? daysBetween(user.last_active_day, today) : null;
+
+    let streak = user.daily_streak;
+    let freezes = user.streak_freezes;
+    let freezesUsed = 0;
+
+    if (gap === null) {
+        streak = 1;
+    } else if (gap === 1) {
+        streak++;
+    } else if (gap > 1 && gap - 1 <= freezes) {
+        // Freezes cover the missed days, which are recorded as frozen
+        freezesUsed = gap - 1;
+        freezes -= freezesUsed;
+        streak++;
+        for (let day = 1; day < gap; day++) {
+            await connection.execute(`
+                INSERT IGNORE INTO user_daily_activity (user_id, activity_date, used_freeze)
+                VALUES (?, ?, true)
+            `, [userId, addDays(user.last_active_day, day)]);
+        }
+    } else if (gap > 1) {
+        streak = 1;
+    }
+    // gap <= 0: already played today (or the timezone moved the date back)
+
+    const mark = Math.max(freezeMark(user.total_points), user.freeze_points_mark);
+    const freezesEarned = (mark - user.freeze_points_mark) / FREEZE_EVERY_POINTS;
+    freezes = Math.min(MAX_STREAK_FREEZES, freezes + freezesEarned);
+
+    await connection.execute(`
+        UPDATE users
+        SET daily_streak = ?, best_daily_streak = GREATEST(best_daily_streak, ?),
+            streak_freezes = ?, freeze_points_mark = ?,
+            last_active_date = GREATEST(COALESCE(last_active_date, ?), ?)
+        WHERE id = ?
+    `, [streak, streak, freezes, mark, today, today, userId]);
+
+    await connection.execute(`
+        INSERT INTO user_daily_activity (user_id, activity_date, questions_answered)
+        VALUES (?, ?, 1)
+        ON DUPLICATE KEY UPDATE questions_answered = questions_answered + 1
+    `, [userId, today]);
+
+    return {
+        dailyStreak: streak,
+        bestDailyStreak: Math.max(user.best_daily_streak, streak),
+        extendedToday: gap === null || gap > 0,
+        freezes,
+        freezesUsed,
+        freezesEarned,
+        today
+    };
+}
+
+// The streak as the app should show it right now: a streak the child can no
+// longer save (too many missed days for their freezes) shows as 0
+async function getDailyStreak(connection, userId) {
+    const user = await loadStreakRow(connection, userId);
+    if (!user) return null;
+
+    const today = localDate(user.timezone);
+    const gap = user.last_active_day ? daysBetween(user.last_active_day, today) : null;
+    const isAlive = gap !== null && gap - 1 <= user.streak_freezes;
+
+    return {
+        dailyStreak: isAlive ? user.daily_streak : 0,
+        bestDailyStreak: user.best_daily_streak,
+        activeToday: gap !== null && gap <= 0,
+        lastActiveDate: user.last_active_day,
+        freezes: user.streak_freezes,
+        maxFreezes: MAX_STREAK_FREEZES,
+        freezePrice: FREEZE_PRICE,
+        pointsToNextFreeze: Math.max(freezeMark(user.total_points), user.freeze_points_mark) +
+            FREEZE_EVERY_POINTS - user.total_points,
+        timezone: user.timezone,
+        today
+    };
+}
+
+// Spend FREEZE_PRICE points on a streak freeze. The caller holds the child's
+// users row FOR UPDATE. Returns the new streak state, or { status, error }.
+async function buyStreakFreeze(connection, userId, accountId = null) {
+    const user = await loadStreakRow(connection, userId);
+
+    if (user.streak_freezes >= MAX_STREAK_FREEZES) {
+        return { status: 409, error: `A child can hold at most ${MAX_STREAK_FREEZES} streak freezes` };
+    }
+    if (user.total_points < FREEZE_PRICE) {
+        return { status: 409, error: `A streak freeze costs ${FREEZE_PRICE} points` };
+    }
+
+    await recordPoints(connection, {
+        userId,
+        event: 'reward_purchase',
+        points: -FREEZE_PRICE,
+        reason: 'Bought a streak freeze',
+        accountId
+    });
+    await connection.execute(`
+        UPDATE users SET streak_freezes = streak_freezes + 1 WHERE id = ?
+    `, [userId]);
+
+    return { dailyStreak: await getDailyStreak(connection, userId) };
+}
+
+module.exports = {
+    FREEZE_EVERY_POINTS,
+    FREEZE_PRICE,
+    MAX_STREAK_FREEZES,
+    isValidTimezone,
+    localDate,
+    daysBetween,
+    addDays,
+    endOfLocalDay,
+    recordDailyActivity,
+    getDailyStreak,
+    buyStreakFreeze
+};
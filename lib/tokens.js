@@ -0,0 +1,96 @@
+// lib/tokens.js - JWT helpers for access, refresh, device, profile and question tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const PROFILE_TOKEN_TTL = process.env.PROFILE_TOKEN_TTL || '12h';
+const QUESTION_TICKET_TTL_MINUTES = parseInt(process.env.QUESTION_TICKET_TTL_MINUTES, 10) || 60;
+
+function getSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+}
+
+// Short-lived token sent as "Authorization: Bearer <token>" on every request
+function signAccessToken(account) {
+    return jwt.sign(
+        { type: 'access', accountId: account.id },
+        getSecret(),
+        { expiresIn: ACCESS_TOKEN_TTL, subject: String(account.id) }
+    );
+}
+
+// Long-lived token used only to obtain a new access token. The jti is stored
+// in refresh_tokens so it can be rotated and revoked.
+function signRefreshToken(account) {
+    const tokenId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const token = jwt.sign(
+        { type: 'refresh', accountId: account.id },
+        getSecret(),
+        {
+            expiresIn: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60,
+            subject: String(account.id),
+            jwtid: tokenId
+        }
+    );
+    return { token, tokenId, expiresAt };
+}
+
+// Identifies a registered device; only lets it list its profiles and unlock them.
+// Devices are revoked through devices.revoked_at rather than by expiry.
+function signDeviceToken(device) {
+    return jwt.sign(
+        { type: 'device', accountId: device.account_id, deviceId: device.id },
+        getSecret(),
+        { subject: String(device.account_id) }
+    );
+}
+
+// Issued when a child unlocks their profile with a picture password.
+// Grants access to that one profile only.
+function signProfileToken(user, deviceId) {
+    return jwt.sign(
+        { type: 'profile', accountId: user.account_id, userId: user.id, deviceId },
+        getSecret(),
+        { expiresIn: PROFILE_TOKEN_TTL, subject: String(user.account_id) }
+    );
+}
+
+// Handed out with each served question and required to answer it. The jti is
+// stored in question_tickets so the ticket can only be redeemed once.
+function signQuestionTicket(userId, questionId) {
+    const ticketId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + QUESTION_TICKET_TTL_MINUTES * 60 * 1000);
+    const token = jwt.sign(
+        { type: 'question', userId: Number(userId), questionId: Number(questionId) },
+        getSecret(),
+        { expiresIn: QUESTION_TICKET_TTL_MINUTES * 60, jwtid: ticketId }
+    );
+    return { token, ticketId, expiresAt, expiresIn: QUESTION_TICKET_TTL_MINUTES * 60 };
+}
+
+// Returns the decoded payload, or null if the token is invalid, expired or of the wrong type
+function verifyToken(token, expectedTypes) {
+    const secret = getSecret();
+    const types = [].concat(expectedTypes);
+    try {
+        const payload = jwt.verify(token, secret);
+        if (!types.includes(payload.type)) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    signAccessToken,
+    signRefreshToken,
+    signDeviceToken,
+    signProfileToken,
+    signQuestionTicket,
+    verifyToken
+};
@@ -0,0 +1,129 @@
+// lib/translations.js - Translated text for questions, options, buckets, categories and badges
+//
+// The main tables hold the English text. Each has a translations table with
+// one row per item and locale; a translated column that is NULL (or a missing
+// row) leaves the English text in place.
+
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('./locales');
+
+// For each kind of content: its translations table, the column pointing at
+// the item, and the columns that can be translated
+const TRANSLATABLE = {
+    question: { table: 'question_translations', key: 'question_id', columns: ['question_text', 'explanation', 'hint_text'] },
+    option: { table: 'answer_option_translations', key: 'option_id', columns: ['option_text', 'feedback'] },
+    target: { table: 'answer_target_translations', key: 'target_id', columns: ['label'] },
+    category: { table: 'category_translations', key: 'category_id', columns: ['name', 'description'] },
+    badge: { table: 'badge_translations', key: 'badge_id', columns: ['name', 'description'] }
+};
+
+// Copies of rows with their text in locale where a translation exists.
+// idField is the field of each row holding the item's id.
+async function translateRows(connection, kind, rows, locale, { idField = 'id' } = {}) {
+    if (locale === DEFAULT_LOCALE || rows.length === 0) return rows;
+
+    const { table, key, columns } = TRANSLATABLE[kind];
+    const ids = [...new Set(rows.map(row => row[idField]))];
+    const [translations] = await connection.query(`
+        SELECT ${key}, ${columns.join(', ')} FROM ${table}
+        WHERE locale = ? AND ${key} IN (?)
+    `, [locale, ids]);
+
+    const byId = new Map(translations.map(translation => [translation[key], translation]));
+    return rows.map(row => {
+        const translation = byId.get(row[idField]);
+        if (!translation) return row;
+
+        const translated = { ...row };
+        for (const column of columns) {
+            if (translation[column] !== null && column in row) translated[column] = translation[column];
+        }
+        return translated;
+    });
+}
+
+async function translateRow(connection, kind, row, locale, options) {
+    const [translated] = await translateRows(connection, kind, [row], locale, options);
+    return translated;
+}
+
+// Insert or replace the translation of one item. fields maps column names
+// to text; columns left out keep their current translation.
+async function saveTranslation(connection, kind, id, locale, fields) {
+    const { table, key, columns } = TRANSLATABLE[kind];
+    const given = columns.filter(column => fields[column] !== undefined);
+    if (given.length === 0) return;
+
+    await connection.query(`
+        INSERT INTO ${table} (${key}, locale, ${given.join(', ')})
+        VALUES (?, ?, ${given.map(() => '?').join(', ')})
+        ON DUPLICATE KEY UPDATE ${given.map(column => `${column} = VALUES(${column})`).join(', ')}
+    `, [id, locale, ...given.map(column => fields[column] || null)]);
+}
+
+// Per locale other than English, how many active questions are fully
+// translated, and the ones that are not. A question counts as translated when
+// its text, the text and feedback of every active option and the labels of
+// its buckets are.
+async function getTranslationCoverage(connection, { locales = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE) } = {}) {
+    const report = [];
+
+    for (const locale of locales) {
+        const [questions] = await connection.execute(`
+            SELECT q.id, q.question_key, q.question_text, c.name as category_name,
+                   qt.question_text IS NOT NULL as has_text,
+                   (q.explanation IS NULL OR qt.explanation IS NOT NULL) as has_explanation,
+                   (q.hint_text IS NULL OR qt.hint_text IS NOT NULL) as has_hint,
+                   (SELECT COUNT(*) FROM answer_options ao
+                    LEFT JOIN answer_option_translations aot ON aot.option_id = ao.id AND aot.locale = ?
+                    WHERE ao.question_id = q.id AND ao.is_active = true AND aot.option_text IS NULL) as untranslated_options,
+                   (SELECT COUNT(*) FROM answer_options ao
+                    LEFT JOIN answer_option_translations aot ON aot.option_id = ao.id AND aot.locale = ?
+                    WHERE ao.question_id = q.id AND ao.is_active = true
+                      AND ao.feedback IS NOT NULL AND aot.feedback IS NULL) as untranslated_feedback,
+                   (SELECT COUNT(*) FROM answer_targets t
+                    LEFT JOIN answer_target_translations tt ON tt.target_id = t.id AND tt.locale = ?
+                    WHERE t.question_id = q.id AND tt.label IS NULL) as untranslated_targets
+            FROM questions q
+            JOIN categories c ON c.id = q.category_id
+            LEFT JOIN question_translations qt ON qt.question_id = q.id AND qt.locale = ?
+            WHERE q.is_active = true
+            ORDER BY q.category_id, q.sort_order, q.id
+        `, [locale, locale, locale, locale]);
+
+        const missing = questions
+            .map(question => ({
+                questionId: question.id,
+                questionKey: question.question_key,
+                category: question.category_name,
+                questionText: question.question_text,
+                missing: [
+                    !question.has_text && 'question_text',
+                    !question.has_explanation && 'explanation',
+                    !question.has_hint && 'hint_text',
+                    question.untranslated_options > 0 && 'options',
+                    question.untranslated_feedback > 0 && 'feedback',
+                    question.untranslated_targets > 0 && 'targets'
+                ].filter(Boolean)
+            }))
+            .filter(question => question.missing.length > 0);
+
+        const translated = questions.length - missing.length;
+        report.push({
+            locale,
+            totalQuestions: questions.length,
+            translatedQuestions: translated,
+            percent: questions.length > 0 ? Math.round(translated / questions.length * 100) : 100,
+            missing
+        });
+    }
+
+    return report;
+}
+
+module.exports = {
+    TRANSLATABLE,
+    translateRows,
+    translateRow,
+    saveTranslation,
+    getTranslationCoverage
+};
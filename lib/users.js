@@ -0,0 +1,14 @@
+// lib/users.js - Shaping users rows for API responses
+
+// Strip picture-password secrets from a users row before sending it to a client
+function toPublicUser(user) {
+    const { picture_pin_hash, pin_failed_attempts, ...publicFields } = user;
+    return {
+        ...publicFields,
+        has_picture_pin: Boolean(picture_pin_hash)
+    };
+}
+
+module.exports = {
+    toPublicUser
+};
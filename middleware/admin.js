@@ -0,0 +1,27 @@
+// middleware/admin.js - API key guard for content administration routes
+const crypto = require('crypto');
+
+// Require the X-API-Key header to match API_KEY
+function requireApiKey(req, res, next) {
+    const expected = process.env.API_KEY;
+
+    if (!expected) {
+        return res.status(503).json({ error: 'Admin API is not configured' });
+    }
+
+    const provided = req.headers['x-api-key'] || '';
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+
+    // timingSafeEqual throws on length mismatch, so compare lengths first
+    if (providedBuffer.length !== expectedBuffer.length ||
+        !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    next();
+}
+
+module.exports = {
+    requireApiKey
+};
@@ -0,0 +1,213 @@
+// middleware/auth.js - Authentication and profile ownership checks
+const { getDbConnection } = require('../db');
+const { verifyToken } = require('../lib/tokens');
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+// Require a parent access token or a child's profile token and attach the
+// caller to req.auth. Profile tokens carry the one userId they may act as, and
+// stop working as soon as the device that issued them is revoked.
+async function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const payload = verifyToken(token, ['access', 'profile']);
+    if (!payload) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (payload.type === 'profile') {
+        let connection;
+        try {
+            connection = await getDbConnection();
+
+            const [devices] = await connection.execute(`
+                SELECT id FROM devices WHERE id = ? AND account_id = ? AND revoked_at IS NULL
+            `, [payload.deviceId ?? null, payload.accountId]);
+
+            if (devices.length === 0) {
+                return res.status(401).json({ error: 'This device is no longer registered' });
+            }
+        } catch (error) {
+            console.error('Error checking profile token device:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        } finally {
+            if (connection) connection.release();
+        }
+    }
+
+    req.auth = {
+        accountId: payload.accountId,
+        userId: payload.type === 'profile' ? payload.userId : null,
+        deviceId: payload.deviceId || null
+    };
+    next();
+}
+
+// Only the parent/guardian may manage profiles and devices
+function requireParent(req, res, next) {
+    if (req.auth.userId) {
+        return res.status(403).json({ error: 'A parent account is required' });
+    }
+    next();
+}
+
+// Only teacher accounts may run classes. The role is read from the account
+// so that access tokens issued before a role change don't grant it.
+async function requireTeacher(req, res, next) {
+    if (req.auth.userId) {
+        return res.status(403).json({ error: 'A teacher account is required' });
+    }
+
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [accounts] = await connection.execute(`
+            SELECT role FROM accounts WHERE id = ?
+        `, [req.auth.accountId]);
+
+        if (accounts.length === 0 || accounts[0].role !== 'teacher') {
+            return res.status(403).json({ error: 'A teacher account is required' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Error checking teacher account:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+// Require a token issued to a registered, non-revoked device
+async function requireDevice(req, res, next) {
+    let connection;
+    try {
+        const token = getBearerToken(req);
+        const payload = token ? verifyToken(token, 'device') : null;
+
+        if (!payload) {
+            return res.status(401).json({ error: 'Device token required' });
+        }
+
+        connection = await getDbConnection();
+
+        const [devices] = await connection.execute(`
+            SELECT * FROM devices WHERE id = ? AND account_id = ? AND revoked_at IS NULL
+        `, [payload.deviceId, payload.accountId]);
+
+        if (devices.length === 0) {
+            return res.status(401).json({ error: 'This device is no longer registered' });
+        }
+
+        await connection.execute(`
+            UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [payload.deviceId]);
+
+        req.device = devices[0];
+        next();
+    } catch (error) {
+        console.error('Error checking device:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+// Whether the caller may act for the given child: a profile token only for
+// that child, a parent for any child of their account
+async function hasUserAccess(req, userId) {
+    if (req.auth.userId) {
+        return String(req.auth.userId) === String(userId);
+    }
+
+    const connection = await getDbConnection();
+    try {
+        const [users] = await connection.execute(`
+            SELECT id FROM users WHERE id = ? AND account_id = ?
+        `, [userId, req.auth.accountId]);
+        return users.length > 0;
+    } finally {
+        connection.release();
+    }
+}
+
+// Whether the caller teaches a class the child is in
+async function hasTeacherAccess(req, userId) {
+    if (req.auth.userId) return false;
+
+    const connection = await getDbConnection();
+    try {
+        const [classes] = await connection.execute(`
+            SELECT g.id FROM learner_groups g
+            JOIN learner_group_members m ON m.group_id = g.id
+            JOIN accounts a ON a.id = g.owner_account_id
+            WHERE g.kind = 'class' AND a.role = 'teacher' AND g.owner_account_id = ? AND m.user_id = ?
+            LIMIT 1
+        `, [req.auth.accountId, userId]);
+        return classes.length > 0;
+    } finally {
+        connection.release();
+    }
+}
+
+// Require that the child profile referenced by the request belongs to the
+// caller. The userId is read from the route params first and then from the
+// request body.
+async function requireUserAccess(req, res, next) {
+    try {
+        const userId = req.params.userId ?? req.body?.userId;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'UserId is required' });
+        }
+
+        if (!(await hasUserAccess(req, userId))) {
+            return res.status(403).json({ error: 'You do not have access to this profile' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Error checking profile access:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Like requireUserAccess, but also lets the teacher of one of the child's classes in
+async function requireUserOrTeacherAccess(req, res, next) {
+    try {
+        const userId = req.params.userId ?? req.body?.userId;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'UserId is required' });
+        }
+
+        if (!(await hasUserAccess(req, userId)) && !(await hasTeacherAccess(req, userId))) {
+            return res.status(403).json({ error: 'You do not have access to this profile' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Error checking profile access:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+module.exports = {
+    requireAuth,
+    requireParent,
+    requireTeacher,
+    requireDevice,
+    requireUserAccess,
+    requireUserOrTeacherAccess,
+    hasUserAccess,
+    hasTeacherAccess
+};
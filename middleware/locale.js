@@ -0,0 +1,13 @@
+// middleware/locale.js - The locale the device asked for, from Accept-Language
+const { negotiateLocale } = require('../lib/locales');
+
+// Sets req.acceptedLocale to a supported locale, or null when the header
+// names none. A child's own locale still wins; see userLocale.
+function detectLocale(req, res, next) {
+    req.acceptedLocale = negotiateLocale(req.headers['accept-language']);
+    next();
+}
+
+module.exports = {
+    detectLocale
+};
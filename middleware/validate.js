@@ -0,0 +1,45 @@
+// middleware/validate.js - Joi validation for route params, query strings and bodies
+
+const VALIDATION_OPTIONS = {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true,
+    errors: { wrap: { label: false } }
+};
+
+// Validate the parts of the request that have a schema. Valid values replace
+// the originals (converted, with defaults applied and unknown fields removed),
+// so handlers only ever see fields the schema knows about.
+function validate(schemas) {
+    return (req, res, next) => {
+        const details = [];
+
+        for (const location of ['params', 'query', 'body']) {
+            if (!schemas[location]) continue;
+
+            const { value, error } = schemas[location].validate(req[location] || {}, VALIDATION_OPTIONS);
+
+            if (error) {
+                error.details.forEach(detail => {
+                    details.push({
+                        field: detail.path.join('.'),
+                        location,
+                        message: detail.message
+                    });
+                });
+            } else {
+                req[location] = value;
+            }
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,93 @@
+// migrate.js - Database schema migrations for Kids Cybersecurity Quiz
+// Usage:
+//   node migrate.js status           Show applied and pending migrations
+//   node migrate.js up               Apply all pending migrations
+//   node migrate.js down [steps]     Roll back the last migration (or the last N)
+
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const { getStatus, migrate, rollback } = require('./lib/migrator');
+
+const dbConfig = {
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    charset: 'utf8mb4',
+    multipleStatements: true
+};
+
+async function printStatus(connection) {
+    const status = await getStatus(connection);
+
+    console.log(`📊 Database version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+    status.migrations.forEach(migration => {
+        console.log(`  ${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name}`);
+    });
+    status.unknown.forEach(version => {
+        console.log(`  ⚠️ ${version} is applied but has no migration file in this checkout`);
+    });
+
+    if (status.pending.length > 0) {
+        console.log(`\n${status.pending.length} pending migration(s). Run: npm run migrate`);
+    }
+}
+
+async function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+    let connection;
+
+    try {
+        connection = await mysql.createConnection(dbConfig);
+
+        switch (command) {
+            case 'status':
+                await printStatus(connection);
+                break;
+
+            case 'up': {
+                const applied = await migrate(connection);
+                console.log(applied.length > 0
+                    ? `🎉 Applied ${applied.length} migration(s)`
+                    : '✅ Database is already up to date');
+                break;
+            }
+
+            case 'down': {
+                const steps = arg ? parseInt(arg, 10) : 1;
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error('Steps must be a positive number');
+                }
+                const rolledBack = await rollback(connection, steps);
+                console.log(`🎉 Rolled back ${rolledBack.length} migration(s)`);
+                break;
+            }
+
+            default:
+                console.error(`❌ Unknown command "${command}". Use status, up or down.`);
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) {
+            await connection.end();
+        }
+    }
+}
+
+// Check if required environment variables are set
+if (!process.env.DB_HOST || !process.env.DB_USER || !process.env.DB_PASSWORD || !process.env.DB_NAME) {
+    console.error('❌ Missing required environment variables.');
+    console.error('Please make sure you have a .env file with:');
+    console.error('- DB_HOST');
+    console.error('- DB_USER');
+    console.error('- DB_PASSWORD');
+    console.error('- DB_NAME');
+    process.exit(1);
+}
+
+main();
@@ -1,31 +1,11 @@
-// Database Setup Script for Kids Cybersecurity Quiz
-// Run this script to set up your database with tables and sample data
-// Usage: node setup-database.js
+// migrations/001_baseline.js - Tables and reference data from the original setup-database.js
+//
+// Uses IF NOT EXISTS / INSERT IGNORE and only adds missing columns, so it is
+// safe to apply to databases that were created with setup-database.js.
+const { addColumnIfMissing } = require('../lib/schema');
 
-const mysql = require('mysql2/promise');
-require('dotenv').config();
-
-const dbConfig = {
-    host: process.env.DB_HOST,
-    port: process.env.DB_PORT,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME,
-    charset: 'utf8mb4',
-    multipleStatements: true
-};
-
-async function setupDatabase() {
-    let connection;
-    
-    try {
-        console.log('🔄 Connecting to database...');
-        connection = await mysql.createConnection(dbConfig);
-        console.log('✅ Connected to MySQL database');
-
-        // Create tables
-        console.log('🔄 Creating tables...');
-        
+module.exports = {
+    async up(connection) {
         await connection.execute(`
             CREATE TABLE IF NOT EXISTS categories (
                 id INT PRIMARY KEY AUTO_INCREMENT,
@@ -58,12 +38,18 @@ async function setupDatabase() {
                 explanation TEXT,
                 hint_text TEXT,
                 is_active BOOLEAN DEFAULT TRUE,
+                sort_order INT DEFAULT 0,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (category_id) REFERENCES categories(id),
                 FOREIGN KEY (question_type_id) REFERENCES question_types(id)
             )
         `);
 
+        // Databases created before questions could be reordered
+        if (await addColumnIfMissing(connection, 'questions', 'sort_order', 'INT DEFAULT 0 AFTER is_active')) {
+            await connection.execute('UPDATE questions SET sort_order = id');
+        }
+
         await connection.execute(`
             CREATE TABLE IF NOT EXISTS answer_options (
                 id INT PRIMARY KEY AUTO_INCREMENT,
@@ -91,17 +77,89 @@ async function setupDatabase() {
             )
         `);
 
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS accounts (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                email VARCHAR(255) NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                display_name VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_login_at TIMESTAMP NULL,
+                UNIQUE KEY unique_account_email (email)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                account_id INT NOT NULL,
+                token_id CHAR(36) NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_refresh_token (token_id)
+            )
+        `);
+
         await connection.execute(`
             CREATE TABLE IF NOT EXISTS users (
                 id INT PRIMARY KEY AUTO_INCREMENT,
+                account_id INT,
                 name VARCHAR(100) NOT NULL,
+                handle VARCHAR(30),
+                avatar VARCHAR(50),
+                picture_pin_hash VARCHAR(255),
+                pin_failed_attempts INT DEFAULT 0,
+                pin_locked_until TIMESTAMP NULL,
                 total_points INT DEFAULT 0,
                 current_streak INT DEFAULT 0,
                 best_streak INT DEFAULT 0,
                 preferred_question_type_id INT,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (preferred_question_type_id) REFERENCES question_types(id)
+                FOREIGN KEY (account_id) REFERENCES accounts(id),
+                FOREIGN KEY (preferred_question_type_id) REFERENCES question_types(id),
+                UNIQUE KEY unique_user_handle (handle)
+            )
+        `);
+
+        // Databases created before parent accounts existed
+        if (await addColumnIfMissing(connection, 'users', 'account_id', 'INT NULL AFTER id')) {
+            await connection.query('ALTER TABLE users ADD FOREIGN KEY (account_id) REFERENCES accounts(id)');
+        }
+
+        // Databases created before picture-password profiles existed
+        if (await addColumnIfMissing(connection, 'users', 'handle', 'VARCHAR(30) NULL AFTER name')) {
+            await connection.execute(`UPDATE users SET handle = CONCAT('kid-', id) WHERE handle IS NULL`);
+            await connection.query('ALTER TABLE users ADD UNIQUE KEY unique_user_handle (handle)');
+        }
+        await addColumnIfMissing(connection, 'users', 'avatar', 'VARCHAR(50) NULL AFTER handle');
+        await addColumnIfMissing(connection, 'users', 'picture_pin_hash', 'VARCHAR(255) NULL AFTER avatar');
+        await addColumnIfMissing(connection, 'users', 'pin_failed_attempts', 'INT DEFAULT 0 AFTER picture_pin_hash');
+        await addColumnIfMissing(connection, 'users', 'pin_locked_until', 'TIMESTAMP NULL AFTER pin_failed_attempts');
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS devices (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                account_id INT NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at TIMESTAMP NULL,
+                revoked_at TIMESTAMP NULL,
+                FOREIGN KEY (account_id) REFERENCES accounts(id)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS device_profiles (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                device_id INT NOT NULL,
+                user_id INT NOT NULL,
+                added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (device_id) REFERENCES devices(id),
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                UNIQUE KEY unique_device_profile (device_id, user_id)
             )
         `);
 
@@ -171,11 +229,6 @@ async function setupDatabase() {
             )
         `);
 
-        console.log('✅ All tables created successfully');
-
-        // Insert initial data
-        console.log('🔄 Inserting initial data...');
-
         // Categories
         await connection.execute(`
             INSERT IGNORE INTO categories (id, name, icon, description, total_questions) VALUES
@@ -207,82 +260,10 @@ async function setupDatabase() {
             (7, 'Streak Master', 'Get 5 questions right in a row', '🔥', NULL, 'streak', 5),
             (8, 'Quiz Pro', 'Answer 50 questions', '🏆', NULL, 'questions_answered', 50)
         `);
+    },
 
-        console.log('✅ Initial data inserted successfully');
-
-        // Insert sample questions (you can add more later)
-        console.log('🔄 Adding sample questions...');
-        
-        // Phone Safety Questions
-        const phoneQuestions = [
-            {
-                questionText: "Someone you don't know calls and asks for your mom's credit card number. What should you do?",
-                explanation: "Never give personal information to strangers on the phone. Always tell a grown-up about these calls.",
-                hintText: "Think about what your parents taught you about talking to strangers.",
-                options: [
-                    { text: "Give them the numbers", icon: "📞", isCorrect: false },
-                    { text: "Tell mom about the call", icon: "👩", isCorrect: true },
-                    { text: "Hang up and ignore", icon: "🔇", isCorrect: false }
-                ]
-            },
-            {
-                questionText: "True or False: It's okay to answer the phone when mom and dad are not home.",
-                explanation: "It's safer to let the answering machine or voicemail pick up when parents aren't around.",
-                hintText: "What would keep you safest?",
-                options: [
-                    { text: "True", icon: "✅", isCorrect: false },
-                    { text: "False", icon: "❌", isCorrect: true }
-                ]
-            }
-        ];
-
-        for (let i = 0; i < phoneQuestions.length; i++) {
-            const q = phoneQuestions[i];
-            const questionType = q.options.length === 2 ? 2 : 1; // true/false or multiple choice
-            
-            const [result] = await connection.execute(`
-                INSERT INTO questions (category_id, question_type_id, question_text, explanation, hint_text, points)
-                VALUES (1, ?, ?, ?, ?, 15)
-            `, [questionType, q.questionText, q.explanation, q.hintText]);
-
-            const questionId = result.insertId;
-
-            for (let j = 0; j < q.options.length; j++) {
-                await connection.execute(`
-                    INSERT INTO answer_options (question_id, option_text, icon, is_correct, order_position)
-                    VALUES (?, ?, ?, ?, ?)
-                `, [questionId, q.options[j].text, q.options[j].icon, q.options[j].isCorrect, j + 1]);
-            }
-        }
-
-        console.log('✅ Sample questions added successfully');
-        console.log('🎉 Database setup completed!');
-        console.log('');
-        console.log('Next steps:');
-        console.log('1. Start your server: npm start');
-        console.log('2. Test the API: http://localhost:3000/health');
-        console.log('3. Connect your Flutter app to the API');
-
-    } catch (error) {
-        console.error('❌ Error setting up database:', error);
-        process.exit(1);
-    } finally {
-        if (connection) {
-            await connection.end();
-        }
+    // Dropping the baseline would wipe every child's progress
+    async down() {
+        throw new Error('The baseline migration cannot be rolled back');
     }
-}
-
-// Check if required environment variables are set
-if (!process.env.DB_HOST || !process.env.DB_USER || !process.env.DB_PASSWORD || !process.env.DB_NAME) {
-    console.error('❌ Missing required environment variables.');
-    console.error('Please make sure you have a .env file with:');
-    console.error('- DB_HOST');
-    console.error('- DB_USER'); 
-    console.error('- DB_PASSWORD');
-    console.error('- DB_NAME');
-    process.exit(1);
-}
-
-// Run the setup
-setupDatabase();
\ No newline at end of file
+};
@@ -0,0 +1,48 @@
+// migrations/002_question_bank_keys.js - Stable keys for question-bank import/export
+const {
+    addColumnIfMissing,
+    dropColumnIfExists,
+    indexExists
+} = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        await addColumnIfMissing(connection, 'categories', 'category_key', 'VARCHAR(50) NULL AFTER id');
+        await addColumnIfMissing(connection, 'questions', 'question_key', 'VARCHAR(100) NULL AFTER id');
+        await addColumnIfMissing(connection, 'answer_options', 'option_key', 'VARCHAR(50) NULL AFTER question_id');
+        // Options that children already picked are deactivated instead of deleted
+        await addColumnIfMissing(connection, 'answer_options', 'is_active', 'BOOLEAN DEFAULT TRUE AFTER order_position');
+
+        if (!(await indexExists(connection, 'categories', 'unique_category_key'))) {
+            await connection.query('ALTER TABLE categories ADD UNIQUE KEY unique_category_key (category_key)');
+        }
+        if (!(await indexExists(connection, 'questions', 'unique_question_key'))) {
+            await connection.query('ALTER TABLE questions ADD UNIQUE KEY unique_question_key (question_key)');
+        }
+        if (!(await indexExists(connection, 'answer_options', 'unique_question_option_key'))) {
+            await connection.query('ALTER TABLE answer_options ADD UNIQUE KEY unique_question_option_key (question_id, option_key)');
+        }
+
+        // The four original categories map onto the files in question-bank/.
+        // Existing questions are matched by text on their first import.
+        await connection.execute(`
+            UPDATE categories SET category_key = CASE id
+                WHEN 1 THEN 'phone-safety'
+                WHEN 2 THEN 'passwords'
+                WHEN 3 THEN 'safe-clicking'
+                WHEN 4 THEN 'stranger-danger'
+            END
+            WHERE id IN (1, 2, 3, 4) AND category_key IS NULL
+        `);
+    },
+
+    async down(connection) {
+        if (await indexExists(connection, 'answer_options', 'unique_question_option_key')) {
+            await connection.query('ALTER TABLE answer_options DROP INDEX unique_question_option_key');
+        }
+        await dropColumnIfExists(connection, 'answer_options', 'is_active');
+        await dropColumnIfExists(connection, 'answer_options', 'option_key');
+        await dropColumnIfExists(connection, 'questions', 'question_key');
+        await dropColumnIfExists(connection, 'categories', 'category_key');
+    }
+};
@@ -0,0 +1,44 @@
+// migrations/003_review_items.js - Spaced-repetition schedule per user and question
+
+module.exports = {
+    async up(connection) {
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS review_items (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                question_id INT NOT NULL,
+                box TINYINT NOT NULL DEFAULT 1,
+                lapses INT NOT NULL DEFAULT 0,
+                last_reviewed_at TIMESTAMP NULL,
+                due_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (question_id) REFERENCES questions(id),
+                UNIQUE KEY unique_user_question (user_id, question_id),
+                INDEX idx_review_due (user_id, due_at)
+            )
+        `);
+
+        // Seed the schedule from each question's most recent attempt:
+        // right answers come back in a week, wrong ones tomorrow
+        await connection.execute(`
+            INSERT IGNORE INTO review_items (user_id, question_id, box, lapses, last_reviewed_at, due_at)
+            SELECT qa.user_id, qa.question_id,
+                   IF(qa.is_correct, 3, 1),
+                   (SELECT COUNT(*) FROM question_attempts wrong
+                    WHERE wrong.user_id = qa.user_id AND wrong.question_id = qa.question_id
+                    AND wrong.is_correct = 0),
+                   qa.attempted_at,
+                   DATE_ADD(qa.attempted_at, INTERVAL IF(qa.is_correct, 7, 1) DAY)
+            FROM question_attempts qa
+            WHERE qa.id = (
+                SELECT MAX(latest.id) FROM question_attempts latest
+                WHERE latest.user_id = qa.user_id AND latest.question_id = qa.question_id
+            )
+        `);
+    },
+
+    async down(connection) {
+        await connection.execute('DROP TABLE IF EXISTS review_items');
+    }
+};
@@ -0,0 +1,55 @@
+// migrations/004_user_category_skill.js - Elo-style ability estimate per user and category
+const { INITIAL_RATING, questionRating, nextRating } = require('../lib/skill-rating');
+
+module.exports = {
+    async up(connection) {
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS user_category_skill (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                category_id INT NOT NULL,
+                rating DECIMAL(7,2) NOT NULL DEFAULT ${INITIAL_RATING},
+                attempts INT NOT NULL DEFAULT 0,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (category_id) REFERENCES categories(id),
+                UNIQUE KEY unique_user_category_skill (user_id, category_id)
+            )
+        `);
+
+        // Replay the attempt history so existing children start with a real estimate
+        const [attempts] = await connection.execute(`
+            SELECT qa.user_id, qa.is_correct, q.category_id, q.difficulty_level,
+                   qt.difficulty_level as type_difficulty
+            FROM question_attempts qa
+            JOIN questions q ON q.id = qa.question_id
+            JOIN question_types qt ON qt.id = qa.question_type_id
+            ORDER BY qa.id
+        `);
+
+        const skills = new Map();
+        for (const attempt of attempts) {
+            const key = `${attempt.user_id}:${attempt.category_id}`;
+            const skill = skills.get(key) || {
+                userId: attempt.user_id,
+                categoryId: attempt.category_id,
+                rating: INITIAL_RATING,
+                attempts: 0
+            };
+            skill.rating = nextRating(skill.rating, skill.attempts, questionRating(attempt), attempt.is_correct === 1);
+            skill.attempts++;
+            skills.set(key, skill);
+        }
+
+        for (const skill of skills.values()) {
+            await connection.execute(`
+                INSERT IGNORE INTO user_category_skill (user_id, category_id, rating, attempts)
+                VALUES (?, ?, ?, ?)
+            `, [skill.userId, skill.categoryId, skill.rating.toFixed(2), skill.attempts]);
+        }
+    },
+
+    async down(connection) {
+        await connection.execute('DROP TABLE IF EXISTS user_category_skill');
+    }
+};
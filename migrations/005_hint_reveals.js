@@ -0,0 +1,34 @@
+// migrations/005_hint_reveals.js - Server-side record of the hints each child has revealed
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        // attempt_id stays NULL until the child answers; the answer then claims the reveals
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS hint_reveals (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                question_id INT NOT NULL,
+                tier TINYINT NOT NULL,
+                eliminated_option_id INT NULL,
+                attempt_id INT NULL,
+                revealed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (question_id) REFERENCES questions(id),
+                FOREIGN KEY (eliminated_option_id) REFERENCES answer_options(id) ON DELETE SET NULL,
+                FOREIGN KEY (attempt_id) REFERENCES question_attempts(id) ON DELETE CASCADE,
+                INDEX idx_hint_reveals_open (user_id, question_id, attempt_id)
+            )
+        `);
+
+        // How many hint tiers the attempt used; hint_used stays as the yes/no summary
+        if (await addColumnIfMissing(connection, 'question_attempts', 'hints_used', 'TINYINT NOT NULL DEFAULT 0 AFTER hint_used')) {
+            await connection.execute('UPDATE question_attempts SET hints_used = 1 WHERE hint_used = 1');
+        }
+    },
+
+    async down(connection) {
+        await dropColumnIfExists(connection, 'question_attempts', 'hints_used');
+        await connection.execute('DROP TABLE IF EXISTS hint_reveals');
+    }
+};
@@ -0,0 +1,27 @@
+// migrations/006_question_tickets.js - Single-use tickets for served questions
+
+module.exports = {
+    async up(connection) {
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS question_tickets (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                ticket_id CHAR(36) NOT NULL,
+                user_id INT NOT NULL,
+                question_id INT NOT NULL,
+                served_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP NULL,
+                attempt_id INT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (question_id) REFERENCES questions(id),
+                FOREIGN KEY (attempt_id) REFERENCES question_attempts(id) ON DELETE SET NULL,
+                UNIQUE KEY unique_question_ticket (ticket_id),
+                INDEX idx_question_tickets_expiry (expires_at)
+            )
+        `);
+    },
+
+    async down(connection) {
+        await connection.execute('DROP TABLE IF EXISTS question_tickets');
+    }
+};
@@ -0,0 +1,25 @@
+// migrations/007_idempotency_keys.js - Responses kept for retried requests
+
+module.exports = {
+    async up(connection) {
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS idempotency_keys (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                endpoint VARCHAR(50) NOT NULL,
+                idempotency_key VARCHAR(100) NOT NULL,
+                request_hash CHAR(64) NOT NULL,
+                status_code SMALLINT NOT NULL,
+                response JSON NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                UNIQUE KEY unique_idempotency_key (user_id, endpoint, idempotency_key),
+                INDEX idx_idempotency_created (user_id, created_at)
+            )
+        `);
+    },
+
+    async down(connection) {
+        await connection.execute('DROP TABLE IF EXISTS idempotency_keys');
+    }
+};
@@ -0,0 +1,75 @@
+// migrations/008_answer_graders.js - Graders per question type and the answer schema they mark against
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        // Which grader in lib/graders.js marks questions of this type
+        await addColumnIfMissing(connection, 'question_types', 'grader', "VARCHAR(30) NOT NULL DEFAULT 'single_choice' AFTER type_name");
+
+        // drag_drop becomes drag-into-bucket, unless questions were already written for it as single choice
+        await connection.execute(`
+            UPDATE question_types SET grader = 'bucket_match'
+            WHERE type_name = 'drag_drop'
+            AND NOT EXISTS (SELECT 1 FROM questions q WHERE q.question_type_id = question_types.id)
+        `);
+
+        const newTypes = [
+            ['multi_select', 'multi_select', 'medium', 'Pick every answer that is right'],
+            ['ordering', 'ordering', 'medium', 'Put the steps in the right order']
+        ];
+        for (const [typeName, grader, difficulty, description] of newTypes) {
+            await connection.execute(`
+                INSERT INTO question_types (type_name, grader, difficulty_level, description)
+                SELECT ?, ?, ?, ? FROM DUAL
+                WHERE NOT EXISTS (SELECT 1 FROM question_types WHERE type_name = ?)
+            `, [typeName, grader, difficulty, description, typeName]);
+        }
+
+        await addColumnIfMissing(connection, 'questions', 'partial_credit', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER points');
+
+        // Answer schema: the right place of each option for ordering questions,
+        // and the bucket it belongs in for drag-into-bucket questions
+        await addColumnIfMissing(connection, 'answer_options', 'correct_position', 'INT NULL AFTER is_correct');
+        await addColumnIfMissing(connection, 'answer_options', 'target_key', 'VARCHAR(50) NULL AFTER correct_position');
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS answer_targets (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                question_id INT NOT NULL,
+                target_key VARCHAR(50) NOT NULL,
+                label VARCHAR(255) NOT NULL,
+                icon VARCHAR(50),
+                order_position INT DEFAULT 1,
+                FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_question_target_key (question_id, target_key)
+            )
+        `);
+
+        // The structured answer and the share of the points it earned (0-1)
+        if (await addColumnIfMissing(connection, 'question_attempts', 'answer', 'JSON NULL AFTER selected_answer_id')) {
+            await connection.execute(`
+                UPDATE question_attempts SET answer = JSON_OBJECT('optionId', selected_answer_id)
+                WHERE selected_answer_id IS NOT NULL
+            `);
+        }
+        if (await addColumnIfMissing(connection, 'question_attempts', 'credit', 'DECIMAL(5,4) NULL AFTER is_correct')) {
+            await connection.execute('UPDATE question_attempts SET credit = IF(is_correct, 1, 0)');
+        }
+    },
+
+    async down(connection) {
+        await dropColumnIfExists(connection, 'question_attempts', 'credit');
+        await dropColumnIfExists(connection, 'question_attempts', 'answer');
+        await connection.execute('DROP TABLE IF EXISTS answer_targets');
+        await dropColumnIfExists(connection, 'answer_options', 'target_key');
+        await dropColumnIfExists(connection, 'answer_options', 'correct_position');
+        await dropColumnIfExists(connection, 'questions', 'partial_credit');
+        await connection.execute(`
+            DELETE FROM question_types
+            WHERE type_name IN ('multi_select', 'ordering')
+            AND NOT EXISTS (SELECT 1 FROM questions q WHERE q.question_type_id = question_types.id)
+            AND NOT EXISTS (SELECT 1 FROM user_question_type_performance p WHERE p.question_type_id = question_types.id)
+        `);
+        await dropColumnIfExists(connection, 'question_types', 'grader');
+    }
+};
@@ -0,0 +1,56 @@
+// migrations/009_quiz_sessions.js - Fixed-length quiz rounds and what happened in them
+const { addColumnIfMissing, dropColumnIfExists, dropForeignKeysOn } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS quiz_sessions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                category_id INT NULL,
+                mode ENUM('adaptive', 'new', 'review') NOT NULL DEFAULT 'adaptive',
+                question_count TINYINT NOT NULL,
+                status ENUM('active', 'completed', 'abandoned') NOT NULL DEFAULT 'active',
+                streak_at_start INT NOT NULL DEFAULT 0,
+                streak_at_end INT NULL,
+                best_streak_at_start INT NOT NULL DEFAULT 0,
+                best_streak_at_end INT NULL,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (category_id) REFERENCES categories(id),
+                INDEX idx_quiz_sessions_user (user_id, status)
+            )
+        `);
+
+        if (await addColumnIfMissing(connection, 'question_attempts', 'session_id', 'INT NULL AFTER user_id')) {
+            await connection.query('ALTER TABLE question_attempts ADD FOREIGN KEY (session_id) REFERENCES quiz_sessions(id)');
+        }
+
+        // Points each attempt earned, so a round can be added up afterwards
+        if (await addColumnIfMissing(connection, 'question_attempts', 'points_earned', 'INT NOT NULL DEFAULT 0 AFTER credit')) {
+            await connection.execute(`
+                UPDATE question_attempts qa
+                JOIN questions q ON q.id = qa.question_id
+                SET qa.points_earned = IF(qa.is_correct, q.points, 0)
+            `);
+        }
+
+        if (await addColumnIfMissing(connection, 'question_tickets', 'session_id', 'INT NULL AFTER question_id')) {
+            await connection.query('ALTER TABLE question_tickets ADD FOREIGN KEY (session_id) REFERENCES quiz_sessions(id)');
+        }
+
+        if (await addColumnIfMissing(connection, 'user_badges', 'session_id', 'INT NULL AFTER badge_id')) {
+            await connection.query('ALTER TABLE user_badges ADD FOREIGN KEY (session_id) REFERENCES quiz_sessions(id)');
+        }
+    },
+
+    async down(connection) {
+        for (const table of ['user_badges', 'question_tickets', 'question_attempts']) {
+            await dropForeignKeysOn(connection, table, 'session_id');
+            await dropColumnIfExists(connection, table, 'session_id');
+        }
+        await dropColumnIfExists(connection, 'question_attempts', 'points_earned');
+        await connection.execute('DROP TABLE IF EXISTS quiz_sessions');
+    }
+};
@@ -0,0 +1,111 @@
+// migrations/010_daily_streaks.js - Calendar-day streaks, streak freezes and the daily challenge
+const { addColumnIfMissing, dropColumnIfExists, dropForeignKeysOn, indexExists } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        // IANA zone name; a child's day runs from their own midnight to midnight
+        await addColumnIfMissing(connection, 'users', 'timezone', "VARCHAR(50) NOT NULL DEFAULT 'UTC' AFTER avatar");
+        await addColumnIfMissing(connection, 'users', 'daily_streak', 'INT NOT NULL DEFAULT 0 AFTER best_streak');
+        await addColumnIfMissing(connection, 'users', 'best_daily_streak', 'INT NOT NULL DEFAULT 0 AFTER daily_streak');
+        await addColumnIfMissing(connection, 'users', 'last_active_date', 'DATE NULL AFTER best_daily_streak');
+        await addColumnIfMissing(connection, 'users', 'streak_freezes', 'INT NOT NULL DEFAULT 0 AFTER last_active_date');
+        // The highest multiple of 200 points (FREEZE_EVERY_POINTS) already
+        // rewarded with a freeze; points from before freezes existed earn none
+        if (await addColumnIfMissing(connection, 'users', 'freeze_points_mark', 'INT NOT NULL DEFAULT 0 AFTER streak_freezes')) {
+            await connection.execute(`
+                UPDATE users SET freeze_points_mark = FLOOR(GREATEST(total_points, 0) / 200) * 200
+            `);
+        }
+
+        // One row per child and local day they played, or that a freeze covered
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS user_daily_activity (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                activity_date DATE NOT NULL,
+                questions_answered INT NOT NULL DEFAULT 0,
+                used_freeze BOOLEAN NOT NULL DEFAULT FALSE,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                UNIQUE KEY unique_user_activity_date (user_id, activity_date)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS daily_challenges (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                challenge_date DATE NOT NULL,
+                title VARCHAR(100) NOT NULL,
+                bonus_points INT NOT NULL DEFAULT 20,
+                is_curated BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_challenge_date (challenge_date)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS daily_challenge_questions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                challenge_id INT NOT NULL,
+                question_id INT NOT NULL,
+                position INT NOT NULL,
+                FOREIGN KEY (challenge_id) REFERENCES daily_challenges(id) ON DELETE CASCADE,
+                FOREIGN KEY (question_id) REFERENCES questions(id),
+                UNIQUE KEY unique_challenge_question (challenge_id, question_id)
+            )
+        `);
+
+        // A daily challenge is played as a quiz session of mode 'daily'
+        await connection.query(`
+            ALTER TABLE quiz_sessions
+            MODIFY mode ENUM('adaptive', 'new', 'review', 'daily') NOT NULL DEFAULT 'adaptive'
+        `);
+        if (await addColumnIfMissing(connection, 'quiz_sessions', 'daily_challenge_id', 'INT NULL AFTER category_id')) {
+            await connection.query('ALTER TABLE quiz_sessions ADD FOREIGN KEY (daily_challenge_id) REFERENCES daily_challenges(id)');
+            await connection.query('ALTER TABLE quiz_sessions ADD UNIQUE KEY unique_user_daily_challenge (user_id, daily_challenge_id)');
+        }
+        await addColumnIfMissing(connection, 'quiz_sessions', 'bonus_points', 'INT NOT NULL DEFAULT 0 AFTER question_count');
+
+        await connection.query(`
+            ALTER TABLE badges
+            MODIFY requirement_type ENUM('points', 'category_complete', 'streak', 'questions_answered', 'daily_challenge') NOT NULL
+        `);
+        await connection.execute(`
+            INSERT INTO badges (name, description, icon, category_id, requirement_type, requirement_value)
+            SELECT 'Daily Challenger', 'Finish 7 daily challenges', '🌞', NULL, 'daily_challenge', 7 FROM DUAL
+            WHERE NOT EXISTS (SELECT 1 FROM badges WHERE requirement_type = 'daily_challenge')
+        `);
+    },
+
+    async down(connection) {
+        const [badges] = await connection.execute(`
+            SELECT id FROM badges WHERE requirement_type = 'daily_challenge'
+        `);
+        for (const badge of badges) {
+            await connection.execute('DELETE FROM user_badges WHERE badge_id = ?', [badge.id]);
+            await connection.execute('DELETE FROM badges WHERE id = ?', [badge.id]);
+        }
+        await connection.query(`
+            ALTER TABLE badges
+            MODIFY requirement_type ENUM('points', 'category_complete', 'streak', 'questions_answered') NOT NULL
+        `);
+
+        await dropColumnIfExists(connection, 'quiz_sessions', 'bonus_points');
+        await dropForeignKeysOn(connection, 'quiz_sessions', 'daily_challenge_id');
+        if (await indexExists(connection, 'quiz_sessions', 'unique_user_daily_challenge')) {
+            await connection.query('ALTER TABLE quiz_sessions DROP INDEX unique_user_daily_challenge');
+        }
+        await dropColumnIfExists(connection, 'quiz_sessions', 'daily_challenge_id');
+        await connection.execute("UPDATE quiz_sessions SET status = 'abandoned', mode = 'adaptive' WHERE mode = 'daily'");
+        await connection.query(`
+            ALTER TABLE quiz_sessions
+            MODIFY mode ENUM('adaptive', 'new', 'review') NOT NULL DEFAULT 'adaptive'
+        `);
+
+        await connection.execute('DROP TABLE IF EXISTS daily_challenge_questions');
+        await connection.execute('DROP TABLE IF EXISTS daily_challenges');
+        await connection.execute('DROP TABLE IF EXISTS user_daily_activity');
+        for (const column of ['freeze_points_mark', 'streak_freezes', 'last_active_date', 'best_daily_streak', 'daily_streak', 'timezone']) {
+            await dropColumnIfExists(connection, 'users', column);
+        }
+    }
+};
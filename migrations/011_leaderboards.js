@@ -0,0 +1,96 @@
+// migrations/011_leaderboards.js - Learner groups, leaderboard nicknames and period points
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/schema');
+const { generateNickname } = require('../lib/leaderboards');
+
+// SQL for the Monday or first of the month starting the period of a timestamp
+function periodStartSql(period, column) {
+    return period === 'week'
+        ? `DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY)`
+        : `DATE_FORMAT(${column}, '%Y-%m-01')`;
+}
+
+module.exports = {
+    async up(connection) {
+        await addColumnIfMissing(connection, 'users', 'nickname', 'VARCHAR(50) NULL AFTER handle');
+        await addColumnIfMissing(connection, 'users', 'leaderboard_opt_out', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER nickname');
+
+        const [users] = await connection.execute('SELECT id FROM users WHERE nickname IS NULL');
+        for (const user of users) {
+            await connection.execute('UPDATE users SET nickname = ? WHERE id = ?', [generateNickname(), user.id]);
+        }
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS learner_groups (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(100) NOT NULL,
+                kind ENUM('family', 'class') NOT NULL DEFAULT 'family',
+                owner_account_id INT NOT NULL,
+                join_code CHAR(6) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (owner_account_id) REFERENCES accounts(id),
+                UNIQUE KEY unique_group_join_code (join_code)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS learner_group_members (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                group_id INT NOT NULL,
+                user_id INT NOT NULL,
+                joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (group_id) REFERENCES learner_groups(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                UNIQUE KEY unique_group_member (group_id, user_id),
+                INDEX idx_group_members_user (user_id)
+            )
+        `);
+
+        // Points per child and week or month, keyed for ranking a group in one period
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS leaderboard_points (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                period ENUM('week', 'month') NOT NULL,
+                period_start DATE NOT NULL,
+                points INT NOT NULL DEFAULT 0,
+                questions_answered INT NOT NULL DEFAULT 0,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                UNIQUE KEY unique_leaderboard_period (user_id, period, period_start),
+                INDEX idx_leaderboard_period (period, period_start, points)
+            )
+        `);
+
+        // Past attempts, by their server date (every existing child was on UTC).
+        // Daily challenge bonuses are added to the week and month they were won in.
+        const [rows] = await connection.execute('SELECT COUNT(*) as count FROM leaderboard_points');
+        if (rows[0].count === 0) {
+            for (const period of ['week', 'month']) {
+                const attemptPeriod = periodStartSql(period, 'qa.attempted_at');
+                await connection.execute(`
+                    INSERT INTO leaderboard_points (user_id, period, period_start, points, questions_answered)
+                    SELECT qa.user_id, '${period}', ${attemptPeriod}, SUM(qa.points_earned), COUNT(*)
+                    FROM question_attempts qa
+                    GROUP BY qa.user_id, ${attemptPeriod}
+                `);
+
+                const bonusPeriod = periodStartSql(period, 's.completed_at');
+                await connection.execute(`
+                    INSERT INTO leaderboard_points (user_id, period, period_start, points)
+                    SELECT s.user_id, '${period}', ${bonusPeriod}, SUM(s.bonus_points)
+                    FROM quiz_sessions s
+                    WHERE s.bonus_points > 0
+                    GROUP BY s.user_id, ${bonusPeriod}
+                    ON DUPLICATE KEY UPDATE points = points + VALUES(points)
+                `);
+            }
+        }
+    },
+
+    async down(connection) {
+        await connection.execute('DROP TABLE IF EXISTS leaderboard_points');
+        await connection.execute('DROP TABLE IF EXISTS learner_group_members');
+        await connection.execute('DROP TABLE IF EXISTS learner_groups');
+        await dropColumnIfExists(connection, 'users', 'leaderboard_opt_out');
+        await dropColumnIfExists(connection, 'users', 'nickname');
+    }
+};
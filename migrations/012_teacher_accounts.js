@@ -0,0 +1,12 @@
+// migrations/012_teacher_accounts.js - Teacher accounts, who run classes instead of child profiles
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        await addColumnIfMissing(connection, 'accounts', 'role', "ENUM('parent', 'teacher') NOT NULL DEFAULT 'parent' AFTER display_name");
+    },
+
+    async down(connection) {
+        await dropColumnIfExists(connection, 'accounts', 'role');
+    }
+};
@@ -0,0 +1,73 @@
+// migrations/013_assignments.js - Class assignments: a fixed question set with an open and due date
+const { addColumnIfMissing, dropColumnIfExists, dropForeignKeysOn, indexExists } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS assignments (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                class_id INT NOT NULL,
+                title VARCHAR(100) NOT NULL,
+                opens_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                due_at TIMESTAMP NOT NULL,
+                created_by_account_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (class_id) REFERENCES learner_groups(id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by_account_id) REFERENCES accounts(id),
+                INDEX idx_assignments_class (class_id, due_at)
+            )
+        `);
+
+        // The categories a teacher picked, for display; the questions are
+        // fixed when the assignment is created
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS assignment_categories (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                assignment_id INT NOT NULL,
+                category_id INT NOT NULL,
+                FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE CASCADE,
+                FOREIGN KEY (category_id) REFERENCES categories(id),
+                UNIQUE KEY unique_assignment_category (assignment_id, category_id)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS assignment_questions (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                assignment_id INT NOT NULL,
+                question_id INT NOT NULL,
+                position INT NOT NULL,
+                FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE CASCADE,
+                FOREIGN KEY (question_id) REFERENCES questions(id),
+                UNIQUE KEY unique_assignment_question (assignment_id, question_id)
+            )
+        `);
+
+        // Each child works through an assignment in one quiz session
+        await connection.query(`
+            ALTER TABLE quiz_sessions
+            MODIFY mode ENUM('adaptive', 'new', 'review', 'daily', 'assignment') NOT NULL DEFAULT 'adaptive'
+        `);
+        if (await addColumnIfMissing(connection, 'quiz_sessions', 'assignment_id', 'INT NULL AFTER daily_challenge_id')) {
+            await connection.query('ALTER TABLE quiz_sessions ADD FOREIGN KEY (assignment_id) REFERENCES assignments(id)');
+            await connection.query('ALTER TABLE quiz_sessions ADD UNIQUE KEY unique_user_assignment (user_id, assignment_id)');
+        }
+    },
+
+    async down(connection) {
+        await dropForeignKeysOn(connection, 'quiz_sessions', 'assignment_id');
+        if (await indexExists(connection, 'quiz_sessions', 'unique_user_assignment')) {
+            await connection.query('ALTER TABLE quiz_sessions DROP INDEX unique_user_assignment');
+        }
+        await dropColumnIfExists(connection, 'quiz_sessions', 'assignment_id');
+        await connection.execute("UPDATE quiz_sessions SET status = 'abandoned', mode = 'adaptive' WHERE mode = 'assignment'");
+        await connection.query(`
+            ALTER TABLE quiz_sessions
+            MODIFY mode ENUM('adaptive', 'new', 'review', 'daily') NOT NULL DEFAULT 'adaptive'
+        `);
+
+        await connection.execute('DROP TABLE IF EXISTS assignment_questions');
+        await connection.execute('DROP TABLE IF EXISTS assignment_categories');
+        await connection.execute('DROP TABLE IF EXISTS assignments');
+    }
+};
@@ -0,0 +1,67 @@
+// migrations/014_badge_rules.js - Badge conditions as JSON rules (see lib/badge-rules.js)
+const { addColumnIfMissing, dropColumnIfExists, columnExists } = require('../lib/schema');
+
+const LEGACY_REQUIREMENT_TYPES = ['points', 'category_complete', 'streak', 'questions_answered', 'daily_challenge'];
+
+const NEW_BADGES = [
+    ['Perfectionist', 'Complete a category without a single wrong answer', '🎯', { kind: 'perfect_category' }],
+    ['No Peeking', 'Get 10 answers right without using a hint', '🙈', { kind: 'no_hints', min: 10 }],
+    ['Quick Thinker', 'Get 10 answers right in 10 seconds or less', '⚡', { kind: 'fast_answers', min: 10, maxSeconds: 10 }],
+    ['Regular Learner', 'Practise on 7 different days', '📅', { kind: 'days_active', min: 7 }],
+    ['Safety Expert', 'Complete every category', '🎓', { kind: 'all_categories_complete' }],
+    ['Memory Master', 'Master 10 questions in your reviews', '🧠', { kind: 'review_mastery', min: 10 }]
+];
+
+module.exports = {
+    async up(connection) {
+        await addColumnIfMissing(connection, 'badges', 'rule', 'JSON NULL AFTER category_id');
+
+        if (await columnExists(connection, 'badges', 'requirement_type')) {
+            await connection.execute(`
+                UPDATE badges
+                SET rule = CASE
+                    WHEN requirement_type = 'category_complete'
+                        THEN JSON_OBJECT('kind', 'category_complete', 'categoryId', category_id)
+                    ELSE JSON_OBJECT('kind', requirement_type, 'min', requirement_value)
+                END
+                WHERE rule IS NULL
+            `);
+        }
+        await connection.query('ALTER TABLE badges MODIFY rule JSON NOT NULL');
+
+        await dropColumnIfExists(connection, 'badges', 'requirement_type');
+        await dropColumnIfExists(connection, 'badges', 'requirement_value');
+
+        for (const [name, description, icon, rule] of NEW_BADGES) {
+            await connection.execute(`
+                INSERT INTO badges (name, description, icon, category_id, rule)
+                SELECT ?, ?, ?, NULL, ? FROM DUAL
+                WHERE NOT EXISTS (SELECT 1 FROM badges WHERE name = ?)
+            `, [name, description, icon, JSON.stringify(rule), name]);
+        }
+    },
+
+    // Badges whose rule has no requirement_type equivalent are removed
+    async down(connection) {
+        const kinds = LEGACY_REQUIREMENT_TYPES.map(type => `'${type}'`).join(', ');
+        const [badges] = await connection.query(`
+            SELECT id FROM badges WHERE JSON_UNQUOTE(JSON_EXTRACT(rule, '$.kind')) NOT IN (${kinds})
+        `);
+        for (const badge of badges) {
+            await connection.execute('DELETE FROM user_badges WHERE badge_id = ?', [badge.id]);
+            await connection.execute('DELETE FROM badges WHERE id = ?', [badge.id]);
+        }
+
+        await addColumnIfMissing(connection, 'badges', 'requirement_type', `ENUM(${kinds}) NULL AFTER category_id`);
+        await addColumnIfMissing(connection, 'badges', 'requirement_value', 'INT NULL AFTER requirement_type');
+        await connection.execute(`
+            UPDATE badges
+            SET requirement_type = JSON_UNQUOTE(JSON_EXTRACT(rule, '$.kind')),
+                requirement_value = COALESCE(JSON_EXTRACT(rule, '$.min'), 1)
+        `);
+        await connection.query(`ALTER TABLE badges MODIFY requirement_type ENUM(${kinds}) NOT NULL`);
+        await connection.query('ALTER TABLE badges MODIFY requirement_value INT NOT NULL');
+
+        await dropColumnIfExists(connection, 'badges', 'rule');
+    }
+};
@@ -0,0 +1,57 @@
+// migrations/015_points_ledger.js - Append-only ledger of every change to a child's points
+module.exports = {
+    async up(connection) {
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS points_ledger (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                event_type ENUM('answer', 'hint_penalty', 'daily_bonus', 'reset', 'admin_adjustment', 'reward_purchase', 'opening_balance') NOT NULL,
+                points INT NOT NULL,
+                reason VARCHAR(255) NOT NULL,
+                source_type VARCHAR(30),
+                source_id INT,
+                created_by_account_id INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (created_by_account_id) REFERENCES accounts(id),
+                INDEX idx_points_ledger_user (user_id, id)
+            )
+        `);
+
+        // Past answers and daily bonuses, at the time they happened. Whatever
+        // total_points holds beyond that (earlier resets, manual edits) becomes
+        // an opening balance, so the ledger adds up to every child's total.
+        const [rows] = await connection.execute('SELECT COUNT(*) as count FROM points_ledger');
+        if (rows[0].count === 0) {
+            await connection.execute(`
+                INSERT INTO points_ledger (user_id, event_type, points, reason, source_type, source_id, created_at)
+                SELECT user_id, 'answer', points_earned,
+                       CASE WHEN is_correct THEN 'Correct answer' ELSE 'Partly correct answer' END,
+                       'question_attempt', id, attempted_at
+                FROM question_attempts
+                WHERE points_earned <> 0
+                ORDER BY attempted_at, id
+            `);
+            await connection.execute(`
+                INSERT INTO points_ledger (user_id, event_type, points, reason, source_type, source_id, created_at)
+                SELECT user_id, 'daily_bonus', bonus_points, 'Finished the daily challenge', 'quiz_session', id, completed_at
+                FROM quiz_sessions
+                WHERE bonus_points > 0
+                ORDER BY completed_at, id
+            `);
+            await connection.execute(`
+                INSERT INTO points_ledger (user_id, event_type, points, reason)
+                SELECT u.id, 'opening_balance', COALESCE(u.total_points, 0) - COALESCE(SUM(pl.points), 0),
+                       'Points from before the ledger was kept'
+                FROM users u
+                LEFT JOIN points_ledger pl ON pl.user_id = u.id
+                GROUP BY u.id, u.total_points
+                HAVING COALESCE(u.total_points, 0) - COALESCE(SUM(pl.points), 0) <> 0
+            `);
+        }
+    },
+
+    async down(connection) {
+        await connection.execute('DROP TABLE IF EXISTS points_ledger');
+    }
+};
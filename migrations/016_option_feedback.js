@@ -0,0 +1,17 @@
+// migrations/016_option_feedback.js - Feedback text and partial credit on each answer option
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        // Shown when the child picks (or misplaces) this option; for a correct
+        // option, why it is right
+        await addColumnIfMissing(connection, 'answer_options', 'feedback', 'TEXT NULL AFTER option_text');
+        // Share of the points a partly right option of a single choice question earns
+        await addColumnIfMissing(connection, 'answer_options', 'credit', 'DECIMAL(3,2) NULL AFTER is_correct');
+    },
+
+    async down(connection) {
+        await dropColumnIfExists(connection, 'answer_options', 'credit');
+        await dropColumnIfExists(connection, 'answer_options', 'feedback');
+    }
+};
@@ -0,0 +1,84 @@
+// migrations/017_translations.js - Translations of questions, options, buckets, categories and badges, and a locale per child
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        // NULL: follow the device's Accept-Language
+        await addColumnIfMissing(connection, 'users', 'locale', 'VARCHAR(10) NULL AFTER timezone');
+
+        // A NULL column falls back to the English text in the main table
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS question_translations (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                question_id INT NOT NULL,
+                locale VARCHAR(10) NOT NULL,
+                question_text TEXT,
+                explanation TEXT,
+                hint_text TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_question_locale (question_id, locale)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS answer_option_translations (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                option_id INT NOT NULL,
+                locale VARCHAR(10) NOT NULL,
+                option_text VARCHAR(255),
+                feedback TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (option_id) REFERENCES answer_options(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_option_locale (option_id, locale)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS answer_target_translations (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                target_id INT NOT NULL,
+                locale VARCHAR(10) NOT NULL,
+                label VARCHAR(255),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (target_id) REFERENCES answer_targets(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_target_locale (target_id, locale)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS category_translations (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                category_id INT NOT NULL,
+                locale VARCHAR(10) NOT NULL,
+                name VARCHAR(100),
+                description TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_category_locale (category_id, locale)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS badge_translations (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                badge_id INT NOT NULL,
+                locale VARCHAR(10) NOT NULL,
+                name VARCHAR(100),
+                description TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (badge_id) REFERENCES badges(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_badge_locale (badge_id, locale)
+            )
+        `);
+    },
+
+    async down(connection) {
+        await connection.execute('DROP TABLE IF EXISTS badge_translations');
+        await connection.execute('DROP TABLE IF EXISTS category_translations');
+        await connection.execute('DROP TABLE IF EXISTS answer_target_translations');
+        await connection.execute('DROP TABLE IF EXISTS answer_option_translations');
+        await connection.execute('DROP TABLE IF EXISTS question_translations');
+        await dropColumnIfExists(connection, 'users', 'locale');
+    }
+};
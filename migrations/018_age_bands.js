@@ -0,0 +1,21 @@
+// migrations/018_age_bands.js - Age bands for children, questions and categories
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/schema');
+
+module.exports = {
+    async up(connection) {
+        // A child has a band, or a school grade the band is worked out from
+        await addColumnIfMissing(connection, 'users', 'age_band', "ENUM('5-7', '8-10', '11-13') NULL AFTER locale");
+        await addColumnIfMissing(connection, 'users', 'school_grade', 'TINYINT NULL AFTER age_band');
+
+        // NULL: a question takes its category's bands, a category suits every band
+        await addColumnIfMissing(connection, 'questions', 'age_bands', "SET('5-7', '8-10', '11-13') NULL AFTER difficulty_level");
+        await addColumnIfMissing(connection, 'categories', 'age_bands', "SET('5-7', '8-10', '11-13') NULL AFTER description");
+    },
+
+    async down(connection) {
+        await dropColumnIfExists(connection, 'categories', 'age_bands');
+        await dropColumnIfExists(connection, 'questions', 'age_bands');
+        await dropColumnIfExists(connection, 'users', 'school_grade');
+        await dropColumnIfExists(connection, 'users', 'age_band');
+    }
+};
@@ -0,0 +1,39 @@
+// migrations/019_concepts.js - Concept tags on questions and each child's mastery of them
+//
+// The concepts themselves are listed in lib/concepts.js. Existing questions
+// are tagged by importing the question bank; `npm run stats:recompute` then
+// builds mastery from the answers already given.
+
+module.exports = {
+    async up(connection) {
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS question_concepts (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                question_id INT NOT NULL,
+                concept_key VARCHAR(50) NOT NULL,
+                FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_question_concept (question_id, concept_key),
+                INDEX idx_question_concepts_concept (concept_key)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS user_concept_mastery (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                user_id INT NOT NULL,
+                concept_key VARCHAR(50) NOT NULL,
+                mastery DECIMAL(4,3) NOT NULL,
+                attempts INT NOT NULL DEFAULT 0,
+                correct_attempts INT NOT NULL DEFAULT 0,
+                last_practiced_at TIMESTAMP NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                UNIQUE KEY unique_user_concept (user_id, concept_key)
+            )
+        `);
+    },
+
+    async down(connection) {
+        await connection.execute('DROP TABLE IF EXISTS user_concept_mastery');
+        await connection.execute('DROP TABLE IF EXISTS question_concepts');
+    }
+};
@@ -0,0 +1,114 @@
+// question-bank.js - Import and export the question-bank JSON files
+// Usage:
+//   node question-bank.js validate [dir]          Check the files without touching the database
+//   node question-bank.js import --dry-run [dir]  Show what an import would change
+//   node question-bank.js import [dir]            Upsert questions by key and deactivate removed ones
+//   node question-bank.js export [dir]            Write the live database back to the files
+
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const {
+    DEFAULT_BANK_DIR,
+    readBank,
+    validateBank,
+    importBank,
+    exportBank,
+    writeBank,
+    formatChanges
+} = require('./lib/question-bank');
+
+const dbConfig = {
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    charset: 'utf8mb4'
+};
+
+async function runImport(dir, dryRun) {
+    const files = readBank(dir);
+    console.log(`📚 Read ${files.length} question-bank file(s) from ${dir}`);
+
+    const connection = await mysql.createConnection(dbConfig);
+    try {
+        const changes = await importBank(connection, files, { dryRun });
+
+        if (changes.length === 0) {
+            console.log('✅ Database already matches the question bank');
+            return;
+        }
+
+        formatChanges(changes).forEach(line => console.log(`  ${line}`));
+        console.log(dryRun
+            ? `\n🔍 Dry run: ${changes.length} change(s) would be made. Nothing was written.`
+            : `\n🎉 Imported ${changes.length} change(s). Attempt history was kept.`);
+    } finally {
+        await connection.end();
+    }
+}
+
+async function runExport(dir) {
+    const connection = await mysql.createConnection(dbConfig);
+    try {
+        const files = await exportBank(connection);
+        writeBank(dir, files);
+        files.forEach(({ fileName, data }) => {
+            console.log(`  ✅ ${fileName}: ${data.questions.length} questions`);
+        });
+        console.log(`🎉 Exported ${files.length} categories to ${dir}`);
+    } finally {
+        await connection.end();
+    }
+}
+
+// validate only needs the type names and their graders, which match the seeded question_types
+function runValidate(dir) {
+    const files = readBank(dir);
+    const errors = validateBank(files, {
+        multiple_choice: 'single_choice',
+        true_false: 'single_choice',
+        visual_choice: 'single_choice',
+        drag_drop: 'bucket_match',
+        scenario_based: 'single_choice',
+        multi_select: 'multi_select',
+        ordering: 'ordering'
+    });
+
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`  ❌ ${error}`));
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`✅ ${files.length} file(s) are valid`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const dryRun = args.includes('--dry-run');
+    const dir = args.slice(1).find(arg => !arg.startsWith('--')) || DEFAULT_BANK_DIR;
+
+    try {
+        switch (command) {
+            case 'validate':
+                runValidate(dir);
+                break;
+            case 'import':
+                await runImport(dir, dryRun);
+                break;
+            case 'export':
+                await runExport(dir);
+                break;
+            default:
+                console.error('Usage: node question-bank.js <validate|import|export> [--dry-run] [dir]');
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Question bank command failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+main();
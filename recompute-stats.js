@@ -0,0 +1,73 @@
+// recompute-stats.js - Rebuild points, progress and other running counters from question_attempts
+// Usage:
+//   node recompute-stats.js                   Rebuild every child's counters
+//   node recompute-stats.js --user 12         Rebuild one child's counters
+//   node recompute-stats.js --verify [...]    Only report mismatches; exits with 1 if there are any
+
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const { recomputeStats } = require('./lib/recompute');
+
+const dbConfig = {
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    charset: 'utf8mb4',
+    // Answer times are read as UTC, like the server's pool does (see db.js)
+    timezone: 'Z'
+};
+
+function formatMismatch(mismatch) {
+    return `${mismatch.table} [${mismatch.key}] ${mismatch.field}: stored ${mismatch.stored}, expected ${mismatch.expected}`;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const verify = args.includes('--verify');
+    const userIndex = args.indexOf('--user');
+    const userId = userIndex >= 0 ? Number(args[userIndex + 1]) : null;
+
+    if (userIndex >= 0 && !(Number.isInteger(userId) && userId > 0)) {
+        console.error('Usage: node recompute-stats.js [--verify] [--user <id>]');
+        process.exitCode = 1;
+        return;
+    }
+
+    let connection;
+    try {
+        connection = await mysql.createConnection(dbConfig);
+        await connection.query("SET time_zone = '+00:00'");
+
+        const result = await recomputeStats(connection, {
+            userId,
+            verify,
+            onUser(id, mismatches) {
+                if (mismatches.length === 0) return;
+                console.log(`  ${verify ? '⚠️' : '🔧'} User ${id}:`);
+                mismatches.forEach(mismatch => console.log(`      ${formatMismatch(mismatch)}`));
+            }
+        });
+
+        if (userId && result.usersChecked === 0) {
+            console.error(`❌ User ${userId} not found`);
+            process.exitCode = 1;
+        } else if (result.mismatches.length === 0) {
+            console.log(`✅ Stats of ${result.usersChecked} user(s) match their answers`);
+        } else if (verify) {
+            console.log(`\n🔍 ${result.usersWithMismatches} of ${result.usersChecked} user(s) have ${result.mismatches.length} mismatch(es). Nothing was written.`);
+            process.exitCode = 1;
+        } else {
+            console.log(`\n🎉 Fixed ${result.mismatches.length} mismatch(es) for ${result.usersWithMismatches} of ${result.usersChecked} user(s)`);
+        }
+    } catch (error) {
+        console.error('❌ Recompute failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) await connection.end();
+    }
+}
+
+main();
@@ -0,0 +1,1254 @@
+// routes/admin.js - Content administration: questions, categories, badges, question types, daily challenges, translations, points adjustments and stats rebuilds
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireApiKey } = require('../middleware/admin');
+const { validate } = require('../middleware/validate');
+const { validateOptions, syncCategoryTotals, storageOrder, saveTargets } = require('../lib/questions');
+const { getChallengeForDate, saveCuratedChallenge, toPublicChallenge } = require('../lib/daily-challenge');
+const { ruleKindNames, validateRule, ruleCategoryIds } = require('../lib/badge-rules');
+const { recomputeStats } = require('../lib/recompute');
+const { recordPoints } = require('../lib/points');
+const { translateRow, translateRows, saveTranslation, getTranslationCoverage } = require('../lib/translations');
+const { formatAgeBands, getAgeBandCoverage } = require('../lib/age-bands');
+const { CONCEPTS, getQuestionConcepts, setQuestionConcepts, countConceptQuestions } = require('../lib/concepts');
+const schemas = require('../validation/admin');
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+// Fetch a question with its type name and options, or null
+async function loadQuestion(connection, questionId) {
+    const [questions] = await connection.execute(`
+        SELECT q.*, qt.type_name, qt.grader
+        FROM questions q
+        JOIN question_types qt ON q.question_type_id = qt.id
+        WHERE q.id = ?
+    `, [questionId]);
+
+    if (questions.length === 0) return null;
+
+    const [options] = await connection.execute(`
+        SELECT * FROM answer_options WHERE question_id = ? ORDER BY order_position, id
+    `, [questionId]);
+
+    const [targets] = await connection.execute(`
+        SELECT * FROM answer_targets WHERE question_id = ? ORDER BY order_position, id
+    `, [questionId]);
+
+    const concepts = (await getQuestionConcepts(connection, [questions[0].id])).get(questions[0].id);
+
+    return { ...questions[0], options, targets, concepts };
+}
+
+async function getQuestionType(connection, questionTypeId) {
+    const [types] = await connection.execute(`
+        SELECT * FROM question_types WHERE id = ?
+    `, [questionTypeId]);
+    return types[0] || null;
+}
+
+async function categoryExists(connection, categoryId) {
+    const [categories] = await connection.execute(`
+        SELECT id FROM categories WHERE id = ?
+    `, [categoryId]);
+    return categories.length > 0;
+}
+
+// ===============================
+// QUESTIONS
+// ===============================
+
+// List questions, optionally for one category
+router.get('/questions', validate(schemas.listQuestions), async (req, res) => {
+    let connection;
+    try {
+        const { categoryId, includeInactive } = req.query;
+
+        connection = await getDbConnection();
+
+        const conditions = [];
+        const params = [];
+        if (categoryId) {
+            conditions.push('q.category_id = ?');
+            params.push(categoryId);
+        }
+        if (!includeInactive) {
+            conditions.push('q.is_active = true');
+        }
+
+        const [questions] = await connection.execute(`
+            SELECT q.*, qt.type_name
+            FROM questions q
+            JOIN question_types qt ON q.question_type_id = qt.id
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY q.category_id, q.sort_order, q.id
+        `, params);
+
+        res.json({ questions });
+    } catch (error) {
+        console.error('Error listing questions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Get one question with all of its options, including which are correct
+router.get('/questions/:questionId', validate(schemas.questionById), async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const question = await loadQuestion(connection, req.params.questionId);
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        res.json({ question });
+    } catch (error) {
+        console.error('Error fetching question:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Create a question together with its answer options
+router.post('/questions', validate(schemas.createQuestion), async (req, res) => {
+    let connection;
+    try {
+        const {
+            categoryId, questionTypeId, questionText, imageUrl = null,
+            difficultyLevel, points, explanation = null, hintText = null,
+            questionKey = null, partialCredit, ageBands = null, concepts, targets, options
+        } = req.body;
+
+        connection = await getDbConnection();
+
+        const questionType = await getQuestionType(connection, questionTypeId);
+        if (!questionType) {
+            return res.status(400).json({ error: 'Question type not found' });
+        }
+        if (!(await categoryExists(connection, categoryId))) {
+            return res.status(400).json({ error: 'Category not found' });
+        }
+
+        const optionsError = validateOptions(questionType.type_name, questionType.grader, options, targets);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            const [positions] = await connection.execute(`
+                SELECT COALESCE(MAX(sort_order), 0) + 1 as next_position
+                FROM questions WHERE category_id = ?
+            `, [categoryId]);
+
+            const [result] = await connection.execute(`
+                INSERT INTO questions
+                (question_key, category_id, question_type_id, question_text, image_url, difficulty_level, age_bands, points, partial_credit, explanation, hint_text, sort_order)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                questionKey, categoryId, questionTypeId, questionText, imageUrl, difficultyLevel, formatAgeBands(ageBands),
+                points, partialCredit, explanation, hintText, positions[0].next_position
+            ]);
+
+            const storedOptions = storageOrder(questionType.grader, options);
+            for (let i = 0; i < storedOptions.length; i++) {
+                const option = storedOptions[i];
+                await connection.execute(`
+                    INSERT INTO answer_options (question_id, option_text, feedback, icon, image_url, is_correct, credit, correct_position, target_key, order_position)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    result.insertId, option.optionText, option.feedback || null, option.icon || null, option.imageUrl || null,
+                    Boolean(option.isCorrect), option.credit ?? null, option.correctPosition ?? null, option.targetKey ?? null, i + 1
+                ]);
+            }
+
+            await saveTargets(connection, result.insertId, targets);
+            await setQuestionConcepts(connection, result.insertId, concepts);
+
+            await syncCategoryTotals(connection, [categoryId]);
+            await connection.commit();
+
+            const question = await loadQuestion(connection, result.insertId);
+            res.status(201).json({ message: 'Question created successfully', question });
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A question with this key already exists' });
+        }
+        console.error('Error creating question:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Update a question. When options are sent they replace the current set:
+// options with an id are updated, options without one are added, and
+// missing ones are removed, or deactivated if a child has already picked them.
+router.put('/questions/:questionId', validate(schemas.updateQuestion), async (req, res) => {
+    let connection;
+    try {
+        const { questionId } = req.params;
+        const { options } = req.body;
+
+        connection = await getDbConnection();
+
+        const current = await loadQuestion(connection, questionId);
+        if (!current) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const categoryId = req.body.categoryId ?? current.category_id;
+        const questionTypeId = req.body.questionTypeId ?? current.question_type_id;
+
+        const questionType = await getQuestionType(connection, questionTypeId);
+        if (!questionType) {
+            return res.status(400).json({ error: 'Question type not found' });
+        }
+        if (categoryId !== current.category_id && !(await categoryExists(connection, categoryId))) {
+            return res.status(400).json({ error: 'Category not found' });
+        }
+
+        // Check the invariants against the options the question will end up with
+        const finalOptions = options || current.options.filter(option => option.is_active).map(option => ({
+            optionText: option.option_text,
+            isCorrect: option.is_correct === 1,
+            credit: option.credit === null ? null : Number(option.credit),
+            correctPosition: option.correct_position,
+            targetKey: option.target_key
+        }));
+        const finalTargets = req.body.targets || current.targets.map(target => ({
+            key: target.target_key,
+            label: target.label
+        }));
+        const optionsError = validateOptions(questionType.type_name, questionType.grader, finalOptions, finalTargets);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
+        let removedIds = [];
+        let answeredIds = [];
+        if (options) {
+            const currentIds = current.options.map(option => option.id);
+            const keptIds = options.filter(option => option.id).map(option => option.id);
+
+            const unknownIds = keptIds.filter(id => !currentIds.includes(id));
+            if (unknownIds.length > 0) {
+                return res.status(400).json({ error: `Options do not belong to this question: ${unknownIds.join(', ')}` });
+            }
+
+            removedIds = current.options
+                .filter(option => option.is_active && !keptIds.includes(option.id))
+                .map(option => option.id);
+            if (removedIds.length > 0) {
+                const [answered] = await connection.query(`
+                    SELECT DISTINCT selected_answer_id FROM question_attempts
+                    WHERE selected_answer_id IN (?)
+                `, [removedIds]);
+                // Multi-select, ordering and bucket answers name their options in the answer JSON
+                const [structured] = await connection.execute(`
+                    SELECT COUNT(*) as count FROM question_attempts
+                    WHERE question_id = ? AND selected_answer_id IS NULL
+                `, [questionId]);
+                answeredIds = structured[0].count > 0
+                    ? removedIds
+                    : answered.map(row => row.selected_answer_id);
+            }
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            await connection.execute(`
+                UPDATE questions
+                SET question_key = ?, category_id = ?, question_type_id = ?, question_text = ?, image_url = ?,
+                    difficulty_level = ?, age_bands = ?, points = ?, partial_credit = ?, explanation = ?, hint_text = ?
+                WHERE id = ?
+            `, [
+                req.body.questionKey !== undefined ? req.body.questionKey : current.question_key,
+                categoryId,
+                questionTypeId,
+                req.body.questionText ?? current.question_text,
+                req.body.imageUrl !== undefined ? req.body.imageUrl : current.image_url,
+                req.body.difficultyLevel ?? current.difficulty_level,
+                req.body.ageBands !== undefined ? formatAgeBands(req.body.ageBands) : current.age_bands,
+                req.body.points ?? current.points,
+                req.body.partialCredit ?? Boolean(current.partial_credit),
+                req.body.explanation !== undefined ? req.body.explanation : current.explanation,
+                req.body.hintText !== undefined ? req.body.hintText : current.hint_text,
+                questionId
+            ]);
+
+            if (options) {
+                // Keep options that appear in attempt history so the history stays readable
+                const deletableIds = removedIds.filter(id => !answeredIds.includes(id));
+                if (answeredIds.length > 0) {
+                    await connection.query(`
+                        UPDATE answer_options SET is_active = false WHERE id IN (?)
+                    `, [answeredIds]);
+                }
+                if (deletableIds.length > 0) {
+                    await connection.query(`
+                        DELETE FROM answer_options WHERE id IN (?)
+                    `, [deletableIds]);
+                }
+
+                const storedOptions = storageOrder(questionType.grader, options);
+                for (let i = 0; i < storedOptions.length; i++) {
+                    const option = storedOptions[i];
+                    if (option.id) {
+                        await connection.execute(`
+                            UPDATE answer_options
+                            SET option_text = ?, feedback = ?, icon = ?, image_url = ?, is_correct = ?, credit = ?,
+                                correct_position = ?, target_key = ?, order_position = ?, is_active = true
+                            WHERE id = ?
+                        `, [
+                            option.optionText, option.feedback || null, option.icon || null, option.imageUrl || null,
+                            Boolean(option.isCorrect), option.credit ?? null,
+                            option.correctPosition ?? null, option.targetKey ?? null, i + 1, option.id
+                        ]);
+                    } else {
+                        await connection.execute(`
+                            INSERT INTO answer_options (question_id, option_text, feedback, icon, image_url, is_correct, credit, correct_position, target_key, order_position)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                        `, [
+                            questionId, option.optionText, option.feedback || null, option.icon || null, option.imageUrl || null,
+                            Boolean(option.isCorrect), option.credit ?? null, option.correctPosition ?? null, option.targetKey ?? null, i + 1
+                        ]);
+                    }
+                }
+            }
+
+            if (req.body.targets) {
+                await saveTargets(connection, questionId, req.body.targets);
+            }
+            if (req.body.concepts) {
+                await setQuestionConcepts(connection, questionId, req.body.concepts);
+            }
+
+            await syncCategoryTotals(connection, [current.category_id, categoryId]);
+            await connection.commit();
+
+            const question = await loadQuestion(connection, questionId);
+            res.json({ message: 'Question updated successfully', question });
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A question with this key already exists' });
+        }
+        console.error('Error updating question:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Deactivate a question. Questions are never deleted so that children's
+// attempt history keeps pointing at real rows.
+router.delete('/questions/:questionId', validate(schemas.questionById), async (req, res) => {
+    await setQuestionActive(req, res, false);
+});
+
+// Reactivate a previously deactivated question
+router.post('/questions/:questionId/activate', validate(schemas.questionById), async (req, res) => {
+    await setQuestionActive(req, res, true);
+});
+
+async function setQuestionActive(req, res, isActive) {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const current = await loadQuestion(connection, req.params.questionId);
+        if (!current) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            await connection.execute(`
+                UPDATE questions SET is_active = ? WHERE id = ?
+            `, [isActive, current.id]);
+
+            await syncCategoryTotals(connection, [current.category_id]);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+
+        res.json({ message: isActive ? 'Question activated' : 'Question deactivated' });
+    } catch (error) {
+        console.error('Error changing question status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+// Reorder the active options of a question
+router.put('/questions/:questionId/option-order', validate(schemas.optionOrder), async (req, res) => {
+    let connection;
+    try {
+        const { optionIds } = req.body;
+
+        connection = await getDbConnection();
+
+        const current = await loadQuestion(connection, req.params.questionId);
+        if (!current) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        // Their stored order is kept random; see storageOrder in lib/questions.js
+        if (current.grader === 'ordering') {
+            return res.status(400).json({ error: 'Options of ordering questions are always shown shuffled' });
+        }
+
+        const currentIds = current.options.filter(option => option.is_active).map(option => option.id);
+        if (optionIds.length !== currentIds.length || !currentIds.every(id => optionIds.includes(id))) {
+            return res.status(400).json({ error: 'optionIds must list every active option of the question exactly once' });
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            for (let i = 0; i < optionIds.length; i++) {
+                await connection.execute(`
+                    UPDATE answer_options SET order_position = ? WHERE id = ?
+                `, [i + 1, optionIds[i]]);
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+
+        const question = await loadQuestion(connection, current.id);
+        res.json({ message: 'Options reordered', question });
+    } catch (error) {
+        console.error('Error reordering options:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Reorder the questions of a category. Questions not listed keep their
+// relative order after the listed ones.
+router.put('/categories/:categoryId/question-order', validate(schemas.questionOrder), async (req, res) => {
+    let connection;
+    try {
+        const { questionIds } = req.body;
+        const { categoryId } = req.params;
+
+        connection = await getDbConnection();
+
+        const [questions] = await connection.execute(`
+            SELECT id FROM questions WHERE category_id = ? ORDER BY sort_order, id
+        `, [categoryId]);
+
+        const categoryQuestionIds = questions.map(question => question.id);
+        const foreignIds = questionIds.filter(id => !categoryQuestionIds.includes(id));
+        if (foreignIds.length > 0) {
+            return res.status(400).json({ error: `Questions do not belong to this category: ${foreignIds.join(', ')}` });
+        }
+
+        const newOrder = [
+            ...questionIds,
+            ...categoryQuestionIds.filter(id => !questionIds.includes(id))
+        ];
+
+        await connection.beginTransaction();
+
+        try {
+            for (let i = 0; i < newOrder.length; i++) {
+                await connection.execute(`
+                    UPDATE questions SET sort_order = ? WHERE id = ?
+                `, [i + 1, newOrder[i]]);
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+
+        res.json({ message: 'Questions reordered', questionIds: newOrder });
+    } catch (error) {
+        console.error('Error reordering questions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// CATEGORIES
+// ===============================
+
+router.get('/categories', async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [categories] = await connection.execute(`
+            SELECT * FROM categories ORDER BY id
+        `);
+
+        res.json({ categories });
+    } catch (error) {
+        console.error('Error listing categories:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.post('/categories', validate(schemas.createCategory), async (req, res) => {
+    let connection;
+    try {
+        const { name, icon, description = null, ageBands = null } = req.body;
+
+        connection = await getDbConnection();
+
+        // total_questions is maintained automatically, never taken from the client
+        const [result] = await connection.execute(`
+            INSERT INTO categories (name, icon, description, age_bands, total_questions) VALUES (?, ?, ?, ?, 0)
+        `, [name, icon, description, formatAgeBands(ageBands)]);
+
+        const [categories] = await connection.execute(`
+            SELECT * FROM categories WHERE id = ?
+        `, [result.insertId]);
+
+        res.status(201).json({ message: 'Category created successfully', category: categories[0] });
+    } catch (error) {
+        console.error('Error creating category:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.put('/categories/:categoryId', validate(schemas.updateCategory), async (req, res) => {
+    let connection;
+    try {
+        const { categoryId } = req.params;
+        const { name, icon, description, ageBands } = req.body;
+
+        connection = await getDbConnection();
+
+        const [categories] = await connection.execute(`
+            SELECT * FROM categories WHERE id = ?
+        `, [categoryId]);
+
+        if (categories.length === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        const current = categories[0];
+        await connection.execute(`
+            UPDATE categories SET name = ?, icon = ?, description = ?, age_bands = ? WHERE id = ?
+        `, [
+            name ?? current.name,
+            icon ?? current.icon,
+            description !== undefined ? description : current.description,
+            ageBands !== undefined ? formatAgeBands(ageBands) : current.age_bands,
+            categoryId
+        ]);
+
+        const [updated] = await connection.execute(`
+            SELECT * FROM categories WHERE id = ?
+        `, [categoryId]);
+
+        res.json({ message: 'Category updated successfully', category: updated[0] });
+    } catch (error) {
+        console.error('Error updating category:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Only empty categories can be deleted; deactivate their questions instead
+router.delete('/categories/:categoryId', validate(schemas.categoryById), async (req, res) => {
+    let connection;
+    try {
+        const { categoryId } = req.params;
+
+        connection = await getDbConnection();
+
+        const [usage] = await connection.execute(`
+            SELECT
+                (SELECT COUNT(*) FROM questions WHERE category_id = ?) as question_count,
+                (SELECT COUNT(*) FROM user_progress WHERE category_id = ?) as progress_count,
+                (SELECT COUNT(*) FROM badges WHERE category_id = ?) as badge_count
+        `, [categoryId, categoryId, categoryId]);
+
+        const { question_count, progress_count, badge_count } = usage[0];
+        if (question_count > 0 || progress_count > 0 || badge_count > 0) {
+            return res.status(409).json({ error: 'Category still has questions, progress or badges' });
+        }
+
+        const [result] = await connection.execute(`
+            DELETE FROM categories WHERE id = ?
+        `, [categoryId]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        res.json({ message: 'Category deleted' });
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// BADGES
+// ===============================
+
+// Checks that need the merged badge or the database; field formats are
+// already checked by the schemas. Returns an error message, or null.
+async function validateBadge(connection, badge) {
+    const ruleError = validateRule(badge.rule);
+    if (ruleError) return ruleError;
+
+    for (const categoryId of ruleCategoryIds(badge.rule)) {
+        if (!(await categoryExists(connection, categoryId))) {
+            return `Category not found: ${categoryId}`;
+        }
+    }
+    return null;
+}
+
+// badges.category_id keeps the category a badge is about, so categories
+// with badges are not deleted
+function badgeCategoryId(rule) {
+    return ruleCategoryIds(rule)[0] ?? null;
+}
+
+router.get('/badges', async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [badges] = await connection.execute(`
+            SELECT * FROM badges ORDER BY id
+        `);
+
+        res.json({ badges, ruleKinds: ruleKindNames() });
+    } catch (error) {
+        console.error('Error listing badges:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.post('/badges', validate(schemas.createBadge), async (req, res) => {
+    let connection;
+    try {
+        const badge = {
+            name: req.body.name,
+            description: req.body.description ?? null,
+            icon: req.body.icon ?? null,
+            rule: req.body.rule
+        };
+
+        connection = await getDbConnection();
+
+        const badgeError = await validateBadge(connection, badge);
+        if (badgeError) {
+            return res.status(400).json({ error: badgeError });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO badges (name, description, icon, category_id, rule)
+            VALUES (?, ?, ?, ?, ?)
+        `, [badge.name, badge.description, badge.icon, badgeCategoryId(badge.rule), JSON.stringify(badge.rule)]);
+
+        const [badges] = await connection.execute(`
+            SELECT * FROM badges WHERE id = ?
+        `, [result.insertId]);
+
+        res.status(201).json({ message: 'Badge created successfully', badge: badges[0] });
+    } catch (error) {
+        console.error('Error creating badge:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.put('/badges/:badgeId', validate(schemas.updateBadge), async (req, res) => {
+    let connection;
+    try {
+        const { badgeId } = req.params;
+
+        connection = await getDbConnection();
+
+        const [badges] = await connection.execute(`
+            SELECT * FROM badges WHERE id = ?
+        `, [badgeId]);
+
+        if (badges.length === 0) {
+            return res.status(404).json({ error: 'Badge not found' });
+        }
+
+        const current = badges[0];
+        const badge = {
+            name: req.body.name ?? current.name,
+            description: req.body.description !== undefined ? req.body.description : current.description,
+            icon: req.body.icon !== undefined ? req.body.icon : current.icon,
+            rule: req.body.rule ?? current.rule
+        };
+
+        const badgeError = await validateBadge(connection, badge);
+        if (badgeError) {
+            return res.status(400).json({ error: badgeError });
+        }
+
+        await connection.execute(`
+            UPDATE badges
+            SET name = ?, description = ?, icon = ?, category_id = ?, rule = ?
+            WHERE id = ?
+        `, [badge.name, badge.description, badge.icon, badgeCategoryId(badge.rule), JSON.stringify(badge.rule), badgeId]);
+
+        const [updated] = await connection.execute(`
+            SELECT * FROM badges WHERE id = ?
+        `, [badgeId]);
+
+        res.json({ message: 'Badge updated successfully', badge: updated[0] });
+    } catch (error) {
+        console.error('Error updating badge:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Badges that children have already earned cannot be deleted
+router.delete('/badges/:badgeId', validate(schemas.badgeById), async (req, res) => {
+    let connection;
+    try {
+        const { badgeId } = req.params;
+
+        connection = await getDbConnection();
+
+        const [earned] = await connection.execute(`
+            SELECT COUNT(*) as count FROM user_badges WHERE badge_id = ?
+        `, [badgeId]);
+
+        if (earned[0].count > 0) {
+            return res.status(409).json({ error: 'This badge has already been earned and cannot be deleted' });
+        }
+
+        const [result] = await connection.execute(`
+            DELETE FROM badges WHERE id = ?
+        `, [badgeId]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Badge not found' });
+        }
+
+        res.json({ message: 'Badge deleted' });
+    } catch (error) {
+        console.error('Error deleting badge:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// QUESTION TYPES
+// ===============================
+
+router.get('/question-types', async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [questionTypes] = await connection.execute(`
+            SELECT * FROM question_types ORDER BY id
+        `);
+
+        res.json({ questionTypes });
+    } catch (error) {
+        console.error('Error listing question types:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.post('/question-types', validate(schemas.createQuestionType), async (req, res) => {
+    let connection;
+    try {
+        const { typeName, grader, difficultyLevel, description = null } = req.body;
+
+        connection = await getDbConnection();
+
+        const [existing] = await connection.execute(`
+            SELECT id FROM question_types WHERE type_name = ?
+        `, [typeName]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({ error: 'A question type with this name already exists' });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO question_types (type_name, grader, difficulty_level, description) VALUES (?, ?, ?, ?)
+        `, [typeName, grader, difficultyLevel, description]);
+
+        const [questionTypes] = await connection.execute(`
+            SELECT * FROM question_types WHERE id = ?
+        `, [result.insertId]);
+
+        res.status(201).json({ message: 'Question type created successfully', questionType: questionTypes[0] });
+    } catch (error) {
+        console.error('Error creating question type:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Only difficulty and description can change; see validation/admin.js
+router.put('/question-types/:questionTypeId', validate(schemas.updateQuestionType), async (req, res) => {
+    let connection;
+    try {
+        const { questionTypeId } = req.params;
+        const { difficultyLevel, description } = req.body;
+
+        connection = await getDbConnection();
+
+        const current = await getQuestionType(connection, questionTypeId);
+        if (!current) {
+            return res.status(404).json({ error: 'Question type not found' });
+        }
+
+        await connection.execute(`
+            UPDATE question_types SET difficulty_level = ?, description = ? WHERE id = ?
+        `, [
+            difficultyLevel ?? current.difficulty_level,
+            description !== undefined ? description : current.description,
+            questionTypeId
+        ]);
+
+        res.json({ message: 'Question type updated successfully', questionType: await getQuestionType(connection, questionTypeId) });
+    } catch (error) {
+        console.error('Error updating question type:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Only unused question types can be deleted
+router.delete('/question-types/:questionTypeId', validate(schemas.questionTypeById), async (req, res) => {
+    let connection;
+    try {
+        const { questionTypeId } = req.params;
+
+        connection = await getDbConnection();
+
+        const [usage] = await connection.execute(`
+            SELECT
+                (SELECT COUNT(*) FROM questions WHERE question_type_id = ?) as question_count,
+                (SELECT COUNT(*) FROM user_question_type_performance WHERE question_type_id = ?) as performance_count,
+                (SELECT COUNT(*) FROM users WHERE preferred_question_type_id = ?) as user_count
+        `, [questionTypeId, questionTypeId, questionTypeId]);
+
+        const { question_count, performance_count, user_count } = usage[0];
+        if (question_count > 0 || performance_count > 0 || user_count > 0) {
+            return res.status(409).json({ error: 'This question type is still in use' });
+        }
+
+        const [result] = await connection.execute(`
+            DELETE FROM question_types WHERE id = ?
+        `, [questionTypeId]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Question type not found' });
+        }
+
+        res.json({ message: 'Question type deleted' });
+    } catch (error) {
+        console.error('Error deleting question type:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// DAILY CHALLENGES
+// ===============================
+
+// Challenges between two dates (default: the last week and the coming one),
+// including auto-picked ones already served to children
+router.get('/daily-challenges', validate(schemas.listDailyChallenges), async (req, res) => {
+    let connection;
+    try {
+        const { from, to } = req.query;
+
+        connection = await getDbConnection();
+
+        const [challenges] = await connection.execute(`
+            SELECT dc.id, DATE_FORMAT(dc.challenge_date, '%Y-%m-%d') as challenge_date,
+                   dc.title, dc.bonus_points, dc.is_curated,
+                   (SELECT COUNT(*) FROM daily_challenge_questions dcq WHERE dcq.challenge_id = dc.id) as question_count,
+                   (SELECT COUNT(*) FROM quiz_sessions s WHERE s.daily_challenge_id = dc.id) as players,
+                   (SELECT COUNT(*) FROM quiz_sessions s WHERE s.daily_challenge_id = dc.id AND s.status = 'completed') as completions
+            FROM daily_challenges dc
+            WHERE dc.challenge_date BETWEEN COALESCE(?, CURDATE() - INTERVAL 7 DAY) AND COALESCE(?, CURDATE() + INTERVAL 7 DAY)
+            ORDER BY dc.challenge_date
+        `, [from || null, to || null]);
+
+        res.json({ dailyChallenges: challenges });
+    } catch (error) {
+        console.error('Error listing daily challenges:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Curate the challenge of a date. Replaces an auto-picked or curated set as
+// long as no child has started it yet.
+router.put('/daily-challenges/:date', validate(schemas.saveDailyChallenge), async (req, res) => {
+    let connection;
+    try {
+        const { date } = req.params;
+        const { title, bonusPoints, questionIds } = req.body;
+
+        connection = await getDbConnection();
+
+        const [questions] = await connection.query(`
+            SELECT id FROM questions WHERE id IN (?) AND is_active = true
+        `, [questionIds]);
+
+        const foundIds = questions.map(question => question.id);
+        const missingIds = questionIds.filter(questionId => !foundIds.includes(questionId));
+        if (missingIds.length > 0) {
+            return res.status(400).json({ error: `Active questions not found: ${missingIds.join(', ')}` });
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            const saved = await saveCuratedChallenge(connection, { date, title, bonusPoints, questionIds });
+            if (!saved) {
+                await connection.rollback();
+                return res.status(409).json({ error: 'Children have already started this daily challenge' });
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+
+        const challenge = await getChallengeForDate(connection, date);
+        res.json({
+            message: 'Daily challenge saved',
+            dailyChallenge: { ...toPublicChallenge(challenge), questionIds: challenge.questionIds }
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This daily challenge was just created, please try again' });
+        }
+        console.error('Error saving daily challenge:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// CONCEPTS
+// ===============================
+
+// The concepts questions can be tagged with, and how many active questions each has
+router.get('/concepts', async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const questionCounts = await countConceptQuestions(connection);
+
+        res.json({
+            concepts: CONCEPTS.map(concept => ({ ...concept, questionCount: questionCounts.get(concept.key) || 0 }))
+        });
+    } catch (error) {
+        console.error('Error listing concepts:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// AGE BANDS
+// ===============================
+
+// Per category, how many active questions suit each age band
+router.get('/age-bands/coverage', async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        res.json({ coverage: await getAgeBandCoverage(connection) });
+    } catch (error) {
+        console.error('Error building age band coverage:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// TRANSLATIONS
+// ===============================
+
+// Per locale, how many active questions are fully translated and which are not
+router.get('/translations/coverage', validate(schemas.translationCoverage), async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const coverage = await getTranslationCoverage(connection, req.query.locale ? { locales: [req.query.locale] } : {});
+
+        res.json({ coverage });
+    } catch (error) {
+        console.error('Error building translation coverage:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Translate a question and, optionally, its options and buckets. Fields left
+// out keep their current translation; empty ones fall back to English.
+router.put('/translations/:locale/questions/:questionId', validate(schemas.translateQuestion), async (req, res) => {
+    let connection;
+    try {
+        const { locale, questionId } = req.params;
+        const { questionText, explanation, hintText, options = [], targets = [] } = req.body;
+
+        connection = await getDbConnection();
+
+        const question = await loadQuestion(connection, questionId);
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const optionIds = question.options.map(option => option.id);
+        const unknownIds = options.map(option => option.id).filter(optionId => !optionIds.includes(optionId));
+        if (unknownIds.length > 0) {
+            return res.status(400).json({ error: `Options not found on this question: ${unknownIds.join(', ')}` });
+        }
+
+        const targetIds = question.targets.map(target => target.id);
+        const unknownTargetIds = targets.map(target => target.id).filter(targetId => !targetIds.includes(targetId));
+        if (unknownTargetIds.length > 0) {
+            return res.status(400).json({ error: `Targets not found on this question: ${unknownTargetIds.join(', ')}` });
+        }
+
+        await connection.beginTransaction();
+        try {
+            await saveTranslation(connection, 'question', questionId, locale, {
+                question_text: questionText,
+                explanation,
+                hint_text: hintText
+            });
+            for (const option of options) {
+                await saveTranslation(connection, 'option', option.id, locale, {
+                    option_text: option.optionText,
+                    feedback: option.feedback
+                });
+            }
+            for (const target of targets) {
+                await saveTranslation(connection, 'target', target.id, locale, { label: target.label });
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+
+        const translated = await translateRow(connection, 'question', question, locale);
+        res.json({
+            message: 'Translation saved',
+            question: {
+                ...translated,
+                options: await translateRows(connection, 'option', question.options, locale),
+                targets: await translateRows(connection, 'target', question.targets, locale)
+            }
+        });
+    } catch (error) {
+        console.error('Error saving question translation:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.put('/translations/:locale/categories/:categoryId', validate(schemas.translateCategory), async (req, res) => {
+    let connection;
+    try {
+        const { locale, categoryId } = req.params;
+
+        connection = await getDbConnection();
+
+        const [categories] = await connection.execute(`
+            SELECT * FROM categories WHERE id = ?
+        `, [categoryId]);
+
+        if (categories.length === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        await saveTranslation(connection, 'category', categoryId, locale, req.body);
+
+        res.json({ message: 'Translation saved', category: await translateRow(connection, 'category', categories[0], locale) });
+    } catch (error) {
+        console.error('Error saving category translation:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.put('/translations/:locale/badges/:badgeId', validate(schemas.translateBadge), async (req, res) => {
+    let connection;
+    try {
+        const { locale, badgeId } = req.params;
+
+        connection = await getDbConnection();
+
+        const [badges] = await connection.execute(`
+            SELECT * FROM badges WHERE id = ?
+        `, [badgeId]);
+
+        if (badges.length === 0) {
+            return res.status(404).json({ error: 'Badge not found' });
+        }
+
+        await saveTranslation(connection, 'badge', badgeId, locale, req.body);
+
+        res.json({ message: 'Translation saved', badge: await translateRow(connection, 'badge', badges[0], locale) });
+    } catch (error) {
+        console.error('Error saving badge translation:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// POINTS
+// ===============================
+
+// Correct a child's points by hand; the reason is shown in their points history
+router.post('/users/:userId/points-adjustments', validate(schemas.pointsAdjustment), async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+        const { points, reason } = req.body;
+
+        connection = await getDbConnection();
+
+        await connection.beginTransaction();
+        try {
+            const [users] = await connection.execute(`
+                SELECT id FROM users WHERE id = ? FOR UPDATE
+            `, [userId]);
+
+            if (users.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const ledgerId = await recordPoints(connection, {
+                userId,
+                event: 'admin_adjustment',
+                points,
+                reason,
+                sourceType: 'admin'
+            });
+
+            const [updated] = await connection.execute(`
+                SELECT total_points FROM users WHERE id = ?
+            `, [userId]);
+
+            await connection.commit();
+
+            console.log(`🧾 Adjusted points of user ${userId} by ${points}: ${reason}`);
+            res.status(201).json({ message: 'Points adjusted', ledgerId, totalPoints: updated[0].total_points });
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+    } catch (error) {
+        console.error('Error adjusting points:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// DERIVED STATS
+// ===============================
+
+// Mismatches listed in one response; the counts always cover all of them
+const MAX_LISTED_MISMATCHES = 500;
+
+// Rebuild points, streaks, progress, question type performance and
+// leaderboard points from question_attempts. With verify: true nothing is
+// written and the response lists what would change.
+router.post('/stats/recompute', validate(schemas.recomputeStats), async (req, res) => {
+    let connection;
+    try {
+        const { userId, verify } = req.body;
+
+        connection = await getDbConnection();
+
+        const result = await recomputeStats(connection, { userId, verify });
+        if (userId && result.usersChecked === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        console.log(`🧮 ${verify ? 'Verified' : 'Recomputed'} stats of ${result.usersChecked} user(s): ${result.mismatches.length} mismatch(es)`);
+        res.json({
+            verify,
+            usersChecked: result.usersChecked,
+            usersWithMismatches: result.usersWithMismatches,
+            mismatchCount: result.mismatches.length,
+            mismatches: result.mismatches.slice(0, MAX_LISTED_MISMATCHES),
+            fixed: !verify && result.mismatches.length > 0
+        });
+    } catch (error) {
+        console.error('Error recomputing stats:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
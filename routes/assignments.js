@@ -0,0 +1,67 @@
+// routes/assignments.js - A child's assignments from their classes
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireUserAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { toPublicSession } = require('../lib/sessions');
+const {
+    getAssignment,
+    toPublicAssignment,
+    getStudentAssignments,
+    isAssignedTo,
+    getAssignmentSession
+} = require('../lib/assignments');
+const schemas = require('../validation/assignments');
+
+const router = express.Router();
+
+// Open and upcoming assignments, and those due in the last week
+router.get('/:userId', validate(schemas.listAssignments), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        res.json({ assignments: await getStudentAssignments(connection, req.params.userId) });
+    } catch (error) {
+        console.error('Error fetching assignments:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Start (or pick up) an assignment. Its questions then come through
+// GET /api/sessions/:sessionId/next, and through GET /api/questions for the
+// categories it covers.
+router.post('/:assignmentId/start', validate(schemas.startAssignment), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { assignmentId } = req.params;
+        const { userId } = req.body;
+
+        connection = await getDbConnection();
+
+        const assignment = await getAssignment(connection, assignmentId);
+        if (!assignment || !(await isAssignedTo(connection, assignment, userId))) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        if (assignment.is_upcoming) {
+            return res.status(409).json({ error: 'This assignment is not open yet', assignment: toPublicAssignment(assignment) });
+        }
+        if (assignment.is_past_due) {
+            return res.status(409).json({ error: 'This assignment is past its due date', assignment: toPublicAssignment(assignment) });
+        }
+
+        const session = await getAssignmentSession(connection, userId, assignment);
+
+        res.json({ assignment: toPublicAssignment(assignment), session: toPublicSession(session) });
+    } catch (error) {
+        console.error('Error starting assignment:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
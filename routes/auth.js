@@ -0,0 +1,238 @@
+// routes/auth.js - Parent/guardian and teacher account registration, login and token refresh
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { getDbConnection } = require('../db');
+const { signAccessToken, signRefreshToken, verifyToken } = require('../lib/tokens');
+const { requireAuth, requireParent } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/auth');
+const { toPublicUser } = require('../lib/users');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = 12;
+
+// Never send password hashes back to the client
+function toPublicAccount(account) {
+    return {
+        id: account.id,
+        email: account.email,
+        displayName: account.display_name,
+        role: account.role,
+        createdAt: account.created_at
+    };
+}
+
+// Issue a new access/refresh token pair and remember the refresh token id
+async function issueTokens(connection, account) {
+    const refresh = signRefreshToken(account);
+
+    await connection.execute(`
+        INSERT INTO refresh_tokens (account_id, token_id, expires_at)
+        VALUES (?, ?, ?)
+    `, [account.id, refresh.tokenId, refresh.expiresAt]);
+
+    return {
+        accessToken: signAccessToken(account),
+        refreshToken: refresh.token
+    };
+}
+
+// Register a parent/guardian or teacher account
+router.post('/register', validate(schemas.register), async (req, res) => {
+    let connection;
+    try {
+        const { email, password, displayName, role } = req.body;
+
+        connection = await getDbConnection();
+
+        const [existing] = await connection.execute(`
+            SELECT id FROM accounts WHERE email = ?
+        `, [email]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+        const [result] = await connection.execute(`
+            INSERT INTO accounts (email, password_hash, display_name, role) VALUES (?, ?, ?, ?)
+        `, [email, passwordHash, displayName || null, role]);
+
+        const [accounts] = await connection.execute(`
+            SELECT * FROM accounts WHERE id = ?
+        `, [result.insertId]);
+
+        const tokens = await issueTokens(connection, accounts[0]);
+
+        res.status(201).json({
+            message: 'Account created successfully',
+            account: toPublicAccount(accounts[0]),
+            ...tokens
+        });
+    } catch (error) {
+        console.error('Error registering account:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Log in with email and password
+router.post('/login', validate(schemas.login), async (req, res) => {
+    let connection;
+    try {
+        const { email, password } = req.body;
+
+        connection = await getDbConnection();
+
+        const [accounts] = await connection.execute(`
+            SELECT * FROM accounts WHERE email = ?
+        `, [email]);
+
+        const account = accounts[0];
+        const passwordMatches = account
+            ? await bcrypt.compare(password, account.password_hash)
+            : false;
+
+        if (!passwordMatches) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        await connection.execute(`
+            UPDATE accounts SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [account.id]);
+
+        const tokens = await issueTokens(connection, account);
+
+        res.json({
+            message: 'Welcome back!',
+            account: toPublicAccount(account),
+            ...tokens
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Exchange a refresh token for a new token pair. Refresh tokens are single-use:
+// presenting one that was already rotated revokes every session of the account.
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+    let connection;
+    try {
+        const payload = verifyToken(req.body.refreshToken, 'refresh');
+
+        if (!payload) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        connection = await getDbConnection();
+        await connection.beginTransaction();
+
+        try {
+            const [tokens] = await connection.execute(`
+                SELECT * FROM refresh_tokens WHERE token_id = ? FOR UPDATE
+            `, [payload.jti]);
+
+            if (tokens.length === 0 || tokens[0].account_id !== payload.accountId) {
+                await connection.rollback();
+                return res.status(401).json({ error: 'Invalid or expired refresh token' });
+            }
+
+            if (tokens[0].revoked_at) {
+                await connection.execute(`
+                    UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+                    WHERE account_id = ? AND revoked_at IS NULL
+                `, [payload.accountId]);
+                await connection.commit();
+                console.warn(`Refresh token reuse detected for account ${payload.accountId}`);
+                return res.status(401).json({ error: 'Invalid or expired refresh token' });
+            }
+
+            const [accounts] = await connection.execute(`
+                SELECT * FROM accounts WHERE id = ?
+            `, [payload.accountId]);
+
+            if (accounts.length === 0) {
+                await connection.rollback();
+                return res.status(401).json({ error: 'Invalid or expired refresh token' });
+            }
+
+            await connection.execute(`
+                UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?
+            `, [tokens[0].id]);
+
+            const newTokens = await issueTokens(connection, accounts[0]);
+
+            await connection.commit();
+            res.json(newTokens);
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+    } catch (error) {
+        console.error('Error refreshing token:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Revoke a refresh token (log out on this device)
+router.post('/logout', validate(schemas.logout), async (req, res) => {
+    let connection;
+    try {
+        const payload = verifyToken(req.body.refreshToken, 'refresh');
+
+        if (payload) {
+            connection = await getDbConnection();
+            await connection.execute(`
+                UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+                WHERE token_id = ? AND revoked_at IS NULL
+            `, [payload.jti]);
+        }
+
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Current account with its children's profiles
+router.get('/me', requireAuth, requireParent, async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [accounts] = await connection.execute(`
+            SELECT * FROM accounts WHERE id = ?
+        `, [req.auth.accountId]);
+
+        if (accounts.length === 0) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const [children] = await connection.execute(`
+            SELECT * FROM users WHERE account_id = ? ORDER BY created_at
+        `, [req.auth.accountId]);
+
+        res.json({
+            account: toPublicAccount(accounts[0]),
+            children: children.map(toPublicUser)
+        });
+    } catch (error) {
+        console.error('Error fetching account:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
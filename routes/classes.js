@@ -0,0 +1,212 @@
+// routes/classes.js - Teachers' classes: create one, share its join code, follow the roster, set assignments
+//
+// Children join a class through POST /api/groups/join with the class code, and
+// the teacher removes them through DELETE /api/groups/:groupId/members/:userId.
+// Teachers reset a child's category through POST /api/reset-progress.
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireTeacher } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { createGroup, toPublicGroup } = require('../lib/groups');
+const { getTeacherClass, getRoster, getMostMissedQuestions } = require('../lib/classes');
+const {
+    MAX_ASSIGNMENT_QUESTIONS,
+    getAssignment,
+    getClassAssignments,
+    resolveQuestionIds,
+    createAssignment,
+    toPublicAssignment,
+    getCompletionReport
+} = require('../lib/assignments');
+const schemas = require('../validation/classes');
+
+const router = express.Router();
+
+router.use(requireTeacher);
+
+// The teacher's classes with their join codes
+router.get('/', async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [classes] = await connection.execute(`
+            SELECT g.*, (SELECT COUNT(*) FROM learner_group_members m WHERE m.group_id = g.id) as member_count
+            FROM learner_groups g
+            WHERE g.kind = 'class' AND g.owner_account_id = ?
+            ORDER BY g.name
+        `, [req.auth.accountId]);
+
+        res.json({ classes: classes.map(group => toPublicGroup(group, { includeJoinCode: true })) });
+    } catch (error) {
+        console.error('Error fetching classes:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.post('/', validate(schemas.createClass), async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const group = await createGroup(connection, {
+            name: req.body.name,
+            kind: 'class',
+            ownerAccountId: req.auth.accountId
+        });
+
+        console.log(`🏫 Class ${group.id} created by teacher ${req.auth.accountId}`);
+        res.status(201).json({ message: 'Class created', class: toPublicGroup(group, { includeJoinCode: true }) });
+    } catch (error) {
+        console.error('Error creating class:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// The roster: each child's progress per category and badges, and the
+// questions the class most often gets wrong
+router.get('/:classId', validate(schemas.classById), async (req, res) => {
+    let connection;
+    try {
+        const { classId } = req.params;
+
+        connection = await getDbConnection();
+
+        const group = await getTeacherClass(connection, classId, req.auth.accountId);
+        if (!group) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        res.json({
+            class: toPublicGroup(group, { includeJoinCode: true }),
+            students: await getRoster(connection, classId),
+            mostMissedQuestions: await getMostMissedQuestions(connection, classId)
+        });
+    } catch (error) {
+        console.error('Error fetching class roster:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// ASSIGNMENTS
+// ===============================
+
+router.get('/:classId/assignments', validate(schemas.classById), async (req, res) => {
+    let connection;
+    try {
+        const { classId } = req.params;
+
+        connection = await getDbConnection();
+
+        if (!(await getTeacherClass(connection, classId, req.auth.accountId))) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        const assignments = await getClassAssignments(connection, classId);
+
+        res.json({ assignments: assignments.map(toPublicAssignment) });
+    } catch (error) {
+        console.error('Error fetching assignments:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Assign whole categories or hand-picked questions. The question set is fixed
+// now, so questions added to a category later don't change the assignment.
+router.post('/:classId/assignments', validate(schemas.createAssignment), async (req, res) => {
+    let connection;
+    try {
+        const { classId } = req.params;
+        const { title, categoryIds, questionIds, opensAt = new Date(), dueAt } = req.body;
+
+        connection = await getDbConnection();
+
+        if (!(await getTeacherClass(connection, classId, req.auth.accountId))) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        const [found] = categoryIds
+            ? await connection.query('SELECT id FROM categories WHERE id IN (?)', [categoryIds])
+            : await connection.query('SELECT id FROM questions WHERE id IN (?) AND is_active = true', [questionIds]);
+        const foundIds = found.map(row => row.id);
+        const missingIds = (categoryIds || questionIds).filter(requestedId => !foundIds.includes(requestedId));
+        if (missingIds.length > 0) {
+            const what = categoryIds ? 'Categories' : 'Active questions';
+            return res.status(400).json({ error: `${what} not found: ${missingIds.join(', ')}` });
+        }
+
+        const assignedQuestionIds = await resolveQuestionIds(connection, { categoryIds, questionIds });
+        if (assignedQuestionIds.length === 0) {
+            return res.status(400).json({ error: 'Those categories have no active questions' });
+        }
+        if (assignedQuestionIds.length > MAX_ASSIGNMENT_QUESTIONS) {
+            return res.status(400).json({
+                error: `An assignment can have at most ${MAX_ASSIGNMENT_QUESTIONS} questions; those categories have ${assignedQuestionIds.length}`
+            });
+        }
+
+        await connection.beginTransaction();
+
+        let assignment;
+        try {
+            assignment = await createAssignment(connection, {
+                classId,
+                accountId: req.auth.accountId,
+                title,
+                opensAt,
+                dueAt,
+                categoryIds,
+                questionIds: assignedQuestionIds
+            });
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+
+        console.log(`📚 Assignment ${assignment.id} set for class ${classId}: ${assignedQuestionIds.length} questions`);
+        res.status(201).json({ message: 'Assignment created', assignment: toPublicAssignment(assignment) });
+    } catch (error) {
+        console.error('Error creating assignment:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Who is done, partway or not started, with their score and time
+router.get('/:classId/assignments/:assignmentId/report', validate(schemas.assignmentReport), async (req, res) => {
+    let connection;
+    try {
+        const { classId, assignmentId } = req.params;
+
+        connection = await getDbConnection();
+
+        if (!(await getTeacherClass(connection, classId, req.auth.accountId))) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        const assignment = await getAssignment(connection, assignmentId);
+        if (!assignment || assignment.class_id !== classId) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        res.json(await getCompletionReport(connection, assignment));
+    } catch (error) {
+        console.error('Error fetching assignment report:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+// routes/daily-challenge.js - Today's challenge: the same questions for every child
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireUserAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { serveQuestion } = require('../lib/serve-question');
+const { getDailyStreak } = require('../lib/streaks');
+const { getChallengeForDate, getDailySession, toPublicChallenge } = require('../lib/daily-challenge');
+const { getSession, completeSession, toPublicSession, pickSessionQuestion } = require('../lib/sessions');
+const schemas = require('../validation/daily-challenge');
+
+const router = express.Router();
+
+// Today's challenge (by the child's own calendar), their session for it and
+// its next question. Answers go to POST /api/answers as usual; the session
+// completes, and pays its bonus, with the last one.
+router.get('/:userId', validate(schemas.getDailyChallenge), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+
+        connection = await getDbConnection();
+
+        const dailyStreak = await getDailyStreak(connection, userId);
+        if (!dailyStreak) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // The first child to ask builds the day's challenge
+        let challenge;
+        let sessionId;
+        await connection.beginTransaction();
+
+        try {
+            challenge = await getChallengeForDate(connection, dailyStreak.today);
+            if (challenge) {
+                sessionId = await getDailySession(connection, userId, challenge);
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+
+        if (!challenge) {
+            return res.status(404).json({ error: 'No daily challenge available' });
+        }
+
+        let session = await getSession(connection, sessionId);
+        const question = session.status === 'active' && session.answered < session.question_count
+            ? await pickSessionQuestion(connection, session)
+            : null;
+
+        // Questions deactivated since the challenge was set can't be played
+        if (session.status === 'active' && !question) {
+            await connection.beginTransaction();
+
+            try {
+                // Paying the bonus waits for the child's answers, as they lock the row too
+                await connection.execute(`
+                    SELECT id FROM users WHERE id = ? FOR UPDATE
+                `, [userId]);
+
+                await completeSession(connection, session.id);
+                await connection.commit();
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            }
+
+            session = await getSession(connection, session.id);
+        }
+
+        const served = question
+            ? await serveQuestion(connection, userId, question, { sessionId: session.id, acceptedLocale: req.acceptedLocale })
+            : { question: null };
+
+        res.json({
+            challenge: toPublicChallenge(challenge),
+            session: toPublicSession(session),
+            dailyStreak,
+            ...served
+        });
+    } catch (error) {
+        console.error('Error fetching daily challenge:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+// routes/devices.js - Shared devices, profile switching and picture-password login
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { signDeviceToken, signProfileToken } = require('../lib/tokens');
+const { requireAuth, requireParent, requireDevice } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/devices');
+const {
+    PICTURE_GRID,
+    PIN_LENGTH,
+    MAX_FAILED_ATTEMPTS,
+    LOCKOUT_MINUTES,
+    comparePicturePin
+} = require('../lib/picture-pin');
+
+const router = express.Router();
+
+// What a child sees on the "who's playing?" screen
+function toProfileCard(user) {
+    const lockedUntil = user.pin_locked_until && new Date(user.pin_locked_until) > new Date()
+        ? user.pin_locked_until
+        : null;
+
+    return {
+        id: user.id,
+        handle: user.handle,
+        name: user.name,
+        avatar: user.avatar,
+        hasPicturePin: Boolean(user.picture_pin_hash),
+        lockedUntil
+    };
+}
+
+// Pictures to show in the picture-password grid
+router.get('/picture-grid', (req, res) => {
+    res.json({ pictures: PICTURE_GRID, pinLength: PIN_LENGTH });
+});
+
+// ===============================
+// DEVICE ROUTES (device token)
+// ===============================
+
+// List the children's profiles available on this device
+router.get('/profiles', requireDevice, async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [users] = await connection.execute(`
+            SELECT u.* FROM users u
+            JOIN device_profiles dp ON dp.user_id = u.id
+            WHERE dp.device_id = ? AND u.account_id = ?
+            ORDER BY dp.added_at
+        `, [req.device.id, req.device.account_id]);
+
+        res.json({ profiles: users.map(toProfileCard) });
+    } catch (error) {
+        console.error('Error fetching device profiles:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Switch to a profile by entering its picture password
+router.post('/profiles/:handle/login', requireDevice, validate(schemas.profileLogin), async (req, res) => {
+    let connection;
+    try {
+        const { picturePin } = req.body;
+        const { handle } = req.params;
+
+        connection = await getDbConnection();
+        await connection.beginTransaction();
+
+        try {
+            // Lock the row so parallel guesses can't skip the failure counter
+            const [users] = await connection.execute(`
+                SELECT u.* FROM users u
+                JOIN device_profiles dp ON dp.user_id = u.id
+                WHERE u.handle = ? AND dp.device_id = ? AND u.account_id = ?
+                FOR UPDATE
+            `, [handle, req.device.id, req.device.account_id]);
+
+            if (users.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({ error: 'Profile not found on this device' });
+            }
+
+            const user = users[0];
+
+            if (!user.picture_pin_hash) {
+                await connection.rollback();
+                return res.status(409).json({ error: 'Ask a grown-up to set up your picture password' });
+            }
+
+            if (user.pin_locked_until && new Date(user.pin_locked_until) > new Date()) {
+                await connection.rollback();
+                const retryAfter = Math.ceil((new Date(user.pin_locked_until) - new Date()) / 1000);
+                return res.status(423).json({
+                    error: 'Too many tries. Please wait a little and try again.',
+                    retryAfter
+                });
+            }
+
+            const matches = await comparePicturePin(picturePin, user.picture_pin_hash);
+
+            if (!matches) {
+                const failedAttempts = user.pin_failed_attempts + 1;
+
+                if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+                    await connection.execute(`
+                        UPDATE users
+                        SET pin_failed_attempts = 0,
+                            pin_locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+                        WHERE id = ?
+                    `, [LOCKOUT_MINUTES, user.id]);
+                    await connection.commit();
+                    return res.status(423).json({
+                        error: 'Too many tries. Please wait a little and try again.',
+                        retryAfter: LOCKOUT_MINUTES * 60
+                    });
+                }
+
+                await connection.execute(`
+                    UPDATE users SET pin_failed_attempts = ? WHERE id = ?
+                `, [failedAttempts, user.id]);
+                await connection.commit();
+                return res.status(401).json({
+                    error: 'That picture password is not right',
+                    attemptsRemaining: MAX_FAILED_ATTEMPTS - failedAttempts
+                });
+            }
+
+            await connection.execute(`
+                UPDATE users
+                SET pin_failed_attempts = 0, pin_locked_until = NULL, last_active = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [user.id]);
+            await connection.commit();
+
+            res.json({
+                message: `Welcome back, ${user.name}!`,
+                user: toProfileCard(user),
+                profileToken: signProfileToken(user, req.device.id)
+            });
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+    } catch (error) {
+        console.error('Error logging in to profile:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ===============================
+// PARENT ROUTES (access token)
+// ===============================
+
+// Register this device and get a device token
+router.post('/', requireAuth, requireParent, validate(schemas.registerDevice), async (req, res) => {
+    let connection;
+    try {
+        const { name } = req.body;
+
+        connection = await getDbConnection();
+
+        const [result] = await connection.execute(`
+            INSERT INTO devices (account_id, name) VALUES (?, ?)
+        `, [req.auth.accountId, name]);
+
+        const [devices] = await connection.execute(`
+            SELECT * FROM devices WHERE id = ?
+        `, [result.insertId]);
+
+        res.status(201).json({
+            message: 'Device registered successfully',
+            device: devices[0],
+            deviceToken: signDeviceToken(devices[0])
+        });
+    } catch (error) {
+        console.error('Error registering device:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// List the account's devices
+router.get('/', requireAuth, requireParent, async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [devices] = await connection.execute(`
+            SELECT d.*, COUNT(dp.user_id) as profile_count
+            FROM devices d
+            LEFT JOIN device_profiles dp ON dp.device_id = d.id
+            WHERE d.account_id = ? AND d.revoked_at IS NULL
+            GROUP BY d.id
+            ORDER BY d.created_at
+        `, [req.auth.accountId]);
+
+        res.json({ devices });
+    } catch (error) {
+        console.error('Error fetching devices:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Unregister a device; its device token stops working immediately
+router.delete('/:deviceId', requireAuth, requireParent, validate(schemas.deviceParams), async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [result] = await connection.execute(`
+            UPDATE devices SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND account_id = ? AND revoked_at IS NULL
+        `, [req.params.deviceId, req.auth.accountId]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        res.json({ message: 'Device removed' });
+    } catch (error) {
+        console.error('Error removing device:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Make a child's profile available on a device
+router.post('/:deviceId/profiles', requireAuth, requireParent, validate(schemas.addProfile), async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.body;
+
+        connection = await getDbConnection();
+
+        const [devices] = await connection.execute(`
+            SELECT id FROM devices WHERE id = ? AND account_id = ? AND revoked_at IS NULL
+        `, [req.params.deviceId, req.auth.accountId]);
+
+        if (devices.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const [users] = await connection.execute(`
+            SELECT * FROM users WHERE id = ? AND account_id = ?
+        `, [userId, req.auth.accountId]);
+
+        if (users.length === 0) {
+            return res.status(403).json({ error: 'You do not have access to this profile' });
+        }
+
+        await connection.execute(`
+            INSERT IGNORE INTO device_profiles (device_id, user_id) VALUES (?, ?)
+        `, [req.params.deviceId, userId]);
+
+        res.status(201).json({
+            message: 'Profile added to device',
+            profile: toProfileCard(users[0])
+        });
+    } catch (error) {
+        console.error('Error adding profile to device:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Remove a child's profile from a device
+router.delete('/:deviceId/profiles/:userId', requireAuth, requireParent, validate(schemas.removeProfile), async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [result] = await connection.execute(`
+            DELETE dp FROM device_profiles dp
+            JOIN devices d ON d.id = dp.device_id
+            WHERE dp.device_id = ? AND dp.user_id = ? AND d.account_id = ?
+        `, [req.params.deviceId, req.params.userId, req.auth.accountId]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Profile not found on this device' });
+        }
+
+        res.json({ message: 'Profile removed from device' });
+    } catch (error) {
+        console.error('Error removing profile from device:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+// routes/groups.js - Learner groups that children join with a code to share leaderboards
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireParent, requireUserAccess, hasUserAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+    getGroup,
+    createGroup,
+    findGroupByJoinCode,
+    addMember,
+    removeMember,
+    toPublicGroup
+} = require('../lib/groups');
+const schemas = require('../validation/groups');
+
+const router = express.Router();
+
+// Groups the parent's account created, with their join codes
+router.get('/', requireParent, async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const [groups] = await connection.execute(`
+            SELECT g.*, (SELECT COUNT(*) FROM learner_group_members m WHERE m.group_id = g.id) as member_count
+            FROM learner_groups g
+            WHERE g.owner_account_id = ?
+            ORDER BY g.created_at
+        `, [req.auth.accountId]);
+
+        res.json({ groups: groups.map(group => toPublicGroup(group, { includeJoinCode: true })) });
+    } catch (error) {
+        console.error('Error fetching groups:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Start a family group (cousins, friends…); share the join code with the other parents
+router.post('/', requireParent, validate(schemas.createGroup), async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const group = await createGroup(connection, {
+            name: req.body.name,
+            kind: 'family',
+            ownerAccountId: req.auth.accountId
+        });
+
+        console.log(`👪 Group ${group.id} created by account ${req.auth.accountId}`);
+        res.status(201).json({ message: 'Group created', group: toPublicGroup(group, { includeJoinCode: true }) });
+    } catch (error) {
+        console.error('Error creating group:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Join a group with its code, as the child or their parent
+router.post('/join', validate(schemas.joinGroup), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId, joinCode } = req.body;
+
+        connection = await getDbConnection();
+
+        let group = await findGroupByJoinCode(connection, joinCode);
+        if (!group) {
+            return res.status(404).json({ error: 'No group has that join code' });
+        }
+
+        const joined = await addMember(connection, group.id, userId);
+        group = await getGroup(connection, group.id);
+
+        res.json({
+            message: joined ? `Welcome to ${group.name}!` : 'Already a member of this group',
+            group: toPublicGroup(group)
+        });
+    } catch (error) {
+        console.error('Error joining group:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Leave a group; the group's owner may also remove a child
+router.delete('/:groupId/members/:userId', validate(schemas.groupMember), async (req, res) => {
+    let connection;
+    try {
+        const { groupId, userId } = req.params;
+
+        connection = await getDbConnection();
+
+        const group = await getGroup(connection, groupId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isOwner = !req.auth.userId && group.owner_account_id === req.auth.accountId;
+        if (!isOwner && !(await hasUserAccess(req, userId))) {
+            return res.status(403).json({ error: 'You do not have access to this profile' });
+        }
+
+        if (!(await removeMember(connection, groupId, userId))) {
+            return res.status(404).json({ error: 'Not a member of this group' });
+        }
+
+        res.json({ message: 'Left the group' });
+    } catch (error) {
+        console.error('Error leaving group:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// routes/leaderboards.js - Rankings within a child's household or one of their groups
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireUserAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { localDate } = require('../lib/streaks');
+const { periodStart, rankMembers } = require('../lib/leaderboards');
+const { getUserGroups, toPublicGroup } = require('../lib/groups');
+const schemas = require('../validation/leaderboards');
+
+const router = express.Router();
+
+// The leaderboard for a period, with the groups the child can switch to.
+// There is no global board: a child only ever sees members of their own groups.
+router.get('/:userId', validate(schemas.getLeaderboard), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+        const { period, groupId } = req.query;
+
+        connection = await getDbConnection();
+
+        const [users] = await connection.execute(`
+            SELECT id, account_id, timezone, leaderboard_opt_out FROM users WHERE id = ?
+        `, [userId]);
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = users[0];
+        const groups = await getUserGroups(connection, userId);
+
+        // Children kept off leaderboards don't see them either
+        if (user.leaderboard_opt_out) {
+            return res.json({ optedOut: true, period, entries: [], groups: [] });
+        }
+
+        let scope;
+        let members;
+        if (groupId) {
+            const group = groups.find(candidate => candidate.id === groupId);
+            if (!group) {
+                return res.status(404).json({ error: 'Group not found' });
+            }
+            scope = { type: 'group', groupId: group.id, name: group.name };
+            members = {
+                memberSql: 'SELECT user_id FROM learner_group_members WHERE group_id = ?',
+                memberParams: [group.id]
+            };
+        } else {
+            scope = { type: 'household', groupId: null, name: null };
+            members = {
+                memberSql: 'SELECT id FROM users WHERE account_id = ? OR id = ?',
+                memberParams: [user.account_id, user.id]
+            };
+        }
+
+        const date = localDate(user.timezone);
+        const entries = await rankMembers(connection, { ...members, period, date, viewerId: userId });
+
+        res.json({
+            optedOut: false,
+            period,
+            periodStart: period === 'all' ? null : periodStart(period, date),
+            scope,
+            entries,
+            groups: groups.map(group => toPublicGroup(group))
+        });
+    } catch (error) {
+        console.error('Error fetching leaderboard:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
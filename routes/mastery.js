@@ -0,0 +1,33 @@
+// routes/mastery.js - How well a child knows each cybersecurity concept
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireUserAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getConceptMastery } = require('../lib/concepts');
+const schemas = require('../validation/mastery');
+
+const router = express.Router();
+
+// Every concept with the child's mastery estimate (0–1), weakest first
+router.get('/:userId', validate(schemas.getMastery), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+
+        connection = await getDbConnection();
+
+        const concepts = await getConceptMastery(connection, userId);
+
+        res.json({
+            concepts,
+            masteredCount: concepts.filter(concept => concept.status === 'mastered').length
+        });
+    } catch (error) {
+        console.error('Error fetching concept mastery:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
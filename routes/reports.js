@@ -0,0 +1,60 @@
+// routes/reports.js - Progress reports for parents as JSON, CSV or a printable page
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireUserAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { MAX_REPORT_DAYS, reportRange, buildReport } = require('../lib/reports');
+const { reportToCsv, reportToHtml } = require('../lib/report-export');
+const schemas = require('../validation/reports');
+
+const router = express.Router();
+
+// GET /api/reports/:userId?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|html
+// Without dates the report covers the last week, in the child's timezone.
+router.get('/:userId', validate(schemas.getReport), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+        const { format } = req.query;
+
+        connection = await getDbConnection();
+
+        const [users] = await connection.execute(`
+            SELECT id, name, handle, avatar, timezone FROM users WHERE id = ?
+        `, [userId]);
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = users[0];
+        const range = reportRange(user.timezone, req.query);
+
+        if (range.days < 1) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+        if (range.days > MAX_REPORT_DAYS) {
+            return res.status(400).json({ error: `A report can cover at most ${MAX_REPORT_DAYS} days` });
+        }
+
+        const report = await buildReport(connection, user, range);
+        const filename = `progress-${user.handle || user.id}-${range.from}-to-${range.to}`;
+
+        if (format === 'csv') {
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.type('text/csv').send(reportToCsv(report));
+        }
+        if (format === 'html') {
+            return res.type('html').send(reportToHtml(report));
+        }
+
+        res.json({ report });
+    } catch (error) {
+        console.error('Error building report:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
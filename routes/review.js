@@ -0,0 +1,86 @@
+// routes/review.js - Spaced-repetition review of questions answered wrongly or weakly
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireUserAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { serveQuestion } = require('../lib/serve-question');
+const { getDueToday, getNextReviewQuestion } = require('../lib/review-scheduler');
+const schemas = require('../validation/review');
+
+const router = express.Router();
+
+// What is due for review today, grouped by category
+router.get('/:userId', validate(schemas.dueToday), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+
+        connection = await getDbConnection();
+
+        const { items, nextDueAt } = await getDueToday(connection, userId);
+
+        const byCategory = new Map();
+        for (const item of items) {
+            if (!byCategory.has(item.category_id)) {
+                byCategory.set(item.category_id, {
+                    categoryId: item.category_id,
+                    name: item.category_name,
+                    icon: item.category_icon,
+                    dueCount: 0
+                });
+            }
+            byCategory.get(item.category_id).dueCount++;
+        }
+
+        res.json({
+            dueCount: items.length,
+            categories: [...byCategory.values()],
+            items: items.map(item => ({
+                questionId: item.question_id,
+                categoryId: item.category_id,
+                questionText: item.question_text,
+                box: item.box,
+                lapses: item.lapses,
+                dueAt: item.due_at,
+                lastReviewedAt: item.last_reviewed_at
+            })),
+            nextDueAt
+        });
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// The next question due for review, from any category or just one
+router.get('/:userId/next', validate(schemas.nextReview), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+        const { categoryId } = req.query;
+
+        connection = await getDbConnection();
+
+        const reviewQuestion = await getNextReviewQuestion(connection, userId, categoryId);
+
+        if (!reviewQuestion) {
+            return res.json({
+                message: 'All caught up! Nothing to review today.',
+                question: null
+            });
+        }
+
+        res.json(await serveQuestion(connection, userId, { ...reviewQuestion, is_review: true }, {
+            acceptedLocale: req.acceptedLocale
+        }));
+    } catch (error) {
+        console.error('Error fetching review question:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// routes/sessions.js - Quiz rounds with a fixed number of questions and an end-of-round summary
+const express = require('express');
+const { getDbConnection } = require('../db');
+const { requireUserAccess, hasUserAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { serveQuestion } = require('../lib/serve-question');
+const {
+    startSession,
+    getSession,
+    completeSession,
+    toPublicSession,
+    pickSessionQuestion,
+    getSessionSummary
+} = require('../lib/sessions');
+const schemas = require('../validation/sessions');
+
+const router = express.Router();
+
+// Load the session in the URL into req.quizSession, if the caller may see that child
+async function loadSession(req, res, next) {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        const session = await getSession(connection, req.params.sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (!(await hasUserAccess(req, session.user_id))) {
+            return res.status(403).json({ error: 'You do not have access to this profile' });
+        }
+
+        req.quizSession = session;
+        next();
+    } catch (error) {
+        console.error('Error loading session:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+// Start a round
+router.post('/', validate(schemas.createSession), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId, categoryId = null, mode, questionCount } = req.body;
+
+        connection = await getDbConnection();
+
+        if (categoryId) {
+            const [categories] = await connection.execute(`
+                SELECT id FROM categories WHERE id = ?
+            `, [categoryId]);
+
+            if (categories.length === 0) {
+                return res.status(400).json({ error: 'Category not found' });
+            }
+        }
+
+        const session = await startSession(connection, { userId, categoryId, mode, questionCount });
+
+        console.log(`🎮 Session ${session.id} started for user ${userId}: ${questionCount} ${mode} questions`);
+        res.status(201).json({ session: toPublicSession(session) });
+    } catch (error) {
+        console.error('Error starting session:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// The next question of the round. When the round is over (all questions
+// answered, or none left for its mode) the session is completed instead.
+router.get('/:sessionId/next', validate(schemas.sessionById), loadSession, async (req, res) => {
+    let connection;
+    try {
+        let session = req.quizSession;
+
+        if (session.status !== 'active') {
+            return res.status(409).json({ error: 'This session has already ended', session: toPublicSession(session) });
+        }
+
+        connection = await getDbConnection();
+
+        const question = session.answered < session.question_count
+            ? await pickSessionQuestion(connection, session)
+            : null;
+
+        if (!question) {
+            await connection.beginTransaction();
+
+            try {
+                // Paying a bonus waits for the child's answers, as they lock the row too
+                await connection.execute(`
+                    SELECT id FROM users WHERE id = ? FOR UPDATE
+                `, [session.user_id]);
+
+                await completeSession(connection, session.id);
+                await connection.commit();
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            }
+
+            session = await getSession(connection, session.id);
+            return res.json({
+                message: session.answered < session.question_count ? 'No more questions available' : 'Round complete',
+                question: null,
+                session: toPublicSession(session)
+            });
+        }
+
+        const served = await serveQuestion(connection, session.user_id, question, {
+            sessionId: session.id,
+            acceptedLocale: req.acceptedLocale
+        });
+
+        res.json({ ...served, session: toPublicSession(session) });
+    } catch (error) {
+        console.error('Error fetching session question:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Score, time, points, streak and badges of the round
+router.get('/:sessionId/summary', validate(schemas.sessionById), loadSession, async (req, res) => {
+    let connection;
+    try {
+        connection = await getDbConnection();
+
+        res.json(await getSessionSummary(connection, req.quizSession));
+    } catch (error) {
+        console.error('Error fetching session summary:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
@@ -1,11 +1,46 @@
 // Fixed server.js with proper database connection handling
 const express = require('express');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const { getDbConnection, testDatabaseConnection } = require('./db');
+const { getStatus: getMigrationStatus } = require('./lib/migrator');
+const { requireAuth, requireParent, requireUserAccess, requireUserOrTeacherAccess } = require('./middleware/auth');
+const { toPublicUser } = require('./lib/users');
+const { validate } = require('./middleware/validate');
+const { hashPicturePin, generateHandle } = require('./lib/picture-pin');
+const { getAdaptiveQuestion } = require('./lib/adaptive');
+const { serveQuestion } = require('./lib/serve-question');
+const { revealNextHint } = require('./lib/hints');
+const { hasOpenTicket } = require('./lib/question-tickets');
+const { ratingToLevel, INITIAL_RATING } = require('./lib/skill-rating');
+const { recordAnswer } = require('./lib/answers');
+const { recomputeUser } = require('./lib/recompute');
+const { recordPoints, getPointsHistory } = require('./lib/points');
+const { DEFAULT_LOCALE, userLocale } = require('./lib/locales');
+const { translateRow, translateRows } = require('./lib/translations');
+const { CATEGORY_SUITS_BAND_SQL, getUserAgeBand } = require('./lib/age-bands');
+const { detectLocale } = require('./middleware/locale');
+const { getDailyStreak, buyStreakFreeze } = require('./lib/streaks');
+const { generateNickname } = require('./lib/leaderboards');
+const { pickAssignmentQuestion } = require('./lib/assignments');
+const { isValidKey, hashRequest, findStoredResponse, storeResponse } = require('./lib/idempotency');
+const schemas = require('./validation/quiz');
+const authRoutes = require('./routes/auth');
+const deviceRoutes = require('./routes/devices');
+const adminRoutes = require('./routes/admin');
+const reviewRoutes = require('./routes/review');
+const sessionRoutes = require('./routes/sessions');
+const dailyChallengeRoutes = require('./routes/daily-challenge');
+const groupRoutes = require('./routes/groups');
+const leaderboardRoutes = require('./routes/leaderboards');
+const classRoutes = require('./routes/classes');
+const assignmentRoutes = require('./routes/assignments');
+const reportRoutes = require('./routes/reports');
+const masteryRoutes = require('./routes/mastery');
+
 // NEW CODE:
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,7 +55,8 @@ app.use(cors({
         ? process.env.FRONTEND_URL 
         : true, // Allow all origins in development
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed'],
     credentials: false
 }));
 app.use(express.json({ limit: '10mb' }));
@@ -34,282 +70,381 @@ const limiter = rateLimit({
 });
 app.use(limiter);;
 
-// Database connection pool configuration
-const dbConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'railway',
-    port: process.env.DB_PORT || 3306,
-    charset: 'utf8mb4',
-    connectionLimit: 10,
-    acquireTimeout: 60000,
-    timeout: 60000,
-    reconnect: true
-};
-
-// Create connection pool
-const pool = mysql.createPool(dbConfig);
-
-// Test database connection function
-async function testDatabaseConnection() {
+// Stricter limit for login/registration to slow down password guessing
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    trustProxy: true
+});
+
+// ===============================
+// API ROUTES
+// ===============================
+
+// Health check
+app.get('/health', async (req, res) => {
     try {
-        const connection = await pool.getConnection();
+        // Test database connection
+        const connection = await getDbConnection();
         await connection.execute('SELECT 1');
         connection.release();
-        console.log('✅ Database connection pool established');
-        return true;
+        
+        res.json({ 
+            status: 'OK', 
+            timestamp: new Date().toISOString(),
+            database: 'connected'
+        });
     } catch (error) {
-        console.error('⚠️ Database connection failed:', error.message);
-        console.log('🔄 Server will start but database operations may fail');
-        return false;
+        res.json({ 
+            status: 'OK', 
+            timestamp: new Date().toISOString(),
+            database: 'disconnected',
+            warning: 'Database connection failed but server is running'
+        });
     }
-}
+});
+
+// Parent/guardian accounts
+app.use('/api/auth', authLimiter, authRoutes);
+
+// Shared devices and picture-password profile switching
+app.use('/api/devices', deviceRoutes);
+
+// Content administration, guarded by API_KEY instead of a user login
+app.use('/api/admin', adminRoutes);
+
+// Everything else under /api needs a signed-in account
+app.use('/api', requireAuth);
 
-// Helper function to get database connection
-async function getDbConnection() {
+// Content comes in the child's locale, or else the one Accept-Language asks for
+app.use('/api', detectLocale);
+
+// List the children's profiles of the signed-in account
+app.get('/api/users', requireParent, async (req, res) => {
+    let connection;
     try {
-        return await pool.getConnection();
+        connection = await getDbConnection();
+
+        const [users] = await connection.execute(`
+            SELECT * FROM users WHERE account_id = ? ORDER BY created_at
+        `, [req.auth.accountId]);
+
+        res.json({ users: users.map(toPublicUser) });
     } catch (error) {
-        console.error('Database connection error:', error);
-        throw new Error('Database connection failed');
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
     }
-}
-
-// ===============================
-// UTILITY FUNCTIONS
-// ===============================
+});
 
-// Adaptive Learning Algorithm
-async function getAdaptiveQuestion(userId, categoryId) {
-    const connection = await getDbConnection();
+// Create a child's profile, or get it back by its handle
+app.post('/api/users', requireParent, validate(schemas.createUser), async (req, res) => {
+    let connection;
     try {
-        // Get user's performance by question type
-        const [performance] = await connection.execute(`
-            SELECT qt.id, qt.type_name, 
-                   COALESCE(utqp.success_rate, 0) as success_rate,
-                   COALESCE(utqp.total_attempts, 0) as total_attempts
-            FROM question_types qt
-            LEFT JOIN user_question_type_performance utqp 
-                ON qt.id = utqp.question_type_id AND utqp.user_id = ?
-            ORDER BY utqp.success_rate ASC, utqp.total_attempts ASC
-        `, [userId]);
+        const { name, avatar, picturePin, timezone = 'UTC', locale = null, ageBand = null, schoolGrade = null, deviceId } = req.body;
+        let { handle } = req.body;
 
-        // Find the question type the user struggles with most
-        let targetQuestionTypeId = performance[0]?.id || 1;
-        
-        // If user has low success rate (< 60%) on any type, prioritize easier formats
-        const strugglingType = performance.find(p => p.success_rate < 60 && p.total_attempts >= 3);
-        if (strugglingType) {
-            // Switch to visual or easier question types
-            const [easierTypes] = await connection.execute(`
-                SELECT id FROM question_types 
-                WHERE difficulty_level = 'easy' AND type_name IN ('visual_choice', 'true_false')
-                ORDER BY RAND() LIMIT 1
-            `);
-            if (easierTypes.length > 0) {
-                targetQuestionTypeId = easierTypes[0].id;
+        connection = await getDbConnection();
+
+        // Handles are unique across all accounts, names are not
+        if (handle) {
+            const [existingUsers] = await connection.execute(`
+                SELECT * FROM users WHERE handle = ?
+            `, [handle]);
+
+            if (existingUsers.length > 0) {
+                if (existingUsers[0].account_id !== req.auth.accountId) {
+                    return res.status(409).json({ error: 'That handle is already taken' });
+                }
+
+                // Update last_active
+                await connection.execute(`
+                    UPDATE users SET last_active = CURRENT_TIMESTAMP WHERE id = ?
+                `, [existingUsers[0].id]);
+                
+                return res.json({ 
+                    message: 'Welcome back!', 
+                    user: toPublicUser(existingUsers[0]) 
+                });
             }
+        } else {
+            handle = await generateHandle(connection, name);
         }
 
-        // Get a question the user hasn't answered yet
-        const [questions] = await connection.execute(`
-            SELECT q.*, qt.type_name 
-            FROM questions q
-            JOIN question_types qt ON q.question_type_id = qt.id
-            WHERE q.category_id = ? 
-            AND q.question_type_id = ?
-            AND q.is_active = true
-            AND q.id NOT IN (
-                SELECT question_id FROM question_attempts WHERE user_id = ?
-            )
-            ORDER BY RAND() 
-            LIMIT 1
-        `, [categoryId, targetQuestionTypeId, userId]);
+        if (deviceId) {
+            const [devices] = await connection.execute(`
+                SELECT id FROM devices WHERE id = ? AND account_id = ? AND revoked_at IS NULL
+            `, [deviceId, req.auth.accountId]);
 
-        if (questions.length === 0) {
-            // If no new questions of preferred type, get any unanswered question
-            const [fallbackQuestions] = await connection.execute(`
-                SELECT q.*, qt.type_name 
-                FROM questions q
-                JOIN question_types qt ON q.question_type_id = qt.id
-                WHERE q.category_id = ? 
-                AND q.is_active = true
-                AND q.id NOT IN (
-                    SELECT question_id FROM question_attempts WHERE user_id = ?
-                )
-                ORDER BY RAND() 
-                LIMIT 1
-            `, [categoryId, userId]);
-            
-            return fallbackQuestions[0] || null;
+            if (devices.length === 0) {
+                return res.status(404).json({ error: 'Device not found' });
+            }
+        }
+
+        const pinHash = picturePin ? await hashPicturePin(picturePin) : null;
+
+        // Create new user
+        const [result] = await connection.execute(`
+            INSERT INTO users (name, account_id, handle, nickname, avatar, timezone, locale, age_band, school_grade, picture_pin_hash)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [name, req.auth.accountId, handle, generateNickname(), avatar || null, timezone, locale, ageBand, schoolGrade, pinHash]);
+
+        if (deviceId) {
+            await connection.execute(`
+                INSERT IGNORE INTO device_profiles (device_id, user_id) VALUES (?, ?)
+            `, [deviceId, result.insertId]);
         }
 
-        return questions[0];
+        const [newUser] = await connection.execute(`
+            SELECT * FROM users WHERE id = ?
+        `, [result.insertId]);
+
+        res.status(201).json({ 
+            message: 'User created successfully', 
+            user: toPublicUser(newUser[0]) 
+        });
     } catch (error) {
-        console.error('Error in adaptive question selection:', error);
-        throw error;
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'That handle is already taken' });
+        }
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Internal server error' });
     } finally {
-        connection.release();
+        if (connection) connection.release();
     }
-}
+});
 
-// Badge checking function
-async function checkAndAwardBadges(userId) {
-    const connection = await getDbConnection();
+// Set or change a child's picture password; also lifts any lockout
+app.put('/api/users/:userId/picture-pin', requireParent, validate(schemas.setPicturePin), requireUserAccess, async (req, res) => {
+    let connection;
     try {
-        const newBadges = [];
-        
-        // Get user stats
-        const [userStats] = await connection.execute(`
-            SELECT total_points, current_streak 
-            FROM users WHERE id = ?
-        `, [userId]);
-        
-        if (userStats.length === 0) return [];
-        
-        const { total_points, current_streak } = userStats[0];
-
-        // Check all badges
-        const [badges] = await connection.execute(`
-            SELECT * FROM badges 
-            WHERE id NOT IN (
-                SELECT badge_id FROM user_badges WHERE user_id = ?
-            )
-        `, [userId]);
+        const { userId } = req.params;
+        const { picturePin } = req.body;
 
-        for (const badge of badges) {
-            let shouldAward = false;
+        const pinHash = await hashPicturePin(picturePin);
 
-            switch (badge.requirement_type) {
-                case 'points':
-                    shouldAward = total_points >= badge.requirement_value;
-                    break;
-                
-                case 'streak':
-                    shouldAward = current_streak >= badge.requirement_value;
-                    break;
-                
-                case 'questions_answered':
-                    const [questionCount] = await connection.execute(`
-                        SELECT COUNT(*) as count FROM question_attempts WHERE user_id = ?
-                    `, [userId]);
-                    shouldAward = questionCount[0].count >= badge.requirement_value;
-                    break;
-                
-                case 'category_complete':
-                    if (badge.category_id) {
-                        const [progress] = await connection.execute(`
-                            SELECT is_completed FROM user_progress 
-                            WHERE user_id = ? AND category_id = ?
-                        `, [userId, badge.category_id]);
-                        shouldAward = progress.length > 0 && progress[0].is_completed;
-                    }
-                    break;
-            }
+        connection = await getDbConnection();
 
-            if (shouldAward) {
-                await connection.execute(`
-                    INSERT INTO user_badges (user_id, badge_id) VALUES (?, ?)
-                `, [userId, badge.id]);
-                newBadges.push(badge);
-            }
-        }
+        await connection.execute(`
+            UPDATE users
+            SET picture_pin_hash = ?, pin_failed_attempts = 0, pin_locked_until = NULL
+            WHERE id = ?
+        `, [pinHash, userId]);
 
-        return newBadges;
+        res.json({ message: 'Picture password saved' });
     } catch (error) {
-        console.error('Error checking badges:', error);
-        return [];
+        console.error('Error setting picture password:', error);
+        res.status(500).json({ error: 'Internal server error' });
     } finally {
-        connection.release();
+        if (connection) connection.release();
     }
-}
+});
 
-// ===============================
-// API ROUTES
-// ===============================
+// Set the timezone a child's days (and so their daily streak) are counted in.
+// The app sends the device's zone, so the child may do this too.
+app.put('/api/users/:userId/timezone', validate(schemas.setTimezone), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+        const { timezone } = req.body;
 
-// Health check
-app.get('/health', async (req, res) => {
+        connection = await getDbConnection();
+
+        await connection.execute(`
+            UPDATE users SET timezone = ? WHERE id = ?
+        `, [timezone, userId]);
+
+        res.json({ message: 'Timezone saved', dailyStreak: await getDailyStreak(connection, userId) });
+    } catch (error) {
+        console.error('Error setting timezone:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// The language a child's questions, categories and badges are shown in
+app.put('/api/users/:userId/locale', requireParent, validate(schemas.setLocale), requireUserAccess, async (req, res) => {
+    let connection;
     try {
-        // Test database connection
-        const connection = await getDbConnection();
-        await connection.execute('SELECT 1');
-        connection.release();
-        
-        res.json({ 
-            status: 'OK', 
-            timestamp: new Date().toISOString(),
-            database: 'connected'
-        });
+        const { userId } = req.params;
+        const { locale } = req.body;
+
+        connection = await getDbConnection();
+
+        await connection.execute(`
+            UPDATE users SET locale = ? WHERE id = ?
+        `, [locale, userId]);
+
+        res.json({ message: 'Language saved', locale: await userLocale(connection, userId, req.acceptedLocale) });
     } catch (error) {
-        res.json({ 
-            status: 'OK', 
-            timestamp: new Date().toISOString(),
-            database: 'disconnected',
-            warning: 'Database connection failed but server is running'
-        });
+        console.error('Error setting locale:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
-// Create or get user
-app.post('/api/users', async (req, res) => {
+// The age band (or school grade) that decides which questions and categories
+// a child is given
+app.put('/api/users/:userId/age-band', requireParent, validate(schemas.setAgeBand), requireUserAccess, async (req, res) => {
     let connection;
     try {
-        const { name } = req.body;
-        
-        if (!name || name.trim().length === 0) {
-            return res.status(400).json({ error: 'Name is required' });
-        }
+        const { userId } = req.params;
+        const { ageBand = null, schoolGrade = null } = req.body;
 
         connection = await getDbConnection();
 
-        // Check if user exists
-        const [existingUsers] = await connection.execute(`
-            SELECT * FROM users WHERE name = ?
-        `, [name.trim()]);
+        await connection.execute(`
+            UPDATE users SET age_band = ?, school_grade = ? WHERE id = ?
+        `, [ageBand, schoolGrade, userId]);
+
+        res.json({ message: 'Age band saved', ageBand: await getUserAgeBand(connection, userId) });
+    } catch (error) {
+        console.error('Error setting age band:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Keep a child off leaderboards, or give them a new nickname there
+app.put('/api/users/:userId/leaderboard', requireParent, validate(schemas.setLeaderboardSettings), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+        const { optOut, newNickname } = req.body;
+
+        connection = await getDbConnection();
 
-        if (existingUsers.length > 0) {
-            // Update last_active
+        if (optOut !== undefined) {
             await connection.execute(`
-                UPDATE users SET last_active = CURRENT_TIMESTAMP WHERE id = ?
-            `, [existingUsers[0].id]);
-            
-            return res.json({ 
-                message: 'Welcome back!', 
-                user: existingUsers[0] 
-            });
+                UPDATE users SET leaderboard_opt_out = ? WHERE id = ?
+            `, [optOut, userId]);
+        }
+        if (newNickname) {
+            await connection.execute(`
+                UPDATE users SET nickname = ? WHERE id = ?
+            `, [generateNickname(), userId]);
         }
 
-        // Create new user
-        const [result] = await connection.execute(`
-            INSERT INTO users (name) VALUES (?)
-        `, [name.trim()]);
-
-        const [newUser] = await connection.execute(`
-            SELECT * FROM users WHERE id = ?
-        `, [result.insertId]);
+        const [users] = await connection.execute(`
+            SELECT nickname, leaderboard_opt_out FROM users WHERE id = ?
+        `, [userId]);
 
-        res.status(201).json({ 
-            message: 'User created successfully', 
-            user: newUser[0] 
+        res.json({
+            message: 'Leaderboard settings saved',
+            nickname: users[0].nickname,
+            optedOut: Boolean(users[0].leaderboard_opt_out)
         });
     } catch (error) {
-        console.error('Error creating user:', error);
+        console.error('Error saving leaderboard settings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Every change to a child's points, newest first, with the reason for each
+app.get('/api/users/:userId/points-history', validate(schemas.pointsHistory), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+        const { limit, before } = req.query;
+
+        connection = await getDbConnection();
+
+        const [users] = await connection.execute(`
+            SELECT total_points FROM users WHERE id = ?
+        `, [userId]);
+
+        const history = await getPointsHistory(connection, userId, { limit, before });
+
+        res.json({ totalPoints: users[0].total_points, ...history });
+    } catch (error) {
+        console.error('Error fetching points history:', error);
         res.status(500).json({ error: 'Internal server error' });
     } finally {
         if (connection) connection.release();
     }
 });
 
+// Spend points on a streak freeze
+app.post('/api/users/:userId/streak-freezes', validate(schemas.userParams), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId } = req.params;
+
+        connection = await getDbConnection();
+        await connection.beginTransaction();
+
+        let result;
+        try {
+            // Two taps can't spend the same points twice
+            const [users] = await connection.execute(`
+                SELECT id FROM users WHERE id = ? FOR UPDATE
+            `, [userId]);
+
+            if (users.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            result = await buyStreakFreeze(connection, userId, req.auth.accountId);
+            if (result.error) {
+                await connection.rollback();
+                return res.status(result.status).json({ error: result.error });
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
+
+        res.status(201).json({ message: 'Streak freeze bought', ...result });
+    } catch (error) {
+        console.error('Error buying streak freeze:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Spaced-repetition reviews
+app.use('/api/review', reviewRoutes);
+
+// Quiz rounds
+app.use('/api/sessions', sessionRoutes);
+
+// The same questions for everyone, once a day
+app.use('/api/daily-challenge', dailyChallengeRoutes);
+
+// Groups to compare with, and their leaderboards
+app.use('/api/groups', groupRoutes);
+app.use('/api/leaderboards', leaderboardRoutes);
+
+// Teachers' classes, and the assignments children get from them
+app.use('/api/classes', classRoutes);
+app.use('/api/assignments', assignmentRoutes);
+
+// Progress reports for parents
+app.use('/api/reports', reportRoutes);
+
+// Mastery of each concept, for the app and for parents
+app.use('/api/mastery', masteryRoutes);
+
 // Get all categories with progress
-app.get('/api/categories/:userId', async (req, res) => {
+app.get('/api/categories/:userId', validate(schemas.userParams), requireUserAccess, async (req, res) => {
     let connection;
     try {
         const { userId } = req.params;
         
         connection = await getDbConnection();
-        
+
+        // Categories for other age bands are left out, and the ones written
+        // for the child's band come first
+        const ageBand = await getUserAgeBand(connection, userId);
         const [categories] = await connection.execute(`
             SELECT c.*, 
                    COALESCE(up.questions_answered, 0) as questions_answered,
@@ -319,10 +454,12 @@ app.get('/api/categories/:userId', async (req, res) => {
                    c.total_questions
             FROM categories c
             LEFT JOIN user_progress up ON c.id = up.category_id AND up.user_id = ?
-            ORDER BY c.id
-        `, [userId]);
+            ${ageBand ? `WHERE ${CATEGORY_SUITS_BAND_SQL}` : ''}
+            ORDER BY ${ageBand ? 'FIND_IN_SET(?, c.age_bands) > 0 DESC, ' : ''}c.id
+        `, ageBand ? [userId, ageBand, ageBand] : [userId]);
 
-        res.json({ categories });
+        const locale = await userLocale(connection, userId, req.acceptedLocale);
+        res.json({ locale, ageBand, categories: await translateRows(connection, 'category', categories, locale) });
     } catch (error) {
         console.error('Error fetching categories:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -332,7 +469,7 @@ app.get('/api/categories/:userId', async (req, res) => {
 });
 
 // Get user progress dashboard
-app.get('/api/progress/:userId', async (req, res) => {
+app.get('/api/progress/:userId', validate(schemas.userParams), requireUserAccess, async (req, res) => {
     let connection;
     try {
         const { userId } = req.params;
@@ -348,17 +485,33 @@ app.get('/api/progress/:userId', async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
         
-        // Get category progress
-        const [categoryProgress] = await connection.execute(`
+        // Get category progress, with the skill level in each category
+        const [progressRows] = await connection.execute(`
             SELECT c.*, 
                    COALESCE(up.questions_answered, 0) as questions_answered,
                    COALESCE(up.correct_answers, 0) as correct_answers,
                    COALESCE(up.points_earned, 0) as points_earned,
-                   COALESCE(up.is_completed, false) as is_completed
+                   COALESCE(up.is_completed, false) as is_completed,
+                   COALESCE(ucs.rating, ?) as skill_rating,
+                   COALESCE(ucs.attempts, 0) as skill_attempts
             FROM categories c
             LEFT JOIN user_progress up ON c.id = up.category_id AND up.user_id = ?
+            LEFT JOIN user_category_skill ucs ON c.id = ucs.category_id AND ucs.user_id = ?
             ORDER BY c.id
-        `, [userId]);
+        `, [INITIAL_RATING, userId, userId]);
+
+        const categoryProgress = progressRows.map(row => {
+            const skillRating = Math.round(Number(row.skill_rating));
+            const { level, name } = ratingToLevel(skillRating);
+            return { ...row, skill_rating: skillRating, level, level_name: name };
+        });
+
+        // Overall level: average rating over the categories the child has played
+        const playedCategories = categoryProgress.filter(row => row.skill_attempts > 0);
+        const overallRating = playedCategories.length > 0
+            ? Math.round(playedCategories.reduce((sum, row) => sum + row.skill_rating, 0) / playedCategories.length)
+            : INITIAL_RATING;
+        const overallLevel = ratingToLevel(overallRating);
         
         // Get earned badges
         const [earnedBadges] = await connection.execute(`
@@ -379,11 +532,15 @@ app.get('/api/progress/:userId', async (req, res) => {
             ORDER BY b.id
         `, [userId]);
         
+        const locale = users[0].locale || req.acceptedLocale || DEFAULT_LOCALE;
         res.json({
-            user: users[0],
-            categoryProgress,
-            earnedBadges,
-            allBadges
+            user: toPublicUser(users[0]),
+            locale,
+            skill: { rating: overallRating, level: overallLevel.level, levelName: overallLevel.name },
+            dailyStreak: await getDailyStreak(connection, userId),
+            categoryProgress: await translateRows(connection, 'category', categoryProgress, locale),
+            earnedBadges: await translateRows(connection, 'badge', earnedBadges, locale),
+            allBadges: await translateRows(connection, 'badge', allBadges, locale)
         });
         
     } catch (error) {
@@ -395,12 +552,23 @@ app.get('/api/progress/:userId', async (req, res) => {
 });
 
 // Get adaptive question for category
-app.get('/api/questions/:userId/:categoryId', async (req, res) => {
+app.get('/api/questions/:userId/:categoryId', validate(schemas.getQuestion), requireUserAccess, async (req, res) => {
     let connection;
     try {
         const { userId, categoryId } = req.params;
+
+        connection = await getDbConnection();
+
+        // An assignment the child has started takes its questions from its own set
+        const assigned = await pickAssignmentQuestion(connection, userId, categoryId);
+        if (assigned) {
+            return res.json(await serveQuestion(connection, userId, assigned.question, {
+                sessionId: assigned.sessionId,
+                acceptedLocale: req.acceptedLocale
+            }));
+        }
         
-        const question = await getAdaptiveQuestion(userId, categoryId);
+        const question = await getAdaptiveQuestion(connection, userId, categoryId);
         
         if (!question) {
             return res.json({ 
@@ -409,19 +577,7 @@ app.get('/api/questions/:userId/:categoryId', async (req, res) => {
             });
         }
 
-        connection = await getDbConnection();
-        
-        // Get answer options
-        const [options] = await connection.execute(`
-            SELECT id, option_text, icon, image_url, order_position
-            FROM answer_options 
-            WHERE question_id = ? 
-            ORDER BY order_position
-        `, [question.id]);
-
-        question.options = options;
-
-        res.json({ question });
+        res.json(await serveQuestion(connection, userId, question, { acceptedLocale: req.acceptedLocale }));
     } catch (error) {
         console.error('Error fetching question:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -430,126 +586,135 @@ app.get('/api/questions/:userId/:categoryId', async (req, res) => {
     }
 });
 
-// Submit answer
-// Submit answer
-app.post('/api/answers', async (req, res) => {
+// Reveal the next hint for a question
+app.post('/api/questions/:questionId/hint', validate(schemas.revealHint), requireUserAccess, async (req, res) => {
     let connection;
     try {
-        const { 
-            userId, 
-            questionId, 
-            selectedAnswerId, 
-            timeTaken, 
-            hintUsed = false 
-        } = req.body;
-
-        console.log('📝 Submit answer request:', { userId, questionId, selectedAnswerId, timeTaken });
+        const { questionId } = req.params;
+        const { userId } = req.body;
 
         connection = await getDbConnection();
 
-        // Get question details and check if the selected answer is correct
         const [questions] = await connection.execute(`
-            SELECT q.*, qt.type_name
+            SELECT q.id, q.points, q.hint_text, qt.grader
             FROM questions q
             JOIN question_types qt ON q.question_type_id = qt.id
-            WHERE q.id = ?
+            WHERE q.id = ? AND q.is_active = true
         `, [questionId]);
 
         if (questions.length === 0) {
-            console.log('❌ Question not found:', questionId);
-            return res.status(400).json({ error: 'Question not found' });
+            return res.status(404).json({ error: 'Question not found' });
         }
 
-        const question = questions[0];
+        // Hints are for a question the child was served and hasn't answered yet
+        if (!await hasOpenTicket(connection, userId, questionId)) {
+            return res.status(400).json({ error: 'This question was not served' });
+        }
+
+        const locale = await userLocale(connection, userId, req.acceptedLocale);
+        const question = await translateRow(connection, 'question', questions[0], locale);
 
-        // Check if the selected answer is correct
-        const [selectedAnswer] = await connection.execute(`
-            SELECT is_correct FROM answer_options WHERE id = ?
-        `, [selectedAnswerId]);
+        await connection.beginTransaction();
 
-        if (selectedAnswer.length === 0) {
-            console.log('❌ Answer option not found:', selectedAnswerId);
-            return res.status(400).json({ error: 'Answer option not found' });
+        let hintState;
+        try {
+            // Like answers, a child's hint reveals are processed one at a time,
+            // so a double tap can't record the same tier twice
+            await connection.execute(`
+                SELECT id FROM users WHERE id = ? FOR UPDATE
+            `, [userId]);
+
+            hintState = await revealNextHint(connection, { userId, question });
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
         }
 
-        const isCorrect = selectedAnswer[0].is_correct === 1; // Handle MySQL boolean as int
-        const pointsEarned = isCorrect ? question.points : 0;
+        if (!hintState) {
+            return res.status(409).json({ error: 'No more hints for this question' });
+        }
 
-        console.log('✅ Answer check:', { isCorrect, pointsEarned });
+        res.json(hintState);
+    } catch (error) {
+        console.error('Error revealing hint:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
 
-        // Record the attempt
-        await connection.execute(`
-            INSERT INTO question_attempts 
-            (user_id, question_id, question_type_id, selected_answer_id, is_correct, time_taken, hint_used)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [userId, questionId, question.question_type_id, selectedAnswerId, isCorrect, timeTaken, hintUsed]);
+// Submit answer. The whole submission is one transaction with the user's row
+// locked, so double taps and retries can't count an answer twice; a retry sent
+// with the same Idempotency-Key gets the original response back.
+app.post('/api/answers', validate(schemas.submitAnswer), requireUserAccess, async (req, res) => {
+    let connection;
+    try {
+        const { userId, questionId, selectedAnswerId, answer } = req.body;
+        const idempotencyKey = req.get('Idempotency-Key');
 
-        // Update user stats
-        if (isCorrect) {
-            await connection.execute(`
-                UPDATE users 
-                SET total_points = total_points + ?, 
-                    current_streak = current_streak + 1,
-                    best_streak = GREATEST(best_streak, current_streak + 1)
-                WHERE id = ?
-            `, [pointsEarned, userId]);
-        } else {
-            await connection.execute(`
-                UPDATE users SET current_streak = 0 WHERE id = ?
-            `, [userId]);
+        if (idempotencyKey !== undefined && !isValidKey(idempotencyKey)) {
+            return res.status(400).json({ error: 'Idempotency-Key must be 8-100 letters, digits, dashes or underscores' });
         }
 
-        // Update user progress for category
-        await connection.execute(`
-            INSERT INTO user_progress (user_id, category_id, questions_answered, correct_answers, points_earned)
-            VALUES (?, ?, 1, ?, ?)
-            ON DUPLICATE KEY UPDATE
-                questions_answered = questions_answered + 1,
-                correct_answers = correct_answers + ?,
-                points_earned = points_earned + ?,
-                is_completed = CASE 
-                    WHEN (questions_answered + 1) >= (SELECT total_questions FROM categories WHERE id = ?) 
-                    THEN 1 ELSE 0 
-                END
-        `, [
-            userId, question.category_id, isCorrect ? 1 : 0, pointsEarned,
-            isCorrect ? 1 : 0, pointsEarned, question.category_id
-        ]);
-
-        // Update question type performance for adaptive learning
-        await connection.execute(`
-            INSERT INTO user_question_type_performance 
-            (user_id, question_type_id, total_attempts, correct_attempts, avg_time_taken)
-            VALUES (?, ?, 1, ?, ?)
-            ON DUPLICATE KEY UPDATE
-                total_attempts = total_attempts + 1,
-                correct_attempts = correct_attempts + ?,
-                success_rate = (correct_attempts + ?) / (total_attempts + 1) * 100,
-                avg_time_taken = ((avg_time_taken * total_attempts) + ?) / (total_attempts + 1)
-        `, [
-            userId, question.question_type_id, isCorrect ? 1 : 0, timeTaken,
-            isCorrect ? 1 : 0, isCorrect ? 1 : 0, timeTaken
-        ]);
-
-        // Check for new badges
-        const newBadges = await checkAndAwardBadges(userId);
-
-        // Get correct answer for explanation
-        const [correctAnswer] = await connection.execute(`
-            SELECT option_text FROM answer_options 
-            WHERE question_id = ? AND is_correct = 1
-        `, [questionId]);
+        console.log('📝 Submit answer request:', { userId, questionId, answer: answer || { optionId: selectedAnswerId } });
 
-        const response = {
-            isCorrect,
-            pointsEarned,
-            explanation: question.explanation || 'Great job!',
-            correctAnswer: correctAnswer[0]?.option_text || '',
-            newBadges
-        };
+        connection = await getDbConnection();
+        await connection.beginTransaction();
+
+        try {
+            // Answers from the same child are processed one at a time
+            const [users] = await connection.execute(`
+                SELECT id FROM users WHERE id = ? FOR UPDATE
+            `, [userId]);
+
+            if (users.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const requestHash = hashRequest(req.body);
+
+            if (idempotencyKey) {
+                const stored = await findStoredResponse(connection, {
+                    userId, endpoint: 'answers', key: idempotencyKey
+                });
+
+                if (stored) {
+                    await connection.rollback();
+
+                    if (stored.request_hash !== requestHash) {
+                        return res.status(422).json({ error: 'Idempotency-Key was already used for a different answer' });
+                    }
+
+                    console.log('🔁 Replaying stored answer response for key:', idempotencyKey);
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(stored.status_code).json(stored.response);
+                }
+            }
 
-        console.log('📤 Sending response:', response);
-        res.json(response);
+            const result = await recordAnswer(connection, { ...req.body, acceptedLocale: req.acceptedLocale });
+
+            if (result.error) {
+                await connection.rollback();
+                return res.status(result.status).json({ error: result.error });
+            }
+
+            if (idempotencyKey) {
+                await storeResponse(connection, {
+                    userId, endpoint: 'answers', key: idempotencyKey,
+                    requestHash, statusCode: 200, response: result.response
+                });
+            }
+
+            await connection.commit();
+
+            console.log('📤 Sending response:', result.response);
+            res.json(result.response);
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        }
     } catch (error) {
         console.error('❌ Error submitting answer:', error);
         res.status(500).json({ error: 'Internal server error: ' + error.message });
@@ -558,15 +723,11 @@ app.post('/api/answers', async (req, res) => {
     }
 });
 
-// Reset category progress
-app.post('/api/reset-progress', async (req, res) => {
+// Reset a child's progress in one category; their parent or a teacher of their class may do this
+app.post('/api/reset-progress', validate(schemas.resetProgress), requireUserOrTeacherAccess, async (req, res) => {
     let connection;
     try {
         const { userId, categoryId } = req.body;
-        
-        if (!userId || !categoryId) {
-            return res.status(400).json({ error: 'UserId and categoryId are required' });
-        }
 
         connection = await getDbConnection();
 
@@ -576,6 +737,34 @@ app.post('/api/reset-progress', async (req, res) => {
         await connection.beginTransaction();
 
         try {
+            // Hints revealed in this category, answered or not
+            await connection.execute(`
+                DELETE hr FROM hint_reveals hr
+                JOIN questions q ON hr.question_id = q.id
+                WHERE hr.user_id = ? AND q.category_id = ?
+            `, [userId, categoryId]);
+
+            // Take back the points the category's answers earned, in the ledger
+            const [earned] = await connection.execute(`
+                SELECT c.name, COALESCE(SUM(qa.points_earned), 0) as points
+                FROM categories c
+                LEFT JOIN questions q ON q.category_id = c.id
+                LEFT JOIN question_attempts qa ON qa.question_id = q.id AND qa.user_id = ?
+                WHERE c.id = ?
+                GROUP BY c.id, c.name
+            `, [userId, categoryId]);
+            if (earned.length > 0) {
+                await recordPoints(connection, {
+                    userId,
+                    event: 'reset',
+                    points: -Number(earned[0].points),
+                    reason: `Progress in ${earned[0].name} was reset`,
+                    sourceType: 'category',
+                    sourceId: categoryId,
+                    accountId: req.auth.accountId
+                });
+            }
+
             // Delete all question attempts for this user and category
             await connection.execute(`
                 DELETE qa FROM question_attempts qa
@@ -583,42 +772,21 @@ app.post('/api/reset-progress', async (req, res) => {
                 WHERE qa.user_id = ? AND q.category_id = ?
             `, [userId, categoryId]);
 
-            // Reset user progress for this category
+            // Forget the review schedule for this category's questions
             await connection.execute(`
-                DELETE FROM user_progress 
-                WHERE user_id = ? AND category_id = ?
+                DELETE ri FROM review_items ri
+                JOIN questions q ON ri.question_id = q.id
+                WHERE ri.user_id = ? AND q.category_id = ?
             `, [userId, categoryId]);
 
-            // Reset question type performance for this category's questions
+            // Start the category's ability estimate over
             await connection.execute(`
-                UPDATE user_question_type_performance utqp
-                JOIN questions q ON q.question_type_id = utqp.question_type_id
-                SET utqp.total_attempts = GREATEST(0, utqp.total_attempts - (
-                    SELECT COUNT(*) FROM question_attempts qa2 
-                    JOIN questions q2 ON qa2.question_id = q2.id 
-                    WHERE qa2.user_id = ? AND q2.category_id = ? AND qa2.question_type_id = utqp.question_type_id
-                )),
-                utqp.correct_attempts = GREATEST(0, utqp.correct_attempts - (
-                    SELECT COUNT(*) FROM question_attempts qa3 
-                    JOIN questions q3 ON qa3.question_id = q3.id 
-                    WHERE qa3.user_id = ? AND q3.category_id = ? AND qa3.question_type_id = utqp.question_type_id AND qa3.is_correct = 1
-                ))
-                WHERE utqp.user_id = ?
-            `, [userId, categoryId, userId, categoryId, userId]);
-
-            // Recalculate user's total points
-            const [totalPoints] = await connection.execute(`
-                SELECT COALESCE(SUM(points_earned), 0) as total
-                FROM user_progress 
-                WHERE user_id = ?
-            `, [userId]);
+                DELETE FROM user_category_skill WHERE user_id = ? AND category_id = ?
+            `, [userId, categoryId]);
 
-            // Update user's total points but keep streak as is
-            await connection.execute(`
-                UPDATE users 
-                SET total_points = ?
-                WHERE id = ?
-            `, [totalPoints[0].total, userId]);
+            // Progress, streaks, question type performance, concept mastery and
+            // leaderboard points are rebuilt from the attempts that are left
+            await recomputeUser(connection, userId);
 
             // Commit transaction
             await connection.commit();
@@ -651,10 +819,52 @@ app.use('*', (req, res) => {
     res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Compare the database schema with the migrations in this checkout.
+// Returns false when migrations are pending.
+async function checkSchemaVersion() {
+    let connection;
+    try {
+        connection = await getDbConnection();
+        const status = await getMigrationStatus(connection);
+
+        if (status.unknown.length > 0) {
+            console.warn(`⚠️ Database has migrations this code doesn't know about: ${status.unknown.join(', ')}`);
+        }
+
+        if (status.pending.length === 0) {
+            console.log(`✅ Database schema is up to date (version ${status.currentVersion})`);
+            return true;
+        }
+
+        console.warn(`⚠️ Database schema is at version ${status.currentVersion} but the code expects ${status.latestVersion}`);
+        status.pending.forEach(migration => {
+            console.warn(`   ⏳ ${migration.version}_${migration.name}`);
+        });
+        console.warn('   Run: npm run migrate');
+        return false;
+    } catch (error) {
+        console.error('⚠️ Could not check schema version:', error.message);
+        return true;
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
 // Initialize and start server
 async function startServer() {
     // Test database connection on startup (but don't fail if it doesn't work)
-    await testDatabaseConnection();
+    const databaseConnected = await testDatabaseConnection();
+
+    // A database that is behind the code would fail in confusing ways, so
+    // production refuses to start unless explicitly allowed
+    if (databaseConnected) {
+        const schemaUpToDate = await checkSchemaVersion();
+        if (!schemaUpToDate && process.env.NODE_ENV === 'production' &&
+            process.env.ALLOW_PENDING_MIGRATIONS !== 'true') {
+            console.error('❌ Refusing to start with pending migrations (set ALLOW_PENDING_MIGRATIONS=true to override)');
+            process.exit(1);
+        }
+    }
     
     // Start server regardless of database connection status
     app.listen(PORT, () => {
@@ -0,0 +1,315 @@
+// validation/admin.js - Schemas for /api/admin
+const Joi = require('joi');
+const { id, calendarDate } = require('./common');
+const { DIFFICULTY_LEVELS } = require('../lib/questions');
+const { DEFAULT_GRADER, graderNames } = require('../lib/graders');
+const { DEFAULT_BONUS_POINTS } = require('../lib/daily-challenge');
+const { MAX_QUESTION_COUNT } = require('../lib/sessions');
+const { ruleKindNames } = require('../lib/badge-rules');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../lib/locales');
+const { AGE_BANDS } = require('../lib/age-bands');
+const { CONCEPT_KEYS } = require('../lib/concepts');
+
+// Same format as the keys in the question-bank files
+const QUESTION_KEY_PATTERN = /^[a-z0-9][a-z0-9/_-]*$/;
+const TARGET_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// The bands a question or category suits; empty or null for all of them
+const ageBands = Joi.array().items(Joi.string().valid(...AGE_BANDS)).unique().allow(null);
+
+const questionParams = Joi.object({
+    questionId: id.required()
+});
+
+const categoryParams = Joi.object({
+    categoryId: id.required()
+});
+
+const option = Joi.object({
+    id,
+    optionText: Joi.string().trim().min(1).max(255).required(),
+    icon: Joi.string().max(50).allow(null, ''),
+    imageUrl: Joi.string().uri().max(255).allow(null),
+    // What the child is told after picking this option
+    feedback: Joi.string().trim().max(2000).allow(null, ''),
+    isCorrect: Joi.boolean().default(false),
+    // Share of the points a partly right option earns (single choice, with partialCredit)
+    credit: Joi.number().greater(0).less(1).precision(2).allow(null),
+    // Answer schema for ordering and drag-into-bucket questions
+    correctPosition: Joi.number().integer().min(1).allow(null),
+    targetKey: Joi.string().pattern(TARGET_KEY_PATTERN).max(50).allow(null)
+});
+
+// A bucket of a drag-into-bucket question
+const target = Joi.object({
+    key: Joi.string().pattern(TARGET_KEY_PATTERN).max(50).required(),
+    label: Joi.string().trim().min(1).max(255).required(),
+    icon: Joi.string().max(50).allow(null, '')
+});
+
+const questionFields = {
+    questionKey: Joi.string().pattern(QUESTION_KEY_PATTERN).max(100).allow(null),
+    categoryId: id,
+    questionTypeId: id,
+    questionText: Joi.string().trim().min(1),
+    imageUrl: Joi.string().uri().max(255).allow(null),
+    difficultyLevel: Joi.string().valid(...DIFFICULTY_LEVELS),
+    points: Joi.number().integer().min(0),
+    explanation: Joi.string().allow(null, ''),
+    hintText: Joi.string().allow(null, ''),
+    partialCredit: Joi.boolean(),
+    ageBands,
+    // Concept keys from lib/concepts.js; sent in full, they replace the current tags
+    concepts: Joi.array().items(Joi.string().valid(...CONCEPT_KEYS)).unique(),
+    targets: Joi.array().items(target).unique('key')
+};
+
+const listQuestions = {
+    query: Joi.object({
+        categoryId: id,
+        includeInactive: Joi.boolean().default(false)
+    })
+};
+
+const questionById = {
+    params: questionParams
+};
+
+const createQuestion = {
+    body: Joi.object({
+        ...questionFields,
+        categoryId: questionFields.categoryId.required(),
+        questionTypeId: questionFields.questionTypeId.required(),
+        questionText: questionFields.questionText.required(),
+        difficultyLevel: questionFields.difficultyLevel.default('easy'),
+        points: questionFields.points.default(10),
+        partialCredit: questionFields.partialCredit.default(false),
+        targets: questionFields.targets.default([]),
+        concepts: questionFields.concepts.default([]),
+        // New questions cannot reference existing option ids
+        options: Joi.array().items(option.keys({ id: Joi.forbidden() })).min(2).required()
+    })
+};
+
+const updateQuestion = {
+    params: questionParams,
+    body: Joi.object({
+        ...questionFields,
+        options: Joi.array().items(option).min(2)
+    }).min(1)
+};
+
+const optionOrder = {
+    params: questionParams,
+    body: Joi.object({
+        optionIds: Joi.array().items(id).min(1).unique().required()
+    })
+};
+
+const questionOrder = {
+    params: categoryParams,
+    body: Joi.object({
+        questionIds: Joi.array().items(id).min(1).unique().required()
+    })
+};
+
+const categoryById = {
+    params: categoryParams
+};
+
+const createCategory = {
+    body: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        icon: Joi.string().min(1).max(50).required(),
+        description: Joi.string().allow(null, ''),
+        ageBands
+    })
+};
+
+const updateCategory = {
+    params: categoryParams,
+    body: Joi.object({
+        name: Joi.string().trim().min(1).max(100),
+        icon: Joi.string().min(1).max(50),
+        description: Joi.string().allow(null, ''),
+        ageBands
+    }).min(1)
+};
+
+const badgeParams = Joi.object({
+    badgeId: id.required()
+});
+
+const badgeFields = {
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().allow(null, ''),
+    icon: Joi.string().max(50).allow(null, ''),
+    // The kind's own parameters are checked by validateRule in the route
+    rule: Joi.object({
+        kind: Joi.string().valid(...ruleKindNames()).required()
+    }).unknown(true)
+};
+
+const createBadge = {
+    body: Joi.object({
+        ...badgeFields,
+        name: badgeFields.name.required(),
+        rule: badgeFields.rule.required()
+    })
+};
+
+const updateBadge = {
+    params: badgeParams,
+    body: Joi.object(badgeFields).min(1)
+};
+
+const badgeById = {
+    params: badgeParams
+};
+
+const questionTypeParams = Joi.object({
+    questionTypeId: id.required()
+});
+
+const createQuestionType = {
+    body: Joi.object({
+        typeName: Joi.string().pattern(/^[a-z_]+$/).max(50).required()
+            .messages({ 'string.pattern.base': 'typeName must be lowercase letters and underscores' }),
+        grader: Joi.string().valid(...graderNames()).default(DEFAULT_GRADER),
+        difficultyLevel: Joi.string().valid(...DIFFICULTY_LEVELS).default('easy'),
+        description: Joi.string().allow(null, '')
+    })
+};
+
+// The type name and grader are fixed once created because adaptive selection
+// refers to types by name and existing questions are written for the grader
+const updateQuestionType = {
+    params: questionTypeParams,
+    body: Joi.object({
+        difficultyLevel: Joi.string().valid(...DIFFICULTY_LEVELS),
+        description: Joi.string().allow(null, '')
+    }).min(1)
+};
+
+const questionTypeById = {
+    params: questionTypeParams
+};
+
+const listDailyChallenges = {
+    query: Joi.object({
+        from: calendarDate,
+        to: calendarDate
+    })
+};
+
+// A daily challenge is played as one session, so it has the same size limit
+const saveDailyChallenge = {
+    params: Joi.object({
+        date: calendarDate.required()
+    }),
+    body: Joi.object({
+        title: Joi.string().trim().min(1).max(100).default('Daily Challenge'),
+        bonusPoints: Joi.number().integer().min(0).max(1000).default(DEFAULT_BONUS_POINTS),
+        questionIds: Joi.array().items(id).min(1).max(MAX_QUESTION_COUNT).unique().required()
+    })
+};
+
+// Added to (or, when negative, taken from) a child's points through the ledger
+const pointsAdjustment = {
+    params: Joi.object({
+        userId: id.required()
+    }),
+    body: Joi.object({
+        points: Joi.number().integer().min(-100000).max(100000).invalid(0).required(),
+        reason: Joi.string().trim().min(1).max(255).required()
+    })
+};
+
+// English is kept in the content tables themselves
+const translatedLocale = Joi.string().trim().lowercase()
+    .valid(...SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE));
+// Empty or null text falls back to English again
+const translatedText = Joi.string().trim().max(5000).allow(null, '');
+
+const translationCoverage = {
+    query: Joi.object({
+        locale: translatedLocale
+    })
+};
+
+const translateQuestion = {
+    params: Joi.object({
+        locale: translatedLocale.required(),
+        questionId: id.required()
+    }),
+    body: Joi.object({
+        questionText: translatedText,
+        explanation: translatedText,
+        hintText: translatedText,
+        options: Joi.array().items(Joi.object({
+            id: id.required(),
+            optionText: Joi.string().trim().max(255).allow(null, ''),
+            feedback: translatedText
+        })).unique('id'),
+        targets: Joi.array().items(Joi.object({
+            id: id.required(),
+            label: Joi.string().trim().max(255).allow(null, '')
+        })).unique('id')
+    }).min(1)
+};
+
+const translateCategory = {
+    params: Joi.object({
+        locale: translatedLocale.required(),
+        categoryId: id.required()
+    }),
+    body: Joi.object({
+        name: Joi.string().trim().max(100).allow(null, ''),
+        description: translatedText
+    }).min(1)
+};
+
+const translateBadge = {
+    params: Joi.object({
+        locale: translatedLocale.required(),
+        badgeId: id.required()
+    }),
+    body: Joi.object({
+        name: Joi.string().trim().max(100).allow(null, ''),
+        description: translatedText
+    }).min(1)
+};
+
+// Without userId every child is rebuilt; verify only reports what differs
+const recomputeStats = {
+    body: Joi.object({
+        userId: id,
+        verify: Joi.boolean().default(false)
+    })
+};
+
+module.exports = {
+    listQuestions,
+    questionById,
+    createQuestion,
+    updateQuestion,
+    optionOrder,
+    questionOrder,
+    categoryById,
+    createCategory,
+    updateCategory,
+    createBadge,
+    updateBadge,
+    badgeById,
+    createQuestionType,
+    updateQuestionType,
+    questionTypeById,
+    listDailyChallenges,
+    saveDailyChallenge,
+    translationCoverage,
+    translateQuestion,
+    translateCategory,
+    translateBadge,
+    pointsAdjustment,
+    recomputeStats
+};
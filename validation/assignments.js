@@ -0,0 +1,21 @@
+// validation/assignments.js - Schemas for /api/assignments
+const Joi = require('joi');
+const { id, userIdParams } = require('./common');
+
+const listAssignments = {
+    params: userIdParams
+};
+
+const startAssignment = {
+    params: Joi.object({
+        assignmentId: id.required()
+    }),
+    body: Joi.object({
+        userId: id.required()
+    })
+};
+
+module.exports = {
+    listAssignments,
+    startAssignment
+};
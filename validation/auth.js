@@ -0,0 +1,40 @@
+// validation/auth.js - Schemas for /api/auth
+const Joi = require('joi');
+
+const MIN_PASSWORD_LENGTH = 8;
+const ACCOUNT_ROLES = ['parent', 'teacher'];
+
+const register = {
+    body: Joi.object({
+        email: Joi.string().trim().lowercase().email().max(255).required(),
+        password: Joi.string().min(MIN_PASSWORD_LENGTH).max(128).required(),
+        displayName: Joi.string().trim().max(100).allow(null, ''),
+        role: Joi.string().valid(...ACCOUNT_ROLES).default('parent')
+    })
+};
+
+const login = {
+    body: Joi.object({
+        email: Joi.string().trim().lowercase().required(),
+        password: Joi.string().required()
+    })
+};
+
+const refresh = {
+    body: Joi.object({
+        refreshToken: Joi.string().required()
+    })
+};
+
+const logout = {
+    body: Joi.object({
+        refreshToken: Joi.string().required()
+    })
+};
+
+module.exports = {
+    register,
+    login,
+    refresh,
+    logout
+};
@@ -0,0 +1,47 @@
+// validation/classes.js - Schemas for /api/classes
+const Joi = require('joi');
+const { id } = require('./common');
+const { MAX_ASSIGNMENT_QUESTIONS } = require('../lib/assignments');
+
+const createClass = {
+    body: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required()
+    })
+};
+
+const classParams = Joi.object({
+    classId: id.required()
+});
+
+const classById = {
+    params: classParams
+};
+
+// Whole categories or a hand-picked set of questions, not both
+const createAssignment = {
+    params: classParams,
+    body: Joi.object({
+        title: Joi.string().trim().min(1).max(100).required(),
+        categoryIds: Joi.array().items(id).min(1).unique(),
+        questionIds: Joi.array().items(id).min(1).max(MAX_ASSIGNMENT_QUESTIONS).unique(),
+        opensAt: Joi.date().iso(),
+        dueAt: Joi.date().iso().greater(Joi.ref('opensAt', { adjust: opensAt => opensAt || new Date() })).required()
+    }).xor('categoryIds', 'questionIds').messages({
+        'object.missing': 'Send either categoryIds or questionIds',
+        'object.xor': 'Send either categoryIds or questionIds',
+        'date.greater': 'dueAt must be after opensAt (or after now)'
+    })
+};
+
+const assignmentReport = {
+    params: classParams.keys({
+        assignmentId: id.required()
+    })
+};
+
+module.exports = {
+    createClass,
+    classById,
+    createAssignment,
+    assignmentReport
+};
@@ -0,0 +1,53 @@
+// validation/common.js - Building blocks shared by the route schemas
+const Joi = require('joi');
+const { PICTURE_GRID, PIN_LENGTH, HANDLE_PATTERN } = require('../lib/picture-pin');
+const { isValidTimezone } = require('../lib/streaks');
+const { SUPPORTED_LOCALES } = require('../lib/locales');
+const { AGE_BANDS, MIN_SCHOOL_GRADE, MAX_SCHOOL_GRADE } = require('../lib/age-bands');
+
+// Database ids, from the URL or a JSON body
+const id = Joi.number().integer().positive();
+
+const picturePin = Joi.array()
+    .items(Joi.string().valid(...PICTURE_GRID))
+    .length(PIN_LENGTH)
+    .messages({
+        'array.length': `Picture password must be exactly ${PIN_LENGTH} pictures`,
+        'any.only': 'Picture password contains an unknown picture'
+    });
+
+const handle = Joi.string().trim().lowercase().pattern(HANDLE_PATTERN)
+    .messages({ 'string.pattern.base': 'Handle must be 3-30 letters, numbers, dashes or underscores' });
+
+// IANA zone name such as 'Europe/Berlin'
+const timezone = Joi.string().max(50).custom((value, helpers) => (
+    isValidTimezone(value) ? value : helpers.error('any.invalid')
+)).messages({ 'any.invalid': 'Unknown timezone' });
+
+// A locale content can be translated into, such as 'es'
+const locale = Joi.string().trim().lowercase().valid(...SUPPORTED_LOCALES);
+
+// An age band such as '8-10', and a school grade (0 is kindergarten)
+const ageBand = Joi.string().valid(...AGE_BANDS);
+const schoolGrade = Joi.number().integer().min(MIN_SCHOOL_GRADE).max(MAX_SCHOOL_GRADE);
+
+// Calendar dates, kept as strings so no timezone shifts them
+const calendarDate = Joi.string().isoDate().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({ 'string.pattern.base': '{#label} must be a date like 2024-01-31' });
+
+// Params schema for routes that only take a :userId
+const userIdParams = Joi.object({
+    userId: id.required()
+});
+
+module.exports = {
+    id,
+    picturePin,
+    handle,
+    timezone,
+    locale,
+    ageBand,
+    schoolGrade,
+    calendarDate,
+    userIdParams
+};
@@ -0,0 +1,10 @@
+// validation/daily-challenge.js - Schemas for /api/daily-challenge
+const { userIdParams } = require('./common');
+
+const getDailyChallenge = {
+    params: userIdParams
+};
+
+module.exports = {
+    getDailyChallenge
+};
@@ -0,0 +1,48 @@
+// validation/devices.js - Schemas for /api/devices
+const Joi = require('joi');
+const { id, picturePin, handle } = require('./common');
+
+const profileLogin = {
+    params: Joi.object({
+        handle: handle.required()
+    }),
+    body: Joi.object({
+        picturePin: picturePin.required()
+    })
+};
+
+const registerDevice = {
+    body: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required()
+    })
+};
+
+const deviceParams = {
+    params: Joi.object({
+        deviceId: id.required()
+    })
+};
+
+const addProfile = {
+    params: Joi.object({
+        deviceId: id.required()
+    }),
+    body: Joi.object({
+        userId: id.required()
+    })
+};
+
+const removeProfile = {
+    params: Joi.object({
+        deviceId: id.required(),
+        userId: id.required()
+    })
+};
+
+module.exports = {
+    profileLogin,
+    registerDevice,
+    deviceParams,
+    addProfile,
+    removeProfile
+};
@@ -0,0 +1,32 @@
+// validation/groups.js - Schemas for /api/groups
+const Joi = require('joi');
+const { id } = require('./common');
+const { JOIN_CODE_PATTERN } = require('../lib/groups');
+
+const createGroup = {
+    body: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required()
+    })
+};
+
+// Codes are accepted in any case and with stray spaces, as children type them
+const joinGroup = {
+    body: Joi.object({
+        userId: id.required(),
+        joinCode: Joi.string().trim().uppercase().pattern(JOIN_CODE_PATTERN).required()
+            .messages({ 'string.pattern.base': 'That join code is not valid' })
+    })
+};
+
+const groupMember = {
+    params: Joi.object({
+        groupId: id.required(),
+        userId: id.required()
+    })
+};
+
+module.exports = {
+    createGroup,
+    joinGroup,
+    groupMember
+};
@@ -0,0 +1,17 @@
+// validation/leaderboards.js - Schemas for /api/leaderboards
+const Joi = require('joi');
+const { id, userIdParams } = require('./common');
+const { LEADERBOARD_PERIODS } = require('../lib/leaderboards');
+
+// Without a groupId the board covers the child's household
+const getLeaderboard = {
+    params: userIdParams,
+    query: Joi.object({
+        period: Joi.string().valid(...LEADERBOARD_PERIODS).default('week'),
+        groupId: id
+    })
+};
+
+module.exports = {
+    getLeaderboard
+};
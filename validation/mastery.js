@@ -0,0 +1,10 @@
+// validation/mastery.js - Schemas for /api/mastery
+const { userIdParams } = require('./common');
+
+const getMastery = {
+    params: userIdParams
+};
+
+module.exports = {
+    getMastery
+};
@@ -0,0 +1,140 @@
+// validation/quiz.js - Schemas for the children's profile and quiz routes in server.js
+const Joi = require('joi');
+const { id, picturePin, handle, timezone, locale, ageBand, schoolGrade, userIdParams } = require('./common');
+const { DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT } = require('../lib/points');
+
+const createUser = {
+    body: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        handle,
+        avatar: Joi.string().max(50).allow(null, ''),
+        picturePin,
+        timezone,
+        locale,
+        // Either one; the band is worked out from the grade
+        ageBand,
+        schoolGrade,
+        deviceId: id
+    }).oxor('ageBand', 'schoolGrade')
+};
+
+const setPicturePin = {
+    params: userIdParams,
+    body: Joi.object({
+        picturePin: picturePin.required()
+    })
+};
+
+const setTimezone = {
+    params: userIdParams,
+    body: Joi.object({
+        timezone: timezone.required()
+    })
+};
+
+// null goes back to following the device's Accept-Language
+const setLocale = {
+    params: userIdParams,
+    body: Joi.object({
+        locale: locale.allow(null).required()
+    })
+};
+
+// Setting one clears the other; both null means content for every age
+const setAgeBand = {
+    params: userIdParams,
+    body: Joi.object({
+        ageBand: ageBand.allow(null),
+        schoolGrade: schoolGrade.allow(null)
+    }).min(1).oxor('ageBand', 'schoolGrade')
+};
+
+// newNickname: true draws a fresh made-up nickname
+const setLeaderboardSettings = {
+    params: userIdParams,
+    body: Joi.object({
+        optOut: Joi.boolean(),
+        newNickname: Joi.boolean().valid(true)
+    }).min(1)
+};
+
+const userParams = {
+    params: userIdParams
+};
+
+// before: the nextBefore of the previous page
+const pointsHistory = {
+    params: userIdParams,
+    query: Joi.object({
+        limit: Joi.number().integer().min(1).max(MAX_HISTORY_LIMIT).default(DEFAULT_HISTORY_LIMIT),
+        before: id
+    })
+};
+
+const getQuestion = {
+    params: Joi.object({
+        userId: id.required(),
+        categoryId: id.required()
+    })
+};
+
+// One field per grader: optionId (single choice), optionIds (multi-select),
+// order (ordering) or placements (drag-into-bucket)
+const structuredAnswer = Joi.object({
+    optionId: id,
+    optionIds: Joi.array().items(id).min(1).unique(),
+    order: Joi.array().items(id).min(2).unique(),
+    placements: Joi.array().items(Joi.object({
+        optionId: id.required(),
+        target: Joi.string().max(50).required()
+    })).min(1).unique('optionId')
+}).xor('optionId', 'optionIds', 'order', 'placements').messages({
+    'object.missing': 'answer needs one of optionId, optionIds, order or placements',
+    'object.xor': 'answer needs exactly one of optionId, optionIds, order or placements'
+});
+
+const submitAnswer = {
+    body: Joi.object({
+        userId: id.required(),
+        questionId: id.required(),
+        // Single-choice answers can still be sent as selectedAnswerId
+        selectedAnswerId: id,
+        answer: structuredAnswer,
+        // Issued with the question by GET /api/questions/:userId/:categoryId
+        ticket: Joi.string().max(1000).required()
+    }).xor('selectedAnswerId', 'answer').messages({
+        'object.missing': 'Send either selectedAnswerId or answer',
+        'object.xor': 'Send either selectedAnswerId or answer'
+    })
+};
+
+const revealHint = {
+    params: Joi.object({
+        questionId: id.required()
+    }),
+    body: Joi.object({
+        userId: id.required()
+    })
+};
+
+const resetProgress = {
+    body: Joi.object({
+        userId: id.required(),
+        categoryId: id.required()
+    })
+};
+
+module.exports = {
+    createUser,
+    setPicturePin,
+    setTimezone,
+    setLocale,
+    setAgeBand,
+    setLeaderboardSettings,
+    userParams,
+    pointsHistory,
+    getQuestion,
+    submitAnswer,
+    revealHint,
+    resetProgress
+};
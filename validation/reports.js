@@ -0,0 +1,18 @@
+// validation/reports.js - Schemas for /api/reports
+const Joi = require('joi');
+const { userIdParams, calendarDate } = require('./common');
+
+const REPORT_FORMATS = ['json', 'csv', 'html'];
+
+const getReport = {
+    params: userIdParams,
+    query: Joi.object({
+        from: calendarDate,
+        to: calendarDate,
+        format: Joi.string().valid(...REPORT_FORMATS).default('json')
+    })
+};
+
+module.exports = {
+    getReport
+};
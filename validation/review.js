@@ -0,0 +1,19 @@
+// validation/review.js - Schemas for /api/review
+const Joi = require('joi');
+const { id, userIdParams } = require('./common');
+
+const dueToday = {
+    params: userIdParams
+};
+
+const nextReview = {
+    params: userIdParams,
+    query: Joi.object({
+        categoryId: id
+    })
+};
+
+module.exports = {
+    dueToday,
+    nextReview
+};
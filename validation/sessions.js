@@ -0,0 +1,27 @@
+// validation/sessions.js - Schemas for /api/sessions
+const Joi = require('joi');
+const { id } = require('./common');
+const { SESSION_MODES, DEFAULT_QUESTION_COUNT, MAX_QUESTION_COUNT } = require('../lib/sessions');
+
+const sessionParams = Joi.object({
+    sessionId: id.required()
+});
+
+// Review rounds can mix categories; the others stay in one
+const createSession = {
+    body: Joi.object({
+        userId: id.required(),
+        mode: Joi.string().valid(...SESSION_MODES).default('adaptive'),
+        categoryId: id.when('mode', { is: 'review', otherwise: Joi.required() }),
+        questionCount: Joi.number().integer().min(1).max(MAX_QUESTION_COUNT).default(DEFAULT_QUESTION_COUNT)
+    })
+};
+
+const sessionById = {
+    params: sessionParams
+};
+
+module.exports = {
+    createSession,
+    sessionById
+};